@@ -0,0 +1,181 @@
+// src/audit.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './jsonstore.js';
+import { toCsv } from './csv.js';
+import { requestKey } from './auth.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Auditoría (append-only)
+   - data/audit/<YYYY-MM-DD>.jsonl, una línea por acción; nunca se edita ni se borra una línea
+   - AUDIT_RETENTION_DAYS (default 365, 0 = sin límite): se borran los días enteros vencidos
+   - entrada: { id, ts, action, actor, actorName, ip, sessionId, target, outcome, status, error, details }
+     outcome: ok | queued | denied | error (HTTP) y sent | failed (resultado de la cola de envío)
+=========================== */
+const log = logger.child({ component: 'audit' });
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(DATA_DIR, 'audit');
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 365);
+const BODY_MAX = Number(process.env.AUDIT_BODY_MAX || 500); // texto de los envíos que se guarda
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 5000;
+const PRUNE_EVERY_MS = 6 * 3600_000;
+if (!fs.existsSync(AUDIT_DIR)) fs.mkdirSync(AUDIT_DIR, { recursive: true });
+
+export const AUDIT_COLUMNS = ['id', 'ts', 'date', 'action', 'actor', 'actorName', 'ip', 'sessionId', 'target', 'outcome', 'status', 'error', 'details'];
+
+const day = (ts) => new Date(ts).toISOString().slice(0, 10);
+const fileOf = (d) => path.join(AUDIT_DIR, `${d}.jsonl`);
+
+/** texto recortado para details (los envíos pueden ser largos) */
+export const clip = (s) => (s == null ? null : String(s).length > BODY_MAX ? `${String(s).slice(0, BODY_MAX)}…` : String(s));
+
+/** Registra una entrada; nunca rompe la acción auditada */
+export function audit(entry) {
+  const e = {
+    id: crypto.randomUUID(),
+    ts: Date.now(),
+    action: entry.action,
+    actor: entry.actor ?? 'system',
+    actorName: entry.actorName ?? null,
+    ip: entry.ip ?? null,
+    sessionId: entry.sessionId ?? null,
+    target: entry.target ?? null,
+    outcome: entry.outcome ?? 'ok',
+    status: entry.status ?? null,
+    error: entry.error ?? null,
+    details: entry.details ?? null,
+  };
+  try {
+    fs.appendFileSync(fileOf(day(e.ts)), JSON.stringify(e) + '\n');
+  } catch (err) {
+    log.error('no se pudo escribir auditoría', { action: e.action, err: err.message });
+  }
+  return e;
+}
+
+const outcomeOf = (status) => {
+  if (status === 401 || status === 403) return 'denied';
+  if (status >= 400) return 'error';
+  return status === 202 ? 'queued' : 'ok';
+};
+
+/**
+ * Middleware: audita la request al terminar (montar ANTES de requireScope para
+ * registrar también los rechazos). `describe(req, body)` -> { sessionId?, target?, details? }
+ */
+export function audited(action, describe = null) {
+  return (req, res, next) => {
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (b) => {
+      body = b;
+      return json(b);
+    };
+    res.on('finish', () => {
+      let extra = {};
+      try {
+        extra = describe ? describe(req, body) || {} : {};
+      } catch {} // un describe roto no puede tapar la auditoría
+      const key = requestKey(req);
+      audit({
+        action,
+        actor: key?.id ?? 'unauthenticated',
+        actorName: key?.name ?? null,
+        ip: req.ip,
+        sessionId: req.params.id ?? null,
+        ...extra,
+        outcome: outcomeOf(res.statusCode),
+        status: res.statusCode,
+        error: body?.error ?? null,
+      });
+    });
+    next();
+  };
+}
+
+/* ===========================
+   Consulta
+=========================== */
+const parseTime = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const ms = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+  if (!Number.isFinite(ms)) throw new Error('invalid_date');
+  return ms;
+};
+
+/** días con archivo, más recientes primero */
+const listDays = () =>
+  fs
+    .readdirSync(AUDIT_DIR)
+    .filter((n) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(n))
+    .map((n) => n.slice(0, 10))
+    .sort()
+    .reverse();
+
+/**
+ * Entradas más recientes primero.
+ * filtros: from, to (ms | ISO), action (exacta o prefijo 'session.'), actor, sessionId,
+ * target, outcome, ip, limit
+ */
+export function queryAudit(filters = {}) {
+  const from = parseTime(filters.from);
+  const to = parseTime(filters.to);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(filters.limit) || DEFAULT_LIMIT));
+  const action = filters.action ? String(filters.action) : null;
+  const eq = ['actor', 'sessionId', 'target', 'outcome', 'ip'].filter((k) => filters[k]);
+
+  const match = (e) =>
+    (from === null || e.ts >= from) &&
+    (to === null || e.ts <= to) &&
+    (!action || (action.endsWith('.') ? e.action.startsWith(action) : e.action === action)) &&
+    eq.every((k) => String(e[k] ?? '') === String(filters[k]));
+
+  const out = [];
+  for (const d of listDays()) {
+    if (from !== null && d < day(from)) break;
+    if (to !== null && d > day(to)) continue;
+    const lines = fs.readFileSync(fileOf(d), 'utf8').split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
+      let e;
+      try { e = JSON.parse(lines[i]); } catch { continue; } // línea truncada por crash
+      if (!match(e)) continue;
+      out.push(e);
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+
+/** CSV de una consulta (details como JSON) */
+export function auditCsv(entries) {
+  const rows = entries.map((e) => ({
+    ...e,
+    date: new Date(e.ts).toISOString(),
+    details: e.details ? JSON.stringify(e.details) : '',
+  }));
+  return toCsv(rows, AUDIT_COLUMNS, { formulaSafe: true }); // trae texto de mensajes y de las requests
+}
+
+/* ===========================
+   Retención
+=========================== */
+export function pruneAudit(now = Date.now()) {
+  if (!(RETENTION_DAYS > 0)) return 0;
+  const cutoff = day(now - RETENTION_DAYS * 86400_000);
+  let removed = 0;
+  for (const d of listDays()) {
+    if (d >= cutoff) continue;
+    fs.rmSync(fileOf(d), { force: true });
+    removed++;
+  }
+  if (removed) log.info('auditoría vencida eliminada', { days: removed, retentionDays: RETENTION_DAYS });
+  return removed;
+}
+
+export const auditRetention = () => ({ retentionDays: RETENTION_DAYS, oldest: listDays().at(-1) ?? null });
+
+pruneAudit();
+setInterval(() => pruneAudit(), PRUNE_EVERY_MS).unref();
@@ -0,0 +1,141 @@
+// src/auth.js
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+
+/* ===========================
+   API keys con scopes y sesiones permitidas
+   - data/apikeys.json guarda sólo el hash (sha256) de cada key
+   - ADMIN_API_KEY (env) actúa como key admin sobre todas las sesiones
+   - si no hay ninguna key configurada la API queda abierta (modo legacy)
+=========================== */
+export const SCOPES = ['sessions:read', 'messages:send', 'sessions:manage', 'metrics:read', 'admin'];
+
+const KEYS_FILE = dataPath('apikeys.json');
+const keys = new Map((readJson(KEYS_FILE, []) || []).map((k) => [k.hash, k]));
+const persist = () => writeJson(KEYS_FILE, Array.from(keys.values()));
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const ENV_ADMIN = { id: 'env-admin', name: 'ADMIN_API_KEY', scopes: ['admin'], sessions: ['*'] };
+
+// clave "abierta" usada cuando no hay auth configurada
+const OPEN_KEY = { id: 'anonymous', name: 'anonymous', scopes: ['admin'], sessions: ['*'] };
+
+const hashKey = (raw) => crypto.createHash('sha256').update(String(raw)).digest('hex');
+const publicView = ({ hash, ...k }) => k;
+
+export const authEnabled = () => !!ADMIN_API_KEY || keys.size > 0;
+
+/** Busca la key por su valor en claro; null si no existe */
+export function resolveKey(raw) {
+  if (!authEnabled()) return OPEN_KEY;
+  if (!raw) return null;
+  if (ADMIN_API_KEY) {
+    const a = Buffer.from(hashKey(raw));
+    const b = Buffer.from(hashKey(ADMIN_API_KEY));
+    if (crypto.timingSafeEqual(a, b)) return ENV_ADMIN;
+  }
+  return keys.get(hashKey(raw)) || null;
+}
+
+export const hasScope = (key, scope) => !!key && (key.scopes.includes('admin') || key.scopes.includes(scope));
+
+export const canAccessSession = (key, sessionId) =>
+  !!key && (key.sessions.includes('*') || key.sessions.includes(String(sessionId)));
+
+/** ¿la key ve todas las sesiones? */
+export const isUnrestricted = (key) => !!key && key.sessions.includes('*');
+
+/** extrae la key de Authorization: Bearer / X-API-Key */
+function keyFromRequest(req) {
+  const h = req.headers.authorization || '';
+  if (/^Bearer\s+/i.test(h)) return h.replace(/^Bearer\s+/i, '').trim();
+  return req.headers['x-api-key'] || '';
+}
+
+/** key de la request (la de requireScope o resuelta del header); null si no hay / no existe */
+export const requestKey = (req) => req.apiKey || resolveKey(keyFromRequest(req));
+
+/**
+ * Middleware: exige `scope` y, si la ruta apunta a una sesión (req.params.id),
+ * que la key la cubra. Deja la key resuelta en req.apiKey.
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const key = resolveKey(keyFromRequest(req));
+    if (!key) return res.status(401).json({ ok: false, error: 'unauthorized' });
+    if (!hasScope(key, scope)) return res.status(403).json({ ok: false, error: 'forbidden_scope' });
+    // rutas admin (keys, webhooks, conectores...) afectan a todas las sesiones
+    if (scope === 'admin' && !isUnrestricted(key)) return res.status(403).json({ ok: false, error: 'forbidden_scope' });
+    const sessionId = req.params.id;
+    if (sessionId && !canAccessSession(key, sessionId)) {
+      return res.status(403).json({ ok: false, error: 'forbidden_session' });
+    }
+    req.apiKey = key;
+    next();
+  };
+}
+
+/** Middleware de handshake Socket.IO: auth.apiKey o ?apiKey= */
+export function socketAuth(socket, next) {
+  const raw = socket.handshake.auth?.apiKey || socket.handshake.query?.apiKey || '';
+  const key = resolveKey(raw);
+  if (!key) return next(new Error('unauthorized'));
+  if (!hasScope(key, 'sessions:read')) return next(new Error('forbidden_scope'));
+  socket.data.apiKey = key;
+  next();
+}
+
+/* ===========================
+   Gestión de keys
+=========================== */
+function normalize(input, base = {}) {
+  const out = { ...base };
+  if (input.name !== undefined) out.name = String(input.name || '');
+  if (input.scopes !== undefined) {
+    if (!Array.isArray(input.scopes) || !input.scopes.length) throw new Error('invalid_scopes');
+    const bad = input.scopes.filter((s) => !SCOPES.includes(s));
+    if (bad.length) throw new Error(`unknown_scopes:${bad.join(',')}`);
+    out.scopes = Array.from(new Set(input.scopes));
+  }
+  if (input.sessions !== undefined) {
+    if (!Array.isArray(input.sessions) || !input.sessions.length) throw new Error('invalid_sessions');
+    out.sessions = Array.from(new Set(input.sessions.map(String)));
+  }
+  // admin gestiona keys: acotado a algunas sesiones podría crear otra con '*'
+  if (out.scopes?.includes('admin') && !out.sessions?.includes('*')) throw new Error('admin_requires_all_sessions');
+  return out;
+}
+
+export function listApiKeys() {
+  return Array.from(keys.values()).map(publicView);
+}
+
+/** Crea una key; el valor en claro sólo se devuelve aquí */
+export function createApiKey(input = {}) {
+  if (!input.scopes) throw new Error('missing_scopes');
+  const raw = `wak_${crypto.randomBytes(24).toString('hex')}`;
+  const k = normalize(
+    { name: '', sessions: ['*'], ...input },
+    { id: crypto.randomUUID(), hash: hashKey(raw), prefix: raw.slice(0, 8), createdAt: Date.now() }
+  );
+  keys.set(k.hash, k);
+  persist();
+  return { ...publicView(k), key: raw };
+}
+
+export function updateApiKey(keyId, input = {}) {
+  const cur = Array.from(keys.values()).find((k) => k.id === keyId);
+  if (!cur) throw new Error('key_not_found');
+  const k = normalize(input, cur);
+  keys.set(k.hash, k);
+  persist();
+  return publicView(k);
+}
+
+export function deleteApiKey(keyId) {
+  const cur = Array.from(keys.values()).find((k) => k.id === keyId);
+  if (!cur) return false;
+  keys.delete(cur.hash);
+  persist();
+  return true;
+}
@@ -0,0 +1,159 @@
+// src/authstore.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import archiver from 'archiver';
+import unzipper from 'unzipper';
+import { DATA_DIR } from './jsonstore.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Credenciales de sesión (datos de auth de WhatsApp Web)
+   - AUTH_STORE=local (default): LocalAuth en SESSIONS_DIR/session-<id>
+   - AUTH_STORE=remote: RemoteAuth con `authStore`, un store de ARCHIVOS (no una base de
+     datos): un zip (cifrado si hay AUTH_STORE_SECRET) por sesión en AUTH_STORE_DIR,
+     montable como volumen para sobrevivir a rebuilds del contenedor.
+     AUTH_STORE=db se acepta como alias viejo de remote
+   - seal/unseal: formato cifrado de exports y snapshots (AES-256-GCM + scrypt)
+=========================== */
+export const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(process.cwd(), 'sessions');
+export const AUTH_STORE = ['remote', 'db'].includes(process.env.AUTH_STORE) ? 'remote' : 'local';
+if (process.env.AUTH_STORE === 'db') {
+  logger.child({ component: 'authstore' }).warn('AUTH_STORE=db está obsoleto: usar AUTH_STORE=remote (store de archivos)');
+}
+const STORE_DIR = process.env.AUTH_STORE_DIR || path.join(DATA_DIR, 'authstore');
+const STORE_SECRET = process.env.AUTH_STORE_SECRET || '';
+
+// lo único que hace falta para restaurar la vinculación (igual que RemoteAuth)
+const REQUIRED_DIRS = ['IndexedDB', 'Local Storage'];
+
+/** carpeta de perfil de Chromium de la sesión según la estrategia */
+export const profileDir = (id) =>
+  path.join(SESSIONS_DIR, AUTH_STORE === 'remote' ? `RemoteAuth-${id}` : `session-${id}`);
+
+/* ===========================
+   Cifrado: 'WAB1' | salt(16) | iv(12) | tag(16) | datos
+=========================== */
+const MAGIC = Buffer.from('WAB1');
+
+const deriveKey = (passphrase, salt) => crypto.scryptSync(String(passphrase), salt, 32);
+
+export function seal(buffer, passphrase) {
+  if (!passphrase) throw new Error('missing_passphrase');
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), data]);
+}
+
+export function unseal(buffer, passphrase) {
+  if (!passphrase) throw new Error('missing_passphrase');
+  if (!Buffer.isBuffer(buffer) || buffer.length < 48 || !buffer.subarray(0, 4).equals(MAGIC)) {
+    throw new Error('invalid_archive');
+  }
+  const salt = buffer.subarray(4, 20);
+  const iv = buffer.subarray(20, 32);
+  const tag = buffer.subarray(32, 48);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(48)), decipher.final()]);
+  } catch {
+    throw new Error('invalid_passphrase'); // o archivo alterado
+  }
+}
+
+/* ===========================
+   Zip del perfil
+=========================== */
+
+/** Zip (Buffer) con Default/{IndexedDB,Local Storage} del perfil + archivos extra; null si no hay datos */
+export async function zipProfile(dir, extra = {}) {
+  const base = path.join(dir, 'Default');
+  const dirs = REQUIRED_DIRS.filter((d) => fs.existsSync(path.join(base, d)));
+  if (!dirs.length) return null;
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', (c) => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    archive.once('end', resolve);
+    archive.once('error', reject);
+  });
+  for (const d of dirs) archive.directory(path.join(base, d), `Default/${d}`);
+  for (const [name, content] of Object.entries(extra)) archive.append(content, { name });
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+/** Lee un archivo suelto del zip (p.ej. manifest.json); null si no está */
+export async function readZipEntry(zip, name) {
+  const dir = await unzipper.Open.buffer(zip);
+  const entry = dir.files.find((f) => f.path === name);
+  return entry ? entry.buffer() : null;
+}
+
+/** Entradas Default/… del zip; lanza invalid_archive si no es un perfil o trae rutas fuera de Default/ */
+export async function checkProfileZip(zip) {
+  const files = (await unzipper.Open.buffer(zip)).files.filter((f) => f.type === 'File' && f.path.startsWith('Default/'));
+  if (!files.length) throw new Error('invalid_archive');
+  for (const f of files) {
+    if (path.posix.normalize(f.path).startsWith('..') || f.path.includes('/../')) throw new Error('invalid_archive'); // zip slip
+  }
+  return files;
+}
+
+/** Reemplaza el perfil `dir` por el contenido del zip (sólo Default/…) */
+export async function unzipProfile(zip, dir) {
+  const files = await checkProfileZip(zip);
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const f of files) {
+    const target = path.join(dir, f.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, await f.buffer());
+  }
+}
+
+/* ===========================
+   Store de archivos para RemoteAuth (AUTH_STORE=remote)
+   RemoteAuth deja el zip en SESSIONS_DIR/<session>.zip y llama save / extract
+=========================== */
+const storeFile = (session) => path.join(STORE_DIR, `${session}.zip${STORE_SECRET ? '.enc' : ''}`);
+const pack = (buf) => (STORE_SECRET ? seal(buf, STORE_SECRET) : buf);
+const unpack = (buf) => (STORE_SECRET ? unseal(buf, STORE_SECRET) : buf);
+
+export const authStore = {
+  async sessionExists({ session }) {
+    return fs.existsSync(storeFile(session));
+  },
+  async save({ session }) {
+    const zip = fs.readFileSync(path.join(SESSIONS_DIR, `${session}.zip`));
+    fs.mkdirSync(STORE_DIR, { recursive: true });
+    const tmp = `${storeFile(session)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, pack(zip));
+    fs.renameSync(tmp, storeFile(session));
+  },
+  async extract({ session, path: dest }) {
+    fs.writeFileSync(dest, unpack(fs.readFileSync(storeFile(session))));
+  },
+  async delete({ session }) {
+    fs.rmSync(storeFile(session), { force: true });
+  },
+};
+
+export const hasStoredZip = (id) => fs.existsSync(storeFile(`RemoteAuth-${id}`));
+
+/** zip guardado en el store para la sesión `id` (null si no hay) */
+export function readStoredZip(id) {
+  const file = storeFile(`RemoteAuth-${id}`);
+  return fs.existsSync(file) ? unpack(fs.readFileSync(file)) : null;
+}
+
+/** guarda un zip como credenciales de la sesión `id` en el store */
+export function writeStoredZip(id, zip) {
+  fs.mkdirSync(STORE_DIR, { recursive: true });
+  fs.writeFileSync(storeFile(`RemoteAuth-${id}`), pack(zip));
+}
+
+export const deleteStoredZip = (id) => authStore.delete({ session: `RemoteAuth-${id}` });
@@ -0,0 +1,192 @@
+// src/backups.js
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './jsonstore.js';
+import { getEntry, listEntries, upsertEntry } from './registry.js';
+import {
+  bus,
+  createSession,
+  describeSession,
+  getSession,
+  hasCredentials,
+  releaseLocal,
+  sessionExists,
+} from './connections.js';
+import {
+  AUTH_STORE,
+  profileDir,
+  seal,
+  unseal,
+  zipProfile,
+  readZipEntry,
+  checkProfileZip,
+  unzipProfile,
+  readStoredZip,
+  writeStoredZip,
+} from './authstore.js';
+import { clusterEnabled } from './leases.js';
+import { fireWebhook } from './webhooks.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Export / import de credenciales y snapshots programados
+   - archivo .wab: zip del perfil (IndexedDB + Local Storage) + manifest.json,
+     cifrado con passphrase (ver seal() en authstore.js)
+   - snapshots en BACKUP_DIR/<sessionId>/<fecha>.wab cifrados con BACKUP_SECRET,
+     cada BACKUP_INTERVAL_MS (0 = desactivado), se guardan los últimos BACKUP_KEEP
+   - con BACKUP_SECRET, DELETE de una sesión deja un snapshot antes de borrar
+=========================== */
+const log = logger.child({ component: 'backups' });
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const BACKUP_SECRET = process.env.BACKUP_SECRET || '';
+const BACKUP_INTERVAL_MS = Number(process.env.BACKUP_INTERVAL_MS || 0);
+const BACKUP_KEEP = Math.max(1, Number(process.env.BACKUP_KEEP || 7));
+const MIN_PASSPHRASE = 8;
+
+const sessionBackupDir = (id) => path.join(BACKUP_DIR, encodeURIComponent(id));
+const stamp = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z'); // 20261019T180700Z
+
+/** zip con las credenciales actuales de la sesión (null si no hay) */
+async function sessionZip(id) {
+  const manifest = { format: 1, id, exportedAt: Date.now(), authStore: AUTH_STORE, meta: getEntry(id) };
+  const zip = await zipProfile(profileDir(id), { 'manifest.json': JSON.stringify(manifest) });
+  // RemoteAuth sin perfil extraído (sesión detenida): lo que haya en el store
+  return zip || (AUTH_STORE === 'remote' ? readStoredZip(id) : null);
+}
+
+function checkPassphrase(passphrase) {
+  if (!passphrase) throw new Error('missing_passphrase');
+  if (String(passphrase).length < MIN_PASSPHRASE) throw new Error('weak_passphrase');
+  return String(passphrase);
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/** Credenciales cifradas: { fileName, buffer } (passphrase o BACKUP_SECRET) */
+export async function exportSession(id, passphrase = BACKUP_SECRET) {
+  if (!sessionExists(id)) throw new Error('session_not_found');
+  const key = checkPassphrase(passphrase);
+  const zip = await sessionZip(id);
+  if (!zip) throw new Error('no_credentials');
+  return { fileName: `session-${id}-${stamp()}.wab`, buffer: seal(zip, key) };
+}
+
+/**
+ * Importa un .wab como credenciales de la sesión `id` (reemplaza las actuales).
+ * Si la sesión corre en este nodo se cierra antes; con start=true se arranca al final.
+ */
+export async function importSession(id, buffer, passphrase = BACKUP_SECRET, { start = true } = {}) {
+  if (!id) throw new Error('missing_session_id');
+  if (!buffer?.length) throw new Error('missing_file');
+  const zip = unseal(buffer, checkPassphrase(passphrase));
+  let manifest = null;
+  try {
+    manifest = JSON.parse((await readZipEntry(zip, 'manifest.json'))?.toString('utf8') || 'null');
+  } catch {
+    throw new Error('invalid_archive');
+  }
+
+  await checkProfileZip(zip); // validar antes de cerrar la sesión / pisar credenciales
+
+  if (getSession(id)) await releaseLocal(id);
+  if (AUTH_STORE === 'remote') {
+    fs.rmSync(profileDir(id), { recursive: true, force: true });
+    writeStoredZip(id, zip);
+  } else {
+    await unzipProfile(zip, profileDir(id));
+  }
+
+  const m = manifest?.meta || {};
+  const meta = { name: m.name, team: m.team, pipeline: m.pipeline, labels: m.labels };
+  for (const k of Object.keys(meta)) if (meta[k] === undefined) delete meta[k];
+  if (start) {
+    upsertEntry(id, { ...meta, desiredState: 'running', disabled: false });
+    createSession(id).catch((e) => log.error('no se pudo iniciar la sesión importada', { sessionId: id, err: e.message }));
+  } else {
+    upsertEntry(id, { ...meta, desiredState: 'stopped' });
+  }
+  const payload = { id, from: manifest?.id ?? null, exportedAt: manifest?.exportedAt ?? null };
+  bus.emit('session_imported', payload);
+  fireWebhook('session_imported', payload);
+  return describeSession(id);
+}
+
+/** Snapshot cifrado con BACKUP_SECRET; devuelve { id, createdAt, size } */
+export async function snapshotSession(id, reason = 'manual') {
+  if (!BACKUP_SECRET) throw new Error('backup_secret_not_configured');
+  const zip = await sessionZip(id);
+  if (!zip) throw new Error('no_credentials');
+  const dir = sessionBackupDir(id);
+  fs.mkdirSync(dir, { recursive: true });
+  const backupId = stamp();
+  const file = path.join(dir, `${backupId}.wab`);
+  const buf = seal(zip, BACKUP_SECRET);
+  fs.writeFileSync(file, buf);
+  pruneSnapshots(id);
+  log.info('snapshot de sesión', { sessionId: id, backupId, reason, bytes: buf.length });
+  return { id: backupId, createdAt: fs.statSync(file).mtimeMs, size: buf.length, reason };
+}
+
+function pruneSnapshots(id) {
+  const list = listBackups(id);
+  for (const b of list.slice(BACKUP_KEEP)) fs.rmSync(path.join(sessionBackupDir(id), `${b.id}.wab`), { force: true });
+}
+
+/** Snapshots de la sesión, más recientes primero */
+export function listBackups(id) {
+  const dir = sessionBackupDir(id);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((n) => n.endsWith('.wab'))
+    .map((n) => {
+      const st = fs.statSync(path.join(dir, n));
+      return { id: n.replace(/\.wab$/, ''), createdAt: st.mtimeMs, size: st.size };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** Restaura un snapshot (mismo flujo que import) */
+export async function restoreBackup(id, backupId, opts = {}) {
+  if (!/^[\w-]+$/.test(String(backupId || ''))) throw new Error('invalid_backup_id');
+  const file = path.join(sessionBackupDir(id), `${backupId}.wab`);
+  if (!fs.existsSync(file)) throw new Error('backup_not_found');
+  return importSession(id, fs.readFileSync(file), BACKUP_SECRET, opts);
+}
+
+/** Antes de borrar: último snapshot (si hay BACKUP_SECRET); nunca bloquea el borrado */
+export async function snapshotBeforeDelete(id) {
+  if (!BACKUP_SECRET || !hasCredentials(id)) return null;
+  return snapshotSession(id, 'delete').catch((e) => {
+    log.warn('snapshot previo al borrado falló', { sessionId: id, err: e.message });
+    return null;
+  });
+}
+
+/* ===========================
+   Programados
+=========================== */
+async function runSnapshots() {
+  for (const { id } of listEntries()) {
+    if (clusterEnabled() && !getSession(id)) continue; // en cluster, cada nodo las suyas
+    if (!hasCredentials(id)) continue;
+    await snapshotSession(id, 'scheduled').catch((e) => log.warn('snapshot falló', { sessionId: id, err: e.message }));
+  }
+}
+
+if (BACKUP_INTERVAL_MS > 0) {
+  if (!BACKUP_SECRET) {
+    log.warn('BACKUP_INTERVAL_MS sin BACKUP_SECRET: snapshots programados desactivados');
+  } else {
+    let running = false;
+    setInterval(() => {
+      if (running) return;
+      running = true;
+      runSnapshots().finally(() => {
+        running = false;
+      });
+    }, BACKUP_INTERVAL_MS).unref();
+  }
+}
@@ -0,0 +1,294 @@
+// src/campaigns.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, readJson, writeJson } from './jsonstore.js';
+import { bus } from './connections.js';
+import { fireWebhook } from './webhooks.js';
+import { enqueueSend, waitForJob, getJob, cancelJob } from './sendqueue.js';
+import { parseCsv, toCsv } from './csv.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Campañas (broadcast) por sesión
+   - data/campaigns/<id>.json (+ <id>.media con el adjunto opcional)
+   - plantilla con {{variables}} por destinatario
+   - se alimenta la cola de envío de a un destinatario (la cola aplica el rate limit)
+   - estados: running | paused | cancelled | completed | failed (error inesperado del runner)
+=========================== */
+const log = logger.child({ component: 'campaigns' });
+const CAMPAIGNS_DIR = path.join(DATA_DIR, 'campaigns');
+if (!fs.existsSync(CAMPAIGNS_DIR)) fs.mkdirSync(CAMPAIGNS_DIR, { recursive: true });
+
+const MAX_RECIPIENTS = Number(process.env.CAMPAIGN_MAX_RECIPIENTS || 10000);
+const WAIT_SLICE_MS = 30_000; // cada cuánto se revisa pausa/cancelación mientras se espera un envío
+
+// columnas aceptadas como destinatario en CSV/JSON
+const TO_KEYS = ['to', 'phone', 'telefono', 'numero', 'number'];
+
+const campaigns = new Map(); // campaignId -> campaign
+const active = new Set();    // campaignId con loop corriendo
+
+const fileOf = (id) => path.join(CAMPAIGNS_DIR, `${id}.json`);
+const mediaOf = (id) => path.join(CAMPAIGNS_DIR, `${id}.media`);
+const save = (c) => writeJson(fileOf(c.id), c);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** reemplaza {{var}}; lanza missing_variable si falta alguna */
+export function renderTemplate(template, vars = {}) {
+  return String(template || '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_m, k) => {
+    const v = vars[k];
+    if (v === undefined || v === null || v === '') throw new Error(`missing_variable:${k}`);
+    return String(v);
+  });
+}
+
+/** normaliza una fila (CSV u objeto JSON) a { to, vars } */
+function toRecipient(row) {
+  const src = row?.vars ? { ...row.vars, to: row.to } : { ...row };
+  const key = TO_KEYS.find((k) => src[k]);
+  if (!key) return null;
+  const to = String(src[key]).trim();
+  delete src[key];
+  return { to, vars: src };
+}
+
+function counters(c) {
+  const out = { total: c.recipients.length, pending: 0, queued: 0, sent: 0, failed: 0, cancelled: 0 };
+  for (const r of c.recipients) out[r.status] = (out[r.status] || 0) + 1;
+  return out;
+}
+
+const summary = ({ recipients, ...c }) => ({ ...c, progress: counters({ recipients }) });
+
+function emit(ev, c, extra = {}) {
+  const payload = { id: c.sessionId, campaignId: c.id, status: c.status, progress: counters(c), ...extra };
+  bus.emit(ev, payload);
+  fireWebhook(ev, payload);
+}
+
+function setResult(c, r, status, fields = {}) {
+  Object.assign(r, fields, { status, finishedAt: Date.now() });
+  save(c);
+  emit('campaign_progress', c, {
+    recipient: { index: r.index, to: r.to, status, id_msg: r.id_msg || null, error: r.error || null },
+  });
+}
+
+function finishCampaign(c, status) {
+  c.status = status;
+  c.finishedAt = Date.now();
+  save(c);
+  if (fs.existsSync(mediaOf(c.id))) fs.rmSync(mediaOf(c.id), { force: true });
+  emit('campaign_finished', c, c.error ? { error: c.error } : {});
+}
+
+function recordJobResult(c, r, job) {
+  if (r.status !== 'queued') return;
+  if (job.status === 'sent') setResult(c, r, 'sent', { id_msg: job.result?.id_msg || null });
+  else setResult(c, r, job.status === 'cancelled' ? 'cancelled' : 'failed', { error: job.lastError });
+}
+
+/* ===========================
+   Runner
+=========================== */
+async function run(c) {
+  if (active.has(c.id)) return;
+  active.add(c.id);
+  try {
+    while (c.status === 'running') {
+      const r = c.recipients.find((x) => x.status === 'queued') || c.recipients.find((x) => x.status === 'pending');
+      if (!r) {
+        finishCampaign(c, 'completed');
+        break;
+      }
+
+      if (r.status === 'pending') {
+        let text;
+        try {
+          text = renderTemplate(c.template, r.vars);
+        } catch (e) {
+          setResult(c, r, 'failed', { error: e.message });
+          continue;
+        }
+        const meta = { campaignId: c.id, index: r.index };
+        let job;
+        try {
+          job = c.media
+            ? enqueueSend(c.sessionId, {
+              kind: 'media',
+              to: r.to,
+              buffer: fs.readFileSync(mediaOf(c.id)),
+              mime: c.media.mime,
+              fileName: c.media.fileName,
+              opts: { caption: text },
+              meta,
+            })
+            : enqueueSend(c.sessionId, { kind: 'text', to: r.to, text, meta });
+        } catch (e) {
+          // la cola lo rechazó (destino inválido, media perdida...): falla ese destinatario y sigue
+          setResult(c, r, 'failed', { error: e.message });
+          continue;
+        }
+        r.status = 'queued';
+        r.jobId = job.id;
+        save(c);
+      }
+
+      const done = await waitForJob(r.jobId, WAIT_SLICE_MS);
+      if (!done) {
+        if (!getJob(c.sessionId, r.jobId)) setResult(c, r, 'failed', { error: 'job_lost' });
+        continue; // sigue en cola: volver a revisar pausa/cancelación
+      }
+      recordJobResult(c, r, done);
+
+      if (c.delayMs && c.status === 'running') await sleep(c.delayMs);
+    }
+  } catch (e) {
+    log.error('error en campaña', { sessionId: c.sessionId, campaignId: c.id, err: e });
+    // sin runner la campaña no avanza: cerrarla en vez de dejarla 'running' para siempre
+    if (c.status === 'running') {
+      c.error = e.message;
+      finishCampaign(c, 'failed');
+    }
+  } finally {
+    active.delete(c.id);
+  }
+}
+
+/** quita de la cola el envío en curso (si aún no salió) y lo devuelve a `status` */
+function withdrawQueued(c, status) {
+  for (const r of c.recipients) {
+    if (r.status !== 'queued') continue;
+    try {
+      cancelJob(c.sessionId, r.jobId);
+      r.status = status;
+      delete r.jobId;
+    } catch {
+      // ya se está enviando: registrar el resultado cuando termine
+      waitForJob(r.jobId, WAIT_SLICE_MS).then((done) => done && recordJobResult(c, r, done));
+    }
+  }
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/**
+ * Crea y arranca una campaña.
+ * input: { name, template, recipients (array | JSON string), recipientsCsv (string),
+ *          delayMs, media: { buffer, mime, fileName } }
+ */
+export function createCampaign(sessionId, input = {}) {
+  let rows = [];
+  if (input.recipientsCsv) rows = parseCsv(input.recipientsCsv);
+  else if (typeof input.recipients === 'string') {
+    try { rows = JSON.parse(input.recipients); } catch { throw new Error('invalid_recipients'); }
+  } else rows = input.recipients;
+
+  if (!Array.isArray(rows) || !rows.length) throw new Error('missing_recipients');
+  if (rows.length > MAX_RECIPIENTS) throw new Error('too_many_recipients');
+  if (!input.template && !input.media) throw new Error('missing_template');
+
+  const recipients = rows.map((row, index) => {
+    const r = toRecipient(row);
+    return r
+      ? { index, ...r, status: 'pending' }
+      : { index, to: null, vars: {}, status: 'failed', error: 'missing_to' };
+  });
+
+  const c = {
+    id: crypto.randomUUID(),
+    sessionId,
+    name: String(input.name || ''),
+    template: String(input.template || ''),
+    delayMs: Math.max(0, Number(input.delayMs) || 0),
+    media: input.media ? { mime: input.media.mime, fileName: input.media.fileName || 'file' } : null,
+    status: 'running',
+    createdAt: Date.now(),
+    recipients,
+  };
+  if (input.media) fs.writeFileSync(mediaOf(c.id), input.media.buffer);
+  save(c);
+  campaigns.set(c.id, c);
+  emit('campaign_progress', c);
+  run(c);
+  return summary(c);
+}
+
+export function listCampaigns(sessionId) {
+  return Array.from(campaigns.values())
+    .filter((c) => c.sessionId === sessionId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(summary);
+}
+
+export function getCampaign(sessionId, campaignId) {
+  const c = campaigns.get(campaignId);
+  if (!c || c.sessionId !== sessionId) return null;
+  return { ...summary(c), recipients: c.recipients };
+}
+
+function mustGet(sessionId, campaignId) {
+  const c = campaigns.get(campaignId);
+  if (!c || c.sessionId !== sessionId) throw new Error('campaign_not_found');
+  return c;
+}
+
+export function pauseCampaign(sessionId, campaignId) {
+  const c = mustGet(sessionId, campaignId);
+  if (c.status !== 'running') throw new Error(`campaign_not_running:${c.status}`);
+  c.status = 'paused';
+  withdrawQueued(c, 'pending');
+  save(c);
+  emit('campaign_progress', c);
+  return summary(c);
+}
+
+export function resumeCampaign(sessionId, campaignId) {
+  const c = mustGet(sessionId, campaignId);
+  if (c.status !== 'paused') throw new Error(`campaign_not_paused:${c.status}`);
+  c.status = 'running';
+  save(c);
+  emit('campaign_progress', c);
+  run(c);
+  return summary(c);
+}
+
+export function cancelCampaign(sessionId, campaignId) {
+  const c = mustGet(sessionId, campaignId);
+  if (!['running', 'paused'].includes(c.status)) throw new Error(`campaign_finished:${c.status}`);
+  withdrawQueued(c, 'cancelled');
+  for (const r of c.recipients) {
+    if (r.status === 'pending' || (r.status === 'cancelled' && !r.finishedAt)) {
+      Object.assign(r, { status: 'cancelled', finishedAt: Date.now() });
+    }
+  }
+  finishCampaign(c, 'cancelled');
+  return summary(c);
+}
+
+/** Reporte CSV por destinatario */
+export function campaignReportCsv(sessionId, campaignId) {
+  const c = mustGet(sessionId, campaignId);
+  const rows = c.recipients.map((r) => ({
+    index: r.index,
+    to: r.to,
+    status: r.status,
+    message_id: r.id_msg || '',
+    error: r.error || '',
+    finished_at: r.finishedAt ? new Date(r.finishedAt).toISOString() : '',
+  }));
+  // to y error vienen del CSV subido / de WhatsApp: sin fórmulas
+  return toCsv(rows, ['index', 'to', 'status', 'message_id', 'error', 'finished_at'], { formulaSafe: true });
+}
+
+// Cargar campañas guardadas y reanudar las que estaban corriendo
+for (const name of fs.readdirSync(CAMPAIGNS_DIR)) {
+  if (!name.endsWith('.json')) continue;
+  const c = readJson(path.join(CAMPAIGNS_DIR, name));
+  if (!c?.id) continue;
+  campaigns.set(c.id, c);
+  if (c.status === 'running') run(c);
+}
@@ -0,0 +1,211 @@
+// src/cluster.js
+import http from 'http';
+import https from 'https';
+import { createAdapter } from '@socket.io/redis-adapter';
+import {
+  bus,
+  createSession,
+  describeSession,
+  getSession,
+  listSessions,
+  localSessionIds,
+  releaseLocal,
+} from './connections.js';
+import { listEntries, shouldRun } from './registry.js';
+import {
+  NODE_ID,
+  LEASE_TTL_MS,
+  clusterEnabled,
+  renewLeases,
+  heartbeat,
+  listNodes,
+  ownerOf,
+  publishStatus,
+  clearStatus,
+  getStatuses,
+  newRedisConnection,
+  closeRedis,
+} from './leases.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Sharding de sesiones entre nodos (REDIS_URL)
+   - cada nodo renueva los leases de sus sesiones y publica un heartbeat
+   - las sesiones sin dueño (nodo caído / lease vencido) las toma el nodo
+     con menos sesiones, respetando CLUSTER_MAX_SESSIONS
+   - REST de /api/sessions/:id/* se proxea al nodo dueño
+   - Socket.IO usa el adapter de Redis: los eventos llegan a todos los nodos
+   Requisito: DATA_DIR y SESSIONS_DIR en un volumen compartido por todos los nodos.
+=========================== */
+const log = logger.child({ component: 'cluster', node: NODE_ID });
+const RENEW_EVERY_MS = Math.max(1000, Math.floor(LEASE_TTL_MS / 3));
+const TAKEOVER_EVERY_MS = Number(process.env.TAKEOVER_EVERY_MS || LEASE_TTL_MS);
+const MAX_SESSIONS = Number(process.env.CLUSTER_MAX_SESSIONS || 0); // 0 = sin límite
+const PROXY_TIMEOUT_MS = Number(process.env.CLUSTER_PROXY_TIMEOUT_MS || 120_000);
+const FORWARDED_HEADER = 'x-wa-forwarded-by';
+
+let timers = [];
+let stopping = false;
+
+/* ===========================
+   Leases: renovación y takeover
+=========================== */
+async function renewTick() {
+  const ids = localSessionIds();
+  const lost = await renewLeases(ids);
+  for (const id of lost) {
+    log.warn('lease perdido, se cierra la sesión local', { sessionId: id });
+    await releaseLocal(id).catch((e) => log.error('error cerrando sesión', { sessionId: id, err: e.message }));
+  }
+  await heartbeat(localSessionIds().length);
+}
+
+/** ¿este nodo es de los menos cargados? (evita que uno solo se quede con todo) */
+async function shouldTakeMore() {
+  const mine = localSessionIds().length;
+  if (MAX_SESSIONS && mine >= MAX_SESSIONS) return false;
+  const others = (await listNodes()).filter((n) => n.nodeId !== NODE_ID);
+  return !others.length || mine <= Math.min(...others.map((n) => n.sessions ?? 0));
+}
+
+async function takeoverTick() {
+  // orden aleatorio: los nodos no compiten siempre por la misma sesión
+  const candidates = listEntries()
+    .filter((e) => shouldRun(e.id) && !getSession(e.id))
+    .sort(() => Math.random() - 0.5);
+  for (const { id } of candidates) {
+    if (stopping || !(await shouldTakeMore())) return;
+    if (await ownerOf(id)) continue;
+    try {
+      await createSession(id);
+      await heartbeat(localSessionIds().length);
+      log.info('sesión tomada', { sessionId: id });
+    } catch (e) {
+      if (e.message !== 'session_owned_elsewhere') log.error('no se pudo tomar la sesión', { sessionId: id, err: e.message });
+    }
+  }
+}
+
+function every(ms, fn, name) {
+  let running = false;
+  const t = setInterval(async () => {
+    if (running || stopping) return;
+    running = true;
+    try {
+      await fn();
+    } catch (e) {
+      log.error(`error en ${name}`, { err: e.message });
+    } finally {
+      running = false;
+    }
+  }, ms);
+  t.unref();
+  timers.push(t);
+}
+
+// estado de cada sesión visible desde cualquier nodo
+const STATUS_EVENTS = ['qr', 'pairing_code', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'init_failure', 'session_stopped'];
+function publishOn(ev) {
+  bus.on(ev, ({ id }) => {
+    if (!id) return;
+    publishStatus(id, describeSession(id).status).catch(() => {});
+  });
+}
+
+/** Arranca el modo cluster (en lugar de restoreAllSessions) */
+export async function startCluster() {
+  for (const ev of STATUS_EVENTS) publishOn(ev);
+  bus.on('session_deleted', ({ id }) => clearStatus(id).catch(() => {}));
+
+  await heartbeat(0);
+  every(RENEW_EVERY_MS, renewTick, 'renovación de leases');
+  every(TAKEOVER_EVERY_MS, takeoverTick, 'takeover');
+  await takeoverTick();
+
+  process.once('SIGTERM', () => stopCluster().finally(() => process.exit(0)));
+  process.once('SIGINT', () => stopCluster().finally(() => process.exit(0)));
+  return localSessionIds();
+}
+
+/** Apagado ordenado: cierra los Chromium locales y libera los leases para que otro nodo los tome */
+export async function stopCluster() {
+  stopping = true;
+  for (const t of timers) clearInterval(t);
+  timers = [];
+  await Promise.all(localSessionIds().map((id) => releaseLocal(id).catch(() => {})));
+  await closeRedis();
+}
+
+/* ===========================
+   Vistas para REST / Socket.IO
+=========================== */
+
+/** listSessions() con el estado publicado por el nodo dueño de cada sesión */
+export async function clusterSessions() {
+  const list = listSessions();
+  if (!clusterEnabled()) return list;
+  const statuses = await getStatuses();
+  return list.map((s) => {
+    if (getSession(s.id)) return { ...s, node: NODE_ID };
+    const remote = statuses[s.id];
+    return remote ? { ...s, status: remote.status, node: remote.node } : { ...s, node: null };
+  });
+}
+
+/** Adapter de Redis para que io.to(room).emit() llegue a los sockets de todos los nodos */
+export function attachSocketAdapter(io) {
+  if (!clusterEnabled()) return;
+  io.adapter(createAdapter(newRedisConnection(), newRedisConnection(), { key: 'wa-socket.io' }));
+}
+
+/* ===========================
+   Proxy REST al nodo dueño
+=========================== */
+
+/**
+ * Reenvía la request al nodo que tiene la sesión; false si la sesión es local
+ * o no tiene dueño (la atiende este nodo). `body` para requests ya parseadas.
+ */
+export async function forwardToOwner(req, res, sessionId, body = null) {
+  if (!clusterEnabled() || req.headers[FORWARDED_HEADER] || getSession(sessionId)) return false;
+  const owner = await ownerOf(sessionId).catch(() => null);
+  if (!owner || owner.nodeId === NODE_ID) return false;
+  if (!owner.url) {
+    res.status(503).json({ ok: false, error: 'owner_unreachable', node: owner.nodeId });
+    return true;
+  }
+
+  const target = new URL(req.originalUrl, owner.url);
+  const headers = { ...req.headers, host: target.host, [FORWARDED_HEADER]: NODE_ID };
+  let payload = null;
+  if (body) {
+    payload = Buffer.from(JSON.stringify(body));
+    headers['content-type'] = 'application/json';
+    headers['content-length'] = String(payload.length);
+    delete headers['transfer-encoding'];
+  }
+  const lib = target.protocol === 'https:' ? https : http;
+  const upstream = lib.request(target, { method: req.method, headers, timeout: PROXY_TIMEOUT_MS }, (r) => {
+    res.status(r.statusCode);
+    for (const [k, v] of Object.entries(r.headers)) if (v !== undefined) res.setHeader(k, v);
+    r.pipe(res);
+  });
+  upstream.on('timeout', () => upstream.destroy(new Error('proxy_timeout')));
+  upstream.on('error', (e) => {
+    log.warn('proxy al nodo dueño falló', { sessionId, owner: owner.nodeId, err: e.message });
+    if (!res.headersSent) res.status(502).json({ ok: false, error: 'owner_unreachable', node: owner.nodeId });
+    else res.destroy();
+  });
+  if (payload) upstream.end(payload);
+  else req.pipe(upstream);
+  return true;
+}
+
+/** Middleware para /api/sessions/:id (montar ANTES de express.json / multer: reenvía el body crudo) */
+export function proxyToOwner(req, res, next) {
+  forwardToOwner(req, res, req.params.id)
+    .then((forwarded) => {
+      if (!forwarded) next();
+    })
+    .catch(next);
+}
@@ -1,35 +1,55 @@
 // src/connections.js
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import EventEmitter from 'events';
 import { toDataURL } from 'qrcode';
 
 // whatsapp-web.js (CommonJS)
 import wwebjs from 'whatsapp-web.js';
-const { Client, LocalAuth, MessageMedia } = wwebjs;
+const { Client, LocalAuth, RemoteAuth, MessageMedia, Location, Poll } = wwebjs;
 
 import mime from 'mime'; // npm i mime
 import { fireWebhook } from './webhooks.js';
+import { deliverToCRM } from './connectors.js';
+import { deliveryState } from './outbox.js';
+import { recordMessage, updateAck, ackName, reloadMessages, getMessage } from './messages.js';
+import { storeMedia } from './media.js';
+import { getEntry, listEntries, upsertEntry, removeEntry, shouldRun } from './registry.js';
+import { logger } from './logger.js';
+import { metrics, processTreeRss } from './metrics.js';
+import { clusterEnabled, acquireLease, releaseLease } from './leases.js';
+import { SESSIONS_DIR, AUTH_STORE, authStore, profileDir, hasStoredZip, deleteStoredZip } from './authstore.js';
 
 /* ===========================
    Config & helpers
 =========================== */
-export const bus = new EventEmitter(); // qr, authenticated, ready, auth_failure, disconnected, message
+const log = logger.child({ component: 'connections' });
+export const bus = new EventEmitter(); // qr, authenticated, ready, auth_failure, disconnected, init_failure, session_stopped, session_deleted, session_acquired, session_released, pairing_code, message, message_sent (teléfono), message_ack, message_revoked, message_edited, call, group_join, group_leave, group_update, sync_progress, sync_finished
 
-const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(process.cwd(), 'sessions');
+// Vinculación por código: WhatsApp renueva el código cada ~3 min
+const PAIRING_CODE_INTERVAL_MS = Number(process.env.PAIRING_CODE_INTERVAL_MS || 180_000);
+// RemoteAuth: cada cuánto sube el perfil al store (mínimo 60s)
+const AUTH_SYNC_MS = Math.max(60_000, Number(process.env.AUTH_STORE_SYNC_MS || 5 * 60_000));
 if (!fs.existsSync(SESSIONS_DIR)) fs.mkdirSync(SESSIONS_DIR, { recursive: true });
 
 // tamaño máx. (bytes) para adjuntar base64 en webhook de mensajes entrantes
 const WEBHOOK_MEDIA_MAX = Number(process.env.WEBHOOK_MEDIA_MAX || 1_500_000); // ~1.5 MB
 
-// URLs de entorno
-const { PUBLIC_BASE_URL, CRM_BASE_URL, CRM_API_TOKEN } = process.env;
+const DESTROY_TIMEOUT_MS = 15_000;
 
-// fetch (Node 18+ nativo; fallback si fuese necesario)
-const fetchFn = globalThis.fetch || (async (...args) => (await import('node-fetch')).default(...args));
+// tipos de 'message_create' que no son mensajes del usuario
+const SYSTEM_TYPES = new Set(['e2e_notification', 'notification', 'notification_template', 'gp2', 'protocol', 'revoked', 'ciphertext', 'call_log']);
+
+// Llamadas entrantes: rechazo automático + respuesta (el registro puede pisarlo por sesión)
+const CALL_REJECT = process.env.CALL_REJECT === '1';
+const CALL_REJECT_MESSAGE = process.env.CALL_REJECT_MESSAGE || '';
 
 // Sesiones vivas en memoria: id -> { client, status, info, me }
 const clients = new Map();
+const pairingPhones = new Map(); // sessionId -> teléfono para vincular por código (hasta 'ready')
+const apiActions = new Set(); // ids de mensajes enviados/editados/revocados por la API (ya notificados)
+const apiSending = new Map(); // `${sessionId}|${chatId}` -> { count, waiters[] }: envíos de la API en curso
 const statusOf = (id) => clients.get(id)?.status || 'offline';
 
 function buildPuppeteerConfig() {
@@ -53,8 +73,22 @@ function buildPuppeteerConfig() {
   return conf;
 }
 
+function buildAuthStrategy(id) {
+  if (AUTH_STORE === 'remote') {
+    return new RemoteAuth({ clientId: id, dataPath: SESSIONS_DIR, store: authStore, backupSyncIntervalMs: AUTH_SYNC_MS });
+  }
+  return new LocalAuth({ clientId: id, dataPath: SESSIONS_DIR });
+}
+
+/** teléfono para pairing code: sólo dígitos con código de país (8..15) */
+function normalizePairingPhone(raw) {
+  const digits = String(raw ?? '').replace(/^\s*(\+|00)/, '').replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) throw new Error('invalid_phone_number');
+  return digits;
+}
+
 /** normaliza un número a chatId de WhatsApp */
-function toChatId(raw) {
+export function toChatId(raw) {
   if (!raw) return null;
   const s = String(raw).trim();
   if (/@(c\.us|g\.us)$/i.test(s)) return s;
@@ -76,77 +110,165 @@ function isOggOpus(mimeStr = '') {
   return /^audio\/ogg(?:;.*)?$/i.test(mimeStr);
 }
 
-/** extensión segura desde mime */
-function extFromMime(m) {
-  try { return mime.getExtension(m) || 'bin'; } catch { return 'bin'; }
-}
-
-/** guarda base64 en /public/uploads/wa/YYYY/MM y devuelve { url, name, mime, size } */
-function saveBase64ToUploads(base64, mimeType) {
-  const buf = Buffer.from(base64, 'base64');
-  const now = new Date();
-  const yy = String(now.getFullYear());
-  const mm = String(now.getMonth() + 1).padStart(2, '0');
-  const dir = path.join('public', 'uploads', 'wa', yy, mm);
-  fs.mkdirSync(dir, { recursive: true });
-
-  const ext = extFromMime(mimeType);
-  const name = `${Date.now()}-${Math.random().toString(16).slice(2, 10)}.${ext}`;
-  const full = path.join(dir, name);
-  fs.writeFileSync(full, buf);
-
-  const baseUrl = PUBLIC_BASE_URL || '';
-  const url = `${baseUrl}/uploads/wa/${yy}/${mm}/${name}`;
-  return { url, name, mime: mimeType, size: buf.length };
-}
-
-/** mapea tipos de whatsapp-web.js a tipos del CRM */
-function mapWwebTypeToCRM(t) {
-  switch (t) {
-    case 'chat': return 'text';
-    case 'image': return 'image';
-    case 'video': return 'video';
-    case 'audio':
-    case 'ptt': return 'audio';
-    case 'document': return 'file';
-    case 'sticker': return 'image'; // webp -> render como imagen
-    default: return 'text';
-  }
+/**
+ * Payload normalizado para el CRM (mismo formato para todos los eventos); el conector
+ * de la sesión lo mapea a lo que espera cada CRM (ver connectors.js).
+ * `data`: { from, to, fromMe, body, type, timestamp, id_msg } como en el handler de 'message'.
+ * event: message | edited | revoked | call | history (backfill)
+ */
+/** id fijo de la entrega al CRM de un mensaje (Idempotency-Key): crm-<kind>-<sha1> */
+const crmDeliveryId = (kind, sessionId, idMsg) =>
+  `crm-${kind}-${crypto.createHash('sha1').update(`${sessionId}:${idMsg}`).digest('hex')}`;
+
+function buildCRMPayload(data, event = 'message', extra = null) {
+  return {
+    channel: 'whatsapp',
+    direction: data.fromMe ? 'out' : 'in',
+    chat_id: data.fromMe ? data.to : data.from, // el CRM lo normaliza a E.164
+    wa_message_id: data.id_msg || null,
+    body: data.body || '',
+    wa_type: data.type || 'chat', // el conector lo traduce a `type`
+    created_at_ms: data.timestamp,
+    event,
+    ...(extra || {}),
+  };
+}
+
+/**
+ * Descarga la media del mensaje al backend de media (y caption -> body).
+ * Completa data.media (base64 si es chico) y devuelve los campos media_* del CRM o null.
+ */
+async function captureMedia(sessionId, message, data) {
+  const caption = typeof message.caption === 'string' ? message.caption : '';
+  if (caption && (!data.body || data.body === '')) data.body = caption;
+  if (!message.hasMedia || typeof message.downloadMedia !== 'function') return null;
+
+  const media = await message.downloadMedia(); // { data(base64), mimetype, filename }
+  if (!media?.data || !media?.mimetype) return null;
+
+  // Guardar SIEMPRE el archivo (backend de media) para tener URL firmada
+  const saved = await storeMedia(sessionId, Buffer.from(media.data, 'base64'), media.mimetype);
+  const approxBytes = Math.floor(media.data.length * 0.75);
+  data.media = {
+    mimetype: saved.mime,
+    filename: media.filename || saved.name,
+    data: approxBytes <= WEBHOOK_MEDIA_MAX ? media.data : null, // base64 sólo si es chico
+    size: approxBytes,
+    media_type: inferMediaType(saved.mime),
+    ...(approxBytes > WEBHOOK_MEDIA_MAX ? { skipped: true } : {}),
+  };
+  return {
+    media_key: saved.key,
+    media_url: saved.url,
+    media_mime: saved.mime,
+    media_name: media.filename || saved.name,
+    size_bytes: saved.size,
+  };
 }
 
-/** Post al CRM (entrantes) -> usar webhook PHP que inserta media */
-async function postIncomingToCRM(payload) {
-  if (!CRM_BASE_URL) {
-    console.warn('[CRM] CRM_BASE_URL no configurado, se omite POST');
-    return;
+/** campos media_* del CRM -> forma del store de mensajes */
+const storedMedia = (mediaInfo) =>
+  mediaInfo && {
+    key: mediaInfo.media_key,
+    url: mediaInfo.media_url,
+    mime: mediaInfo.media_mime,
+    name: mediaInfo.media_name,
+    size: mediaInfo.size_bytes,
+  };
+
+/** marca un mensaje como enviado/editado/revocado por la API: el evento de WhatsApp no se vuelve a notificar */
+function markApiAction(idMsg) {
+  if (!idMsg) return;
+  apiActions.add(idMsg);
+  setTimeout(() => apiActions.delete(idMsg), 60_000).unref();
+}
+
+/**
+ * Envío de la API hacia `chatId`: mientras está en curso, los 'message_create' de ese chat
+ * esperan (sendMessage resuelve después del evento) y recién al terminar se decide si
+ * fueron de la API (apiActions) o escritos en el teléfono.
+ */
+async function apiSend(sessionId, chatId, fn) {
+  const k = `${sessionId}|${chatId}`;
+  const slot = apiSending.get(k) || { count: 0, waiters: [] };
+  slot.count++;
+  apiSending.set(k, slot);
+  try {
+    const msg = await fn();
+    markApiAction(msg?.id?._serialized);
+    return msg;
+  } finally {
+    if (--slot.count === 0) {
+      apiSending.delete(k);
+      for (const w of slot.waiters.splice(0)) w();
+    }
   }
+}
+
+/** corre `fn` cuando no quedan envíos de la API en curso hacia el chat */
+function afterApiSends(sessionId, chatId, fn) {
+  const slot = apiSending.get(`${sessionId}|${chatId}`);
+  if (slot) slot.waiters.push(fn);
+  else fn();
+}
+
+/** política de llamadas de la sesión: registro (rejectCalls / callRejectMessage) o env */
+function callPolicy(id) {
+  const e = getEntry(id) || {};
+  return {
+    reject: e.rejectCalls ?? CALL_REJECT,
+    message: e.callRejectMessage ?? CALL_REJECT_MESSAGE,
+  };
+}
+
+/** registra un saliente en el store local (sin romper el envío si falla) */
+function storeOutgoing(sessionId, msg, chatId, fields) {
+  markApiAction(msg?.id?._serialized);
   try {
-    const url = `${CRM_BASE_URL}/api/whatsapp_webhook.php`; // <-- corregido
-    const headers = {
-      'Content-Type': 'application/json',
-      ...(CRM_API_TOKEN ? { 'Authorization': `Bearer ${CRM_API_TOKEN}` } : {}),
-    };
-    await fetchFn(url, { method: 'POST', headers, body: JSON.stringify(payload) })
-      .then(r => r.text())
-      .then(t => {
-        if (!t || t.startsWith('<')) console.log('[CRM] respuesta (HTML?)', t?.slice(0, 200));
-        else console.log('[CRM] ok', t);
-      });
+    recordMessage(sessionId, {
+      id_msg: msg?.id?._serialized || null,
+      chatId,
+      from: msg?.from || null,
+      to: chatId,
+      fromMe: true,
+      ack: msg?.ack ?? 0,
+      ...fields,
+    });
   } catch (e) {
-    console.error('[CRM] POST error:', e);
+    log.warn('error guardando mensaje', { sessionId, messageId: msg?.id?._serialized, err: e.message });
   }
 }
 
 /* ===========================
    API pública
 =========================== */
-export async function createSession(id) {
+/**
+ * Crea (o devuelve) la sesión viva y la marca como desiredState 'running'.
+ * `meta` (name, team, pipeline, labels) se guarda en el registro.
+ */
+export async function createSession(id, meta = {}) {
   if (!id) throw new Error('missing_session_id');
+  if (getEntry(id)?.disabled) throw new Error('session_disabled');
+  const { phoneNumber, ...entryMeta } = meta;
+  if (phoneNumber) pairingPhones.set(id, normalizePairingPhone(phoneNumber));
+  upsertEntry(id, { ...entryMeta, desiredState: 'running' });
+  if (clients.has(id)) return clients.get(id);
+  // cluster: sólo el nodo con el lease corre el Chromium de la sesión
+  if (!(await acquireLease(id))) throw new Error('session_owned_elsewhere');
   if (clients.has(id)) return clients.get(id);
+  if (clusterEnabled()) {
+    reloadMessages(id); // otro nodo pudo escribir el store mientras no era nuestra
+    bus.emit('session_acquired', { id });
+  }
 
+  const pairPhone = pairingPhones.get(id);
   const client = new Client({
-    authStrategy: new LocalAuth({ clientId: id, dataPath: SESSIONS_DIR }),
+    authStrategy: buildAuthStrategy(id),
     puppeteer: buildPuppeteerConfig(),
+    // sin credenciales guardadas: pide código de vinculación en vez de QR
+    ...(pairPhone && {
+      pairWithPhoneNumber: { phoneNumber: pairPhone, showNotification: true, intervalMs: PAIRING_CODE_INTERVAL_MS },
+    }),
     webVersionCache: {
       type: 'remote',
       remotePath:
@@ -154,23 +276,33 @@ export async function createSession(id) {
     },
   });
 
-  const session = { client, status: 'initializing', info: null, me: null };
+  const session = { client, status: 'initializing', info: null, me: null, pairing: null };
   clients.set(id, session);
 
   // ===== Eventos =====
   client.on('qr', async (qr) => {
+    if (pairingPhones.has(id)) return; // vinculando por código
     try {
       const qrDataUrl = await toDataURL(qr);
       session.status = 'qr';
       bus.emit('qr', { id, qr: qrDataUrl });
       fireWebhook('qr', { id });
     } catch (e) {
-      console.error(`[${id}] QR error:`, e.message);
+      log.error('error generando QR', { sessionId: id, err: e.message });
     }
   });
 
+  // código de 8 caracteres para "Vincular con número de teléfono" en el móvil
+  client.on('code', (code) => {
+    session.status = 'pairing_code';
+    session.pairing = { code, phoneNumber: pairingPhones.get(id) || null, expiresAt: Date.now() + PAIRING_CODE_INTERVAL_MS };
+    bus.emit('pairing_code', { id, ...session.pairing });
+    fireWebhook('pairing_code', { id, ...session.pairing });
+  });
+
   client.on('authenticated', (info) => {
     session.status = 'authenticating';
+    session.pairing = null;
     session.info = info || null;
     bus.emit('authenticated', { id, info });
     fireWebhook('authenticated', { id });
@@ -178,6 +310,8 @@ export async function createSession(id) {
 
   client.on('ready', async () => {
     session.status = 'ready';
+    session.pairing = null;
+    pairingPhones.delete(id);
     try {
       session.me = await client.getMe(); // { wid, pushname }
     } catch {
@@ -197,8 +331,8 @@ export async function createSession(id) {
     session.status = 'disconnected';
     bus.emit('disconnected', { id, reason });
     fireWebhook('disconnected', { id, reason });
-    try { client.destroy(); } catch {}
-    clients.delete(id);
+    Promise.resolve().then(() => client.destroy()).catch(() => {});
+    if (clients.get(id) === session) clients.delete(id); // el supervisor decide si se relanza
   });
 
   client.on('message', async (message) => {
@@ -216,83 +350,305 @@ export async function createSession(id) {
     };
 
     // ===== Persistir media y enviar al CRM sólo para ENTRANTES =====
+    let mediaInfo = null;
     if (!message.fromMe) {
-      let mediaInfo = null;
+      metrics.messages.inc({ session: id, direction: 'in' });
       try {
-        // caption si aplica
-        const caption = typeof message.caption === 'string' ? message.caption : '';
-        if (caption && (!data.body || data.body === '')) data.body = caption;
-
-        if (message.hasMedia && typeof message.downloadMedia === 'function') {
-          const media = await message.downloadMedia(); // { data(base64), mimetype, filename }
-          if (media?.data && media?.mimetype) {
-            // Guardar SIEMPRE el archivo para tener URL pública
-            const saved = saveBase64ToUploads(media.data, media.mimetype);
-            mediaInfo = {
-              media_url: saved.url,
-              media_mime: saved.mime,
-              media_name: media.filename || saved.name,
-              size_bytes: saved.size,
-            };
-
-            // Adjuntar base64 si es chico
-            const approxBytes = Math.floor(media.data.length * 0.75);
-            if (approxBytes <= WEBHOOK_MEDIA_MAX) {
-              data.media = {
-                mimetype: saved.mime,
-                filename: media.filename || saved.name,
-                data: media.data,
-                size: approxBytes,
-                media_type: inferMediaType(saved.mime),
-              };
-            } else {
-              data.media = {
-                mimetype: saved.mime,
-                filename: media.filename || saved.name,
-                data: null,
-                size: approxBytes,
-                media_type: inferMediaType(saved.mime),
-                skipped: true,
-              };
-            }
-          }
+        mediaInfo = await captureMedia(id, message, data);
+        // llamadas perdidas: ya llegan al CRM por el evento 'call'
+        if (message.type !== 'call_log') {
+          deliverToCRM(id, buildCRMPayload(data, 'message', mediaInfo), crmDeliveryId('message', id, data.id_msg));
         }
-
-        // Payload para webhook PHP
-        const payloadCRM = {
-          channel: 'whatsapp',
-          direction: 'in',
-          chat_id: message.from, // el CRM lo normaliza a E.164
-          wa_message_id: message.id?._serialized || null,
-          body: data.body || '',
-          type: mapWwebTypeToCRM(message.type),
-          created_at_ms: data.timestamp,
-          ...(mediaInfo || {}),
-        };
-
-        await postIncomingToCRM(payloadCRM);
       } catch (e) {
-        console.warn(`[${id}] persist/CRM error:`, e.message);
+        log.warn('error guardando media / POST al CRM', { sessionId: id, messageId: data.id_msg, err: e.message });
       }
     }
     // ===== Fin persistencia =====
 
-    // Mantener tu flujo actual (bus + webhook genérico)
-    bus.emit('message', { id, message });
+    try {
+      recordMessage(id, {
+        ...data,
+        chatId: message.fromMe ? message.to : message.from,
+        media: storedMedia(mediaInfo),
+      });
+    } catch (e) {
+      log.warn('error guardando mensaje', { sessionId: id, messageId: data.id_msg, err: e.message });
+    }
+
+    // bus: Message crudo para las reglas + `data` (lo que ven socket y webhook, ver MessageEvent)
+    bus.emit('message', { id, message, data });
     fireWebhook('message', data);
   });
 
-  await client.initialize();
+  // pending(0) -> server(1) -> device(2) -> read(3) -> played(4); -1 = error
+  client.on('message_ack', (message, ack) => {
+    const idMsg = message?.id?._serialized;
+    if (!idMsg) return;
+    const chatId = message.fromMe ? message.to : message.from;
+    let changed = true; // si el store falla se avisa igual
+    try {
+      let rec = updateAck(id, idMsg, ack);
+      if (rec === null) {
+        // mensaje previo al store: registrarlo con lo que trae el evento
+        recordMessage(id, {
+          id_msg: idMsg,
+          chatId,
+          from: message.from,
+          to: message.to,
+          fromMe: !!message.fromMe,
+          type: message.type,
+          body: message.body,
+          timestamp: message.timestamp ? message.timestamp * 1000 : undefined,
+        });
+        rec = updateAck(id, idMsg, ack);
+      }
+      changed = !!rec;
+    } catch (e) {
+      log.warn('error guardando ack', { sessionId: id, messageId: idMsg, err: e.message });
+    }
+    if (!changed) return; // repetido o retroceso: ni bus ni webhook
+
+    const payload = { id, id_msg: idMsg, chatId, ack, status: ackName(ack), ts: Date.now() };
+    bus.emit('message_ack', payload);
+    fireWebhook('message_ack', payload);
+  });
+
+  // ===== Salientes escritos en el teléfono (no pasan por la API) =====
+  const capturePhoneMessage = async (message) => {
+    const data = {
+      id,
+      from: message.from,
+      to: message.to,
+      body: message.body,
+      timestamp: message.timestamp ? message.timestamp * 1000 : Date.now(),
+      type: message.type,
+      ack: message.ack ?? null,
+      id_msg: message.id._serialized,
+      fromMe: true,
+      source: 'phone',
+    };
+    let mediaInfo = null;
+    try {
+      mediaInfo = await captureMedia(id, message, data);
+    } catch (e) {
+      log.warn('error guardando media', { sessionId: id, messageId: data.id_msg, err: e.message });
+    }
+    metrics.messages.inc({ session: id, direction: 'out' });
+    try {
+      recordMessage(id, { ...data, chatId: message.to, media: storedMedia(mediaInfo) });
+    } catch (e) {
+      log.warn('error guardando mensaje', { sessionId: id, messageId: data.id_msg, err: e.message });
+    }
+    deliverToCRM(id, buildCRMPayload(data, 'message', mediaInfo), crmDeliveryId('message', id, data.id_msg));
+    // misma forma que los message_sent de la API + source: 'phone'
+    bus.emit('message_sent', data);
+    fireWebhook('message_sent', data);
+  };
+
+  client.on('message_create', (message) => {
+    if (!message.fromMe || SYSTEM_TYPES.has(message.type) || message.to === 'status@broadcast') return;
+    const idMsg = message.id?._serialized;
+    if (!idMsg) return;
+    // si la API está enviando a ese chat, decidir cuando termine (ver apiSend)
+    afterApiSends(id, message.to, () => {
+      if (apiActions.has(idMsg)) return;
+      capturePhoneMessage(message).catch((e) =>
+        log.warn('error procesando saliente del teléfono', { sessionId: id, messageId: idMsg, err: e.message }),
+      );
+    });
+  });
+
+  // ===== Eliminados para todos (cliente o teléfono) =====
+  client.on('message_revoke_everyone', (after, before) => {
+    const idMsg = before?.id?._serialized || after?.id?._serialized;
+    if (!idMsg || apiActions.has(idMsg)) return; // revocado vía API: ya notificado
+    const fromMe = !!(after.fromMe || before?.fromMe);
+    const chatId = fromMe ? after.to : after.from;
+    const prev = getMessage(id, idMsg);
+    const now = Date.now();
+    try {
+      recordMessage(id, { id_msg: idMsg, chatId, from: after.from, to: after.to, fromMe, revokedAt: now });
+    } catch (e) {
+      log.warn('error guardando mensaje eliminado', { sessionId: id, messageId: idMsg, err: e.message });
+    }
+    const body = before?.body ?? prev?.body ?? null;
+    const payload = { id, chatId, messageId: idMsg, fromMe, body, revokedAt: now };
+    bus.emit('message_revoked', payload);
+    fireWebhook('message_revoked', payload);
+    deliverToCRM(
+      id,
+      buildCRMPayload(
+        { from: after.from, to: after.to, fromMe, body, type: before?.type || prev?.type, timestamp: now, id_msg: idMsg },
+        'revoked',
+      ),
+    );
+  });
+
+  // ===== Ediciones (cliente o teléfono) =====
+  client.on('message_edit', (message, newBody, prevBody) => {
+    const idMsg = message.id?._serialized;
+    if (!idMsg || apiActions.has(idMsg)) return; // editado vía API: ya notificado
+    const fromMe = !!message.fromMe;
+    const chatId = fromMe ? message.to : message.from;
+    const data = {
+      from: message.from,
+      to: message.to,
+      fromMe,
+      body: newBody ?? message.body,
+      type: message.type,
+      timestamp: Date.now(),
+      id_msg: idMsg,
+    };
+    try {
+      recordMessage(id, { id_msg: idMsg, chatId, from: message.from, to: message.to, fromMe, body: data.body, editedAt: data.timestamp });
+    } catch (e) {
+      log.warn('error guardando edición', { sessionId: id, messageId: idMsg, err: e.message });
+    }
+    const payload = { id, chatId, id_msg: idMsg, fromMe, body: data.body, previousBody: prevBody ?? null, editedAt: data.timestamp };
+    bus.emit('message_edited', payload);
+    fireWebhook('message_edited', payload);
+    deliverToCRM(id, buildCRMPayload(data, 'edited', { previous_body: prevBody ?? null }));
+  });
+
+  // ===== Llamadas entrantes (rechazo automático opcional) =====
+  client.on('call', async (call) => {
+    const policy = callPolicy(id);
+    let rejected = false;
+    let replied = false;
+    if (policy.reject && !call.fromMe) {
+      try {
+        await call.reject();
+        rejected = true;
+      } catch (e) {
+        log.warn('no se pudo rechazar la llamada', { sessionId: id, callId: call.id, err: e.message });
+      }
+      if (rejected && policy.message && !call.isGroup) {
+        try {
+          // por la cola: respeta los límites de la sesión ante ráfagas de llamadas
+          // (import diferido: sendqueue.js importa este módulo)
+          const { enqueueSend } = await import('./sendqueue.js');
+          enqueueSend(id, { kind: 'text', to: call.from, text: policy.message, meta: { callId: call.id } });
+          replied = true;
+        } catch (e) {
+          log.warn('no se pudo responder la llamada rechazada', { sessionId: id, callId: call.id, err: e.message });
+        }
+      }
+    }
+    const payload = {
+      id,
+      callId: call.id,
+      from: call.from,
+      isVideo: !!call.isVideo,
+      isGroup: !!call.isGroup,
+      timestamp: call.timestamp ? call.timestamp * 1000 : Date.now(),
+      rejected,
+      replied,
+    };
+    bus.emit('call', payload);
+    fireWebhook('call', payload);
+    deliverToCRM(
+      id,
+      buildCRMPayload(
+        {
+          from: call.from,
+          fromMe: false,
+          body: rejected ? 'Llamada rechazada' : 'Llamada entrante',
+          type: 'call_log',
+          timestamp: payload.timestamp,
+          id_msg: call.id,
+        },
+        'call',
+        { call: { video: payload.isVideo, group: payload.isGroup, rejected } },
+      ),
+    );
+  });
+
+  // ===== Grupos (altas, bajas, cambios de asunto/descripción/admins) =====
+  const groupEvent = (ev) => (n) => {
+    const payload = {
+      id,
+      chatId: n.chatId || n.id?.remote || null,
+      type: n.type,           // add, invite, remove, leave, subject, description, promote, demote...
+      author: n.author || null,
+      recipients: n.recipientIds || [],
+      body: n.body || '',
+      timestamp: n.timestamp ? n.timestamp * 1000 : Date.now(),
+    };
+    bus.emit(ev, payload);
+    fireWebhook(ev, payload);
+  };
+  client.on('group_join', groupEvent('group_join'));
+  client.on('group_leave', groupEvent('group_leave'));
+  client.on('group_update', groupEvent('group_update'));
+  client.on('group_admin_changed', groupEvent('group_update')); // type: promote | demote
+
+  try {
+    await client.initialize();
+  } catch (e) {
+    // Chromium no arrancó / página colgada: liberar el slot para poder reintentar
+    session.status = 'failed';
+    if (clients.get(id) === session) clients.delete(id);
+    Promise.resolve().then(() => client.destroy()).catch(() => {});
+    bus.emit('init_failure', { id, error: e.message });
+    throw e;
+  }
   return session;
 }
 
-/** Lista las sesiones vivas */
-export function listSessions() {
-  return Array.from(clients.keys()).map((id) => ({
+/** estado + metadatos del registro de una sesión */
+export function describeSession(id) {
+  const e = getEntry(id);
+  const live = clients.get(id);
+  let status = statusOf(id);
+  if (!live && e?.disabled) status = 'disabled';
+  else if (!live && e?.desiredState === 'stopped') status = 'stopped';
+  return {
     id,
-    status: statusOf(id),
-    me: clients.get(id)?.me || null,
-  }));
+    status,
+    me: live?.me || null,
+    name: e?.name ?? null,
+    team: e?.team ?? null,
+    pipeline: e?.pipeline ?? null,
+    labels: e?.labels || [],
+    disabled: !!e?.disabled,
+    desiredState: e?.desiredState || 'running',
+    connector: e?.connector ?? null, // null = conector default
+    calls: callPolicy(id), // { reject, message } efectivos (registro o env)
+    pairing: live?.status === 'pairing_code' ? live.pairing : null, // { code, phoneNumber, expiresAt }
+    healthy: live?.healthy ?? null, // último health probe del supervisor
+    lastProbeAt: live?.lastProbeAt ?? null,
+  };
+}
+
+/** Lista las sesiones registradas y/o vivas */
+export function listSessions() {
+  const ids = new Set([...listEntries().map((e) => e.id), ...clients.keys()]);
+  return Array.from(ids).map(describeSession);
+}
+
+/** ¿La sesión está viva, registrada o tiene credenciales guardadas? */
+export function sessionExists(id) {
+  return clients.has(id) || !!getEntry(id) || hasCredentials(id);
+}
+
+/** ¿hay datos de auth guardados (perfil en disco o zip en el store)? */
+export function hasCredentials(id) {
+  return fs.existsSync(profileDir(id)) || (AUTH_STORE === 'remote' && hasStoredZip(id));
+}
+
+/**
+ * Memoria de Chromium de la sesión: RSS del árbol de procesos del navegador
+ * y heap JS de la página de WhatsApp Web (null si no está corriendo)
+ */
+export async function chromiumUsage(id, timeoutMs = 3000) {
+  const client = clients.get(id)?.client;
+  if (!client?.pupBrowser) return { rssBytes: null, jsHeapBytes: null };
+  const pid = client.pupBrowser.process()?.pid;
+  const jsHeapBytes = await Promise.race([
+    client.pupPage?.metrics().then((m) => m.JSHeapUsedSize ?? null),
+    new Promise((r) => setTimeout(() => r(null), timeoutMs).unref?.()),
+  ]).catch(() => null);
+  return { rssBytes: processTreeRss(pid), jsHeapBytes: jsHeapBytes ?? null };
 }
 
 /** Obtiene la sesión (si existe) */
@@ -306,8 +662,13 @@ export async function deleteSession(id) {
     try { await s.client.destroy(); } catch {}
     clients.delete(id);
   }
-  const dir = path.join(SESSIONS_DIR, `session-${id}`);
+  const dir = profileDir(id);
   if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
+  if (AUTH_STORE === 'remote') await deleteStoredZip(id);
+  removeEntry(id);
+  pairingPhones.delete(id);
+  await releaseLease(id).catch(() => {});
+  bus.emit('session_deleted', { id });
   fireWebhook('session_deleted', { id });
   return true;
 }
@@ -321,11 +682,14 @@ export async function sendText(id, to, text) {
   const chatId = toChatId(to);
   if (!chatId) throw new Error('invalid_recipient');
 
-  const msg = await s.client.sendMessage(chatId, text);
+  const msg = await apiSend(id, chatId, () => s.client.sendMessage(chatId, text));
 
   // usar timestamp real del mensaje de WhatsApp (segundos -> ms)
   const ts = msg?.timestamp ? msg.timestamp * 1000 : Date.now();
 
+  storeOutgoing(id, msg, chatId, { type: 'chat', body: text, timestamp: ts });
+
+  metrics.messages.inc({ session: id, direction: 'out' });
   fireWebhook('message_sent', {
     id,
     to: chatId,
@@ -361,37 +725,46 @@ export async function sendMedia(sessionId, to, buffer, mimeType, fileName = 'fil
   const isImage = mm.startsWith('image/');
   const isAudio = mm.startsWith('audio/');
 
-  // PTT sólo si es OGG/Opus
+  // PTT sólo si es OGG/Opus (la API transcodifica antes de encolar; ver transcode.js)
   const wantVoice = !!opts.asVoice && isOggOpus(mm);
+  if (opts.asVoice && !wantVoice) log.warn('asVoice ignorado: el audio no es OGG/Opus', { sessionId, mime: mm });
   const baseOptions = { caption: opts.caption || '', sendAudioAsVoice: wantVoice };
 
-  let msg;
-  try {
-    // 👇 Fuerza ruta correcta por tipo
-    if (isVideo) {
-      // VIDEO con preview (clave para que el receptor vea miniatura)
-      msg = await s.client.sendMessage(chatId, media, { ...baseOptions, sendVideoAsDocument: false });
-    } else if (isImage || isAudio) {
-      msg = await s.client.sendMessage(chatId, media, baseOptions);
-    } else {
+  const msg = await apiSend(sessionId, chatId, async () => {
+    try {
+      // 👇 Fuerza ruta correcta por tipo
+      if (isVideo) {
+        // VIDEO con preview (clave para que el receptor vea miniatura)
+        return await s.client.sendMessage(chatId, media, { ...baseOptions, sendVideoAsDocument: false });
+      } else if (isImage || isAudio) {
+        return await s.client.sendMessage(chatId, media, baseOptions);
+      }
       // otros tipos
-      msg = await s.client.sendMessage(chatId, media, baseOptions);
+      return await s.client.sendMessage(chatId, media, baseOptions);
+    } catch (e) {
+      // 👇 Solo caer a DOCUMENTO si NO es video (para video queremos preview)
+      const shouldFallback = /Evaluation failed|not a function/i.test(e.message || '');
+      if (!shouldFallback || isVideo) throw e;
+
+      // documento para tipos “raros”
+      return s.client.sendMessage(chatId, media, {
+        ...baseOptions,
+        sendAudioAsVoice: false,
+        sendMediaAsDocument: true,
+      });
     }
-  } catch (e) {
-    // 👇 Solo caer a DOCUMENTO si NO es video (para video queremos preview)
-    const shouldFallback = /Evaluation failed|not a function/i.test(e.message || '');
-    if (!shouldFallback || isVideo) throw e;
-
-    // documento para tipos “raros”
-    msg = await s.client.sendMessage(chatId, media, {
-      ...baseOptions,
-      sendAudioAsVoice: false,
-      sendMediaAsDocument: true,
-    });
-  }
+  });
 
   const ts = msg?.timestamp ? msg.timestamp * 1000 : Date.now();
 
+  storeOutgoing(sessionId, msg, chatId, {
+    type: msg?.type || inferMediaType(mm),
+    body: opts.caption || '',
+    timestamp: ts,
+    media: { url: null, mime: mm, name: fileName, size: Buffer.byteLength(b64, 'base64') },
+  });
+
+  metrics.messages.inc({ session: sessionId, direction: 'out' });
   fireWebhook('message_sent', {
     id: sessionId,
     to: chatId,
@@ -405,6 +778,267 @@ export async function sendMedia(sessionId, to, buffer, mimeType, fileName = 'fil
   return msg;
 }
 
+/* ===========================
+   Mensajes "ricos": reply, reacción, ubicación, contacto (vCard), encuesta, edición
+=========================== */
+export const RICH_TYPES = ['text', 'reaction', 'location', 'contact', 'poll', 'edit'];
+
+const POLL_MAX_OPTIONS = 12;
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/** chatId embebido en un id serializado: 'true_549...@c.us_3EB0...' */
+function chatOfMessageId(messageId) {
+  const m = /^(?:true|false)_([^_]+@(?:c|g)\.us)_/.exec(String(messageId || ''));
+  return m ? m[1] : null;
+}
+
+/** escapa valores vCard (RFC 6350) */
+const vcardEscape = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+function buildVCard({ name, phone, org, email }) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!name || !digits) throw new Error('invalid_contact');
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vcardEscape(name)}`,
+    org ? `ORG:${vcardEscape(org)}` : null,
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+    email ? `EMAIL:${vcardEscape(email)}` : null,
+    'END:VCARD',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Valida y normaliza un envío rico (lanza Error con código). Devuelve un objeto plano
+ * (serializable en la cola) con `to` ya normalizado a chatId.
+ *  text:     { to, text, quotedMessageId?, mentions? }  (el texto debe incluir @<número> para cada mención)
+ *  reaction: { messageId, emoji }                       ('' quita la reacción)
+ *  location: { to, latitude, longitude, name?, address?, url? }
+ *  contact:  { to, contact: { name, phone, org?, email? } | vcard }
+ *  poll:     { to, question, options[2..12], allowMultipleAnswers? }
+ *  edit:     { messageId, text }
+ * quotedMessageId y mentions se aceptan en text, location, contact y poll.
+ */
+export function normalizeRich(input = {}) {
+  const type = input.type || 'text';
+  if (!RICH_TYPES.includes(type)) throw new Error('invalid_type');
+
+  const out = { type };
+  if (type === 'reaction' || type === 'edit') {
+    if (!input.messageId) throw new Error('missing_message_id');
+    out.messageId = String(input.messageId);
+    out.to = toChatId(input.to) || chatOfMessageId(out.messageId);
+    if (!out.to) throw new Error('invalid_message_id');
+  } else {
+    out.to = toChatId(input.to);
+    if (!out.to) throw new Error(input.to ? 'invalid_recipient' : 'missing_to');
+    if (input.quotedMessageId) out.quotedMessageId = String(input.quotedMessageId);
+    if (input.mentions !== undefined) {
+      if (!Array.isArray(input.mentions)) throw new Error('invalid_mentions');
+      out.mentions = input.mentions.map((m) => {
+        const cid = toChatId(m);
+        if (!cid || !cid.endsWith('@c.us')) throw new Error(`invalid_mention:${m}`);
+        return cid;
+      });
+    }
+  }
+
+  switch (type) {
+    case 'text':
+    case 'edit':
+      if (!input.text || !String(input.text).trim()) throw new Error('missing_text');
+      out.text = String(input.text);
+      break;
+    case 'reaction':
+      if (typeof input.emoji !== 'string') throw new Error('missing_emoji');
+      if ([...graphemes.segment(input.emoji)].length > 1) throw new Error('invalid_emoji'); // un solo emoji
+      out.emoji = input.emoji;
+      break;
+    case 'location': {
+      const lat = Number(input.latitude);
+      const lng = Number(input.longitude);
+      if (!Number.isFinite(lat) || lat < -90 || lat > 90) throw new Error('invalid_latitude');
+      if (!Number.isFinite(lng) || lng < -180 || lng > 180) throw new Error('invalid_longitude');
+      Object.assign(out, { latitude: lat, longitude: lng });
+      for (const k of ['name', 'address', 'url']) if (input[k]) out[k] = String(input[k]);
+      break;
+    }
+    case 'contact':
+      if (typeof input.vcard === 'string') {
+        if (!/^BEGIN:VCARD[\s\S]*END:VCARD\s*$/i.test(input.vcard.trim())) throw new Error('invalid_vcard');
+        out.vcard = input.vcard.trim();
+      } else if (input.contact && typeof input.contact === 'object') {
+        out.vcard = buildVCard(input.contact);
+      } else {
+        throw new Error('missing_contact');
+      }
+      break;
+    case 'poll': {
+      const question = String(input.question || '').trim();
+      if (!question) throw new Error('missing_question');
+      const opts = Array.isArray(input.options) ? input.options.map((o) => String(o).trim()).filter(Boolean) : [];
+      if (opts.length < 2 || opts.length > POLL_MAX_OPTIONS) throw new Error('invalid_poll_options');
+      if (new Set(opts).size !== opts.length) throw new Error('duplicate_poll_options');
+      Object.assign(out, { question, options: opts, allowMultipleAnswers: !!input.allowMultipleAnswers });
+      break;
+    }
+    default:
+      break;
+  }
+  return out;
+}
+
+/** texto representativo para store/webhook */
+function richBody(r) {
+  switch (r.type) {
+    case 'reaction': return r.emoji;
+    case 'location': return r.name || `${r.latitude},${r.longitude}`;
+    case 'contact': return r.vcard;
+    case 'poll': return r.question;
+    default: return r.text;
+  }
+}
+
+async function findMessage(client, messageId) {
+  const msg = await client.getMessageById(messageId).catch(() => null);
+  if (!msg) throw new Error('message_not_found');
+  return msg;
+}
+
+/**
+ * Envía un mensaje rico (ver normalizeRich). Devuelve el Message de WhatsApp;
+ * en reacciones devuelve el mensaje reaccionado.
+ */
+export async function sendRich(sessionId, input) {
+  const s = clients.get(sessionId);
+  if (!s) throw new Error('session_not_found');
+  if (s.status !== 'ready') throw new Error('session_not_ready');
+
+  const r = normalizeRich(input);
+  const options = {};
+  if (r.quotedMessageId) options.quotedMessageId = r.quotedMessageId;
+  if (r.mentions) options.mentions = r.mentions;
+
+  const send = (...args) => apiSend(sessionId, r.to, () => s.client.sendMessage(...args));
+  let msg;
+  switch (r.type) {
+    case 'reaction':
+      msg = await findMessage(s.client, r.messageId);
+      await msg.react(r.emoji);
+      break;
+    case 'edit': {
+      const target = await findMessage(s.client, r.messageId);
+      if (!target.fromMe) throw new Error('message_not_editable');
+      markApiAction(target.id?._serialized || r.messageId);
+      msg = await target.edit(r.text);
+      if (!msg) throw new Error('message_not_editable'); // fuera de la ventana de edición
+      break;
+    }
+    case 'location':
+      msg = await send(
+        r.to,
+        new Location(r.latitude, r.longitude, { name: r.name, address: r.address, url: r.url }),
+        options,
+      );
+      break;
+    case 'contact':
+      msg = await send(r.to, r.vcard, { ...options, parseVCards: true });
+      break;
+    case 'poll':
+      msg = await send(
+        r.to,
+        new Poll(r.question, r.options, { allowMultipleAnswers: r.allowMultipleAnswers }),
+        options,
+      );
+      break;
+    default:
+      msg = await send(r.to, r.text, options);
+  }
+
+  const ts = r.type !== 'reaction' && msg?.timestamp ? msg.timestamp * 1000 : Date.now();
+  const idMsg = msg?.id?._serialized || r.messageId || null;
+  const body = richBody(r);
+
+  if (r.type === 'edit') {
+    try {
+      recordMessage(sessionId, { id_msg: idMsg, chatId: r.to, fromMe: true, body, editedAt: ts });
+    } catch (e) {
+      log.warn('error guardando edición', { sessionId, messageId: idMsg, err: e.message });
+    }
+  } else if (r.type !== 'reaction') {
+    storeOutgoing(sessionId, msg, r.to, {
+      type: msg?.type || r.type,
+      body,
+      timestamp: ts,
+      quotedMessageId: r.quotedMessageId || null,
+    });
+  }
+
+  // misma forma que sendText + type y campos propios del tipo
+  metrics.messages.inc({ session: sessionId, direction: 'out' });
+  fireWebhook('message_sent', {
+    id: sessionId,
+    to: r.to,
+    body,
+    id_msg: idMsg,
+    timestamp: ts,
+    type: r.type,
+    ...(r.quotedMessageId ? { quoted_id: r.quotedMessageId } : {}),
+    ...(r.mentions ? { mentions: r.mentions } : {}),
+    ...(r.type === 'reaction' || r.type === 'edit' ? { target_id: r.messageId } : {}),
+    ...(r.type === 'location' ? { latitude: r.latitude, longitude: r.longitude } : {}),
+    ...(r.type === 'poll' ? { options: r.options } : {}),
+  });
+
+  return msg;
+}
+
+/**
+ * Backfill de historial (ver sync.js): guarda la media, manda el mensaje al CRM con
+ * event 'history' y lo registra en el store. Idempotente por entrega al CRM, no por el
+ * store: se omite si la entrega de historial ya existe o la en vivo (crm-message-…) está
+ * pendiente o hecha; una en vivo que terminó en dead-letter se vuelve a mandar como
+ * historial. Salientes de la API (ya registrados, sin entrega en vivo) no se mandan:
+ * los originó el CRM. Devuelve { pushed, media: 'stored' | 'failed' | null }.
+ */
+export async function backfillMessage(sessionId, message) {
+  const idMsg = message?.id?._serialized;
+  if (!idMsg || SYSTEM_TYPES.has(message.type)) return { pushed: false, media: null };
+  const known = getMessage(sessionId, idMsg);
+  const historyId = crmDeliveryId('history', sessionId, idMsg);
+  const live = deliveryState(crmDeliveryId('message', sessionId, idMsg));
+  if (deliveryState(historyId) || live === 'pending' || live === 'delivered' || (known?.fromMe && !live)) {
+    return { pushed: false, media: null };
+  }
+  const fromMe = !!message.fromMe;
+  const data = {
+    id: sessionId,
+    from: message.from,
+    to: message.to,
+    body: message.body,
+    timestamp: message.timestamp ? message.timestamp * 1000 : Date.now(),
+    type: message.type,
+    ack: message.ack ?? null,
+    id_msg: idMsg,
+    fromMe,
+  };
+  let mediaInfo = null;
+  let media = null;
+  try {
+    mediaInfo = await captureMedia(sessionId, message, data);
+    if (mediaInfo) media = 'stored';
+  } catch (e) {
+    media = 'failed'; // media vieja que WhatsApp ya no sirve: el mensaje va igual
+    log.warn('backfill: no se pudo descargar la media', { sessionId, messageId: idMsg, err: e.message });
+  }
+  const pushed = !!deliverToCRM(sessionId, buildCRMPayload(data, 'history', mediaInfo), historyId);
+  if (!known) {
+    recordMessage(sessionId, { ...data, chatId: fromMe ? message.to : message.from, media: storedMedia(mediaInfo), backfilled: true });
+  }
+  return { pushed, media };
+}
+
 /** Revocar (eliminar para todos) */
 export async function revokeMessage(sessionId, chatId, messageId) {
   const s = clients.get(sessionId);
@@ -418,6 +1052,7 @@ export async function revokeMessage(sessionId, chatId, messageId) {
   if (typeof s.client.getMessageById === 'function') {
     const msg = await s.client.getMessageById(messageId);
     if (!msg) throw new Error('message_not_found');
+    markApiAction(msg.id?._serialized || messageId);
     await msg.delete(true); // true => borrar para todos (si WA lo permite)
     fireWebhook('message_revoked', { id: sessionId, chatId: toId, messageId });
     return { ok: true, engine: 'whatsapp-web.js' };
@@ -425,28 +1060,98 @@ export async function revokeMessage(sessionId, chatId, messageId) {
   throw new Error('revoke_not_supported_by_client');
 }
 
+/** destruye el cliente vivo (con timeout: destroy() puede colgarse si Chromium no responde) */
+async function destroyClient(id) {
+  const s = clients.get(id);
+  if (!s) return;
+  await Promise.race([
+    s.client.destroy().catch(() => {}),
+    new Promise((r) => setTimeout(r, DESTROY_TIMEOUT_MS)),
+  ]);
+  if (clients.get(id) === s) clients.delete(id);
+}
+
+/**
+ * Cierra el cliente local sin tocar registro ni credenciales: lease perdido o
+ * apagado del nodo (otro nodo la retoma), o import de credenciales
+ */
+export async function releaseLocal(id) {
+  if (!clients.has(id)) return;
+  await destroyClient(id);
+  await releaseLease(id).catch(() => {});
+  bus.emit('session_released', { id });
+}
+
+/** ids de las sesiones con cliente en este proceso */
+export const localSessionIds = () => Array.from(clients.keys());
+
+/**
+ * Pide (o renueva) el código de vinculación para `phoneNumber` (o el último usado).
+ * Sesión sin cliente: la arranca en modo código; sin vincular: pide un código nuevo.
+ * El código llega también por el evento 'pairing_code'.
+ */
+export async function requestPairingCode(id, phoneNumber) {
+  const raw = phoneNumber || pairingPhones.get(id);
+  if (!raw) throw new Error('missing_phone_number');
+  const phone = normalizePairingPhone(raw);
+  const s = clients.get(id);
+  if (!s) {
+    await createSession(id, { phoneNumber: phone });
+    return describeSession(id);
+  }
+  if (['ready', 'authenticating'].includes(s.status)) throw new Error('already_linked');
+  if (!s.client.pupPage) throw new Error('session_not_ready'); // aún abriendo Chromium
+  pairingPhones.set(id, phone);
+  await s.client.requestPairingCode(phone, true, PAIRING_CODE_INTERVAL_MS);
+  return describeSession(id);
+}
+
 /** Reconectar sin borrar credenciales */
 export async function reconnect(id) {
-  const s = clients.get(id);
-  if (!s) throw new Error('session_not_found');
-  try { await s.client.destroy(); } catch {}
-  clients.delete(id);
+  if (!sessionExists(id)) throw new Error('session_not_found');
+  await destroyClient(id);
   return createSession(id);
 }
 
-/** Restaurar todas las sesiones guardadas en disco */
+/**
+ * Edita metadatos / desiredState / disabled y aplica el cambio:
+ * arranca (en segundo plano) o detiene el cliente según corresponda.
+ */
+export async function updateSession(id, patch = {}) {
+  if (!sessionExists(id)) throw new Error('session_not_found');
+  const wasRunning = shouldRun(id) || clients.has(id);
+  upsertEntry(id, patch);
+  if (!shouldRun(id)) {
+    if (wasRunning) {
+      await destroyClient(id);
+      await releaseLease(id).catch(() => {});
+      bus.emit('session_stopped', { id }); // el supervisor cancela reintentos pendientes
+      fireWebhook('session_stopped', { id });
+    }
+  } else if (!clients.has(id)) {
+    createSession(id).catch((e) => log.error('no se pudo iniciar la sesión', { sessionId: id, err: e.message }));
+  }
+  return describeSession(id);
+}
+
+/** Restaurar las sesiones registradas con desiredState 'running' */
 export async function restoreAllSessions() {
-  const entries = fs.readdirSync(SESSIONS_DIR, { withFileTypes: true });
+  // migración: carpetas session-<id> / RemoteAuth-<id> sin entrada en el registro
+  for (const dir of fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })) {
+    if (dir.isDirectory() && /^(session|RemoteAuth)-/.test(dir.name)) {
+      const id = dir.name.replace(/^(session|RemoteAuth)-/, '');
+      if (!getEntry(id)) upsertEntry(id);
+    }
+  }
+
   const ids = [];
-  for (const dir of entries) {
-    if (dir.isDirectory() && dir.name.startsWith('session-')) {
-      const id = dir.name.replace(/^session-/, '');
-      try {
-        await createSession(id);
-        ids.push(id);
-      } catch (e) {
-        console.error(`[${id}] restore error:`, e.message);
-      }
+  for (const { id } of listEntries()) {
+    if (!shouldRun(id)) continue;
+    try {
+      await createSession(id);
+      ids.push(id);
+    } catch (e) {
+      log.error('no se pudo restaurar la sesión', { sessionId: id, err: e.message });
     }
   }
   return ids;
@@ -0,0 +1,389 @@
+// src/connectors.js
+import crypto from 'crypto';
+import axios from 'axios';
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { enqueueDelivery, signPayload } from './outbox.js';
+import { getEntry } from './registry.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Conectores de CRM (data/connectors.json)
+   { id, type: 'php' | 'http', name, enabled, url, path?, auth, secret, headers, events, mapping, inboundToken }
+   - php: el webhook PHP de siempre (`${url}${path}`, payload normalizado tal cual)
+   - http: endpoint genérico, payload armado con mapping.template ({{campo}} del payload normalizado)
+   - mapping.types: tipo de whatsapp-web.js -> tipo del CRM (pisa DEFAULT_TYPES)
+   - mapping.inbound: rutas (a.b.c) del body del callback -> { session, to, text, mediaUrl, fileName, caption }
+   - 'default' sale de CRM_BASE_URL / CRM_API_TOKEN / CRM_WEBHOOK_SECRET / CRM_INBOUND_TOKEN (sólo lectura)
+   Cada sesión elige el suyo en el registro (`connector`: id | null = default | 'none').
+=========================== */
+const log = logger.child({ component: 'connectors' });
+const CONNECTORS_FILE = dataPath('connectors.json');
+const { CRM_BASE_URL, CRM_API_TOKEN, CRM_WEBHOOK_SECRET, CRM_INBOUND_TOKEN } = process.env;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const TEST_TIMEOUT_MS = 10_000;
+
+export const DEFAULT_CONNECTOR_ID = 'default';
+export const CONNECTOR_TYPES = ['php', 'http'];
+export const CRM_EVENTS = ['message', 'edited', 'revoked', 'call', 'history'];
+const AUTH_TYPES = ['none', 'bearer', 'basic', 'header'];
+const INBOUND_FIELDS = ['session', 'to', 'text', 'mediaUrl', 'fileName', 'caption'];
+
+/** tipos de whatsapp-web.js -> tipos del CRM (lo que antes era un switch fijo) */
+const DEFAULT_TYPES = {
+  chat: 'text',
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  ptt: 'audio',
+  document: 'file',
+  sticker: 'image', // webp -> render como imagen
+  call_log: 'call',
+};
+
+// callback del PHP: mismos nombres que el payload de salida
+const PHP_INBOUND = { session: 'session_id', to: 'chat_id', text: 'body', mediaUrl: 'media_url', fileName: 'media_name', caption: 'caption' };
+
+const connectors = new Map((readJson(CONNECTORS_FILE, []) || []).map((c) => [c.id, c]));
+const persist = () => writeJson(CONNECTORS_FILE, Array.from(connectors.values()));
+
+function defaultConnector() {
+  if (!CRM_BASE_URL) return null;
+  return {
+    id: DEFAULT_CONNECTOR_ID,
+    type: 'php',
+    name: 'CRM (env)',
+    enabled: true,
+    readOnly: true,
+    url: CRM_BASE_URL,
+    path: '/api/whatsapp_webhook.php',
+    auth: CRM_API_TOKEN ? { type: 'bearer', token: CRM_API_TOKEN } : { type: 'none' },
+    secret: CRM_WEBHOOK_SECRET || '',
+    headers: {},
+    events: ['*'],
+    mapping: {},
+    inboundToken: CRM_INBOUND_TOKEN || '',
+  };
+}
+
+const mask = (v) => (v ? '••••' + String(v).slice(-4) : '');
+
+/** oculta credenciales en listados */
+function publicView(c, { withSecrets = false } = {}) {
+  if (withSecrets) return { ...c };
+  const auth = { ...c.auth };
+  for (const k of ['token', 'password', 'value']) if (auth[k]) auth[k] = mask(auth[k]);
+  return { ...c, auth, secret: mask(c.secret), inboundToken: mask(c.inboundToken) };
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/** valida/normaliza campos editables; lanza Error con código */
+function normalize(input, base = {}) {
+  const out = { ...base };
+  if (input.type !== undefined) {
+    if (!CONNECTOR_TYPES.includes(input.type)) throw new Error('invalid_connector_type');
+    out.type = input.type;
+  }
+  if (input.name !== undefined) out.name = String(input.name || '');
+  if (input.enabled !== undefined) out.enabled = !!input.enabled;
+  if (input.url !== undefined) {
+    let u;
+    try { u = new URL(String(input.url)); } catch { throw new Error('invalid_url'); }
+    if (!/^https?:$/.test(u.protocol)) throw new Error('invalid_url');
+    out.url = u.toString().replace(/\/+$/, '');
+  }
+  if (input.path !== undefined) out.path = input.path ? `/${String(input.path).replace(/^\/+/, '')}` : '';
+  if (input.auth !== undefined) {
+    const a = isPlainObject(input.auth) ? input.auth : {};
+    const type = a.type || 'none';
+    if (!AUTH_TYPES.includes(type)) throw new Error('invalid_auth_type');
+    if (type === 'bearer' && !a.token) throw new Error('missing_auth_token');
+    if (type === 'basic' && !a.username) throw new Error('missing_auth_username');
+    if (type === 'header' && (!a.header || !a.value)) throw new Error('missing_auth_header');
+    out.auth = { type };
+    for (const k of ['token', 'username', 'password', 'header', 'value']) if (a[k] !== undefined) out.auth[k] = String(a[k]);
+  }
+  if (input.secret !== undefined) out.secret = String(input.secret || '');
+  if (input.headers !== undefined) {
+    if (!isPlainObject(input.headers)) throw new Error('invalid_headers');
+    out.headers = Object.fromEntries(Object.entries(input.headers).map(([k, v]) => [k, String(v)]));
+  }
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || !input.events.length) throw new Error('invalid_events');
+    const bad = input.events.filter((e) => e !== '*' && !CRM_EVENTS.includes(e));
+    if (bad.length) throw new Error(`unknown_events:${bad.join(',')}`);
+    out.events = Array.from(new Set(input.events.map(String)));
+  }
+  if (input.mapping !== undefined) {
+    const m = isPlainObject(input.mapping) ? input.mapping : {};
+    if (m.types !== undefined && !isPlainObject(m.types)) throw new Error('invalid_mapping_types');
+    if (m.template !== undefined && m.template !== null && !isPlainObject(m.template)) throw new Error('invalid_mapping_template');
+    if (m.inbound !== undefined) {
+      if (!isPlainObject(m.inbound)) throw new Error('invalid_mapping_inbound');
+      const bad = Object.keys(m.inbound).filter((k) => !INBOUND_FIELDS.includes(k));
+      if (bad.length) throw new Error(`unknown_inbound_fields:${bad.join(',')}`);
+    }
+    out.mapping = { types: m.types || {}, template: m.template || null, inbound: m.inbound || {} };
+  }
+  if (input.inboundToken !== undefined) out.inboundToken = String(input.inboundToken || '');
+  return out;
+}
+
+/* ===========================
+   Plantillas y mapeo de campos
+=========================== */
+const getPath = (obj, p) => String(p).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+/**
+ * Renderiza la plantilla del conector: "{{campo}}" solo = valor crudo (número, objeto, null);
+ * dentro de un texto = interpolado. Recorre objetos y arrays.
+ */
+export function renderPayloadTemplate(tpl, vars) {
+  if (typeof tpl === 'string') {
+    const whole = tpl.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+    if (whole) return getPath(vars, whole[1]) ?? null;
+    return tpl.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_m, k) => {
+      const v = getPath(vars, k);
+      if (v == null) return '';
+      return typeof v === 'object' ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(tpl)) return tpl.map((x) => renderPayloadTemplate(x, vars));
+  if (isPlainObject(tpl)) return Object.fromEntries(Object.entries(tpl).map(([k, v]) => [k, renderPayloadTemplate(v, vars)]));
+  return tpl;
+}
+
+const mapType = (c, waType) => c.mapping?.types?.[waType] ?? DEFAULT_TYPES[waType] ?? 'text';
+
+function authHeaders(auth = {}) {
+  switch (auth.type) {
+    case 'bearer': return { Authorization: `Bearer ${auth.token}` };
+    case 'basic': return { Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}` };
+    case 'header': return { [auth.header]: auth.value };
+    default: return {};
+  }
+}
+
+const replyUrl = (c) => (PUBLIC_BASE_URL && c.inboundToken ? `${PUBLIC_BASE_URL}/api/crm/${encodeURIComponent(c.id)}/inbound` : null);
+
+/** payload normalizado -> { url, headers, body } según el tipo de conector */
+function buildRequest(c, sessionId, payload) {
+  const vars = { ...payload, session_id: sessionId, type: mapType(c, payload.wa_type), reply_url: replyUrl(c) };
+  if (c.type === 'php') {
+    return { url: `${c.url}${c.path ?? ''}`, headers: { ...c.headers, ...authHeaders(c.auth) }, body: vars };
+  }
+  return {
+    url: c.url,
+    headers: { ...c.headers, ...authHeaders(c.auth) },
+    body: c.mapping?.template ? renderPayloadTemplate(c.mapping.template, vars) : vars,
+  };
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+export function listConnectors() {
+  const out = Array.from(connectors.values()).map((c) => publicView(c));
+  const d = defaultConnector();
+  return d ? [publicView(d), ...out] : out;
+}
+
+/** conector completo (con credenciales) o null */
+function findConnector(id) {
+  if (id === DEFAULT_CONNECTOR_ID) return defaultConnector();
+  return connectors.get(id) || null;
+}
+
+export function getConnector(id) {
+  const c = findConnector(id);
+  return c ? publicView(c, { withSecrets: true }) : null;
+}
+
+/** Crea un conector; si no se da inboundToken se genera uno */
+export function createConnector(input = {}) {
+  if (!input.type) throw new Error('invalid_connector_type');
+  if (!input.url) throw new Error('missing_url');
+  if (input.id === DEFAULT_CONNECTOR_ID || input.id === 'none') throw new Error('invalid_connector_id');
+  const id = input.id ? String(input.id) : crypto.randomUUID();
+  if (!/^[\w-]{1,64}$/.test(id)) throw new Error('invalid_connector_id');
+  if (connectors.has(id)) throw new Error('connector_exists');
+  const c = normalize(
+    {
+      name: '',
+      enabled: true,
+      path: input.type === 'php' ? '/api/whatsapp_webhook.php' : '',
+      auth: { type: 'none' },
+      headers: {},
+      events: ['*'],
+      mapping: {},
+      ...input,
+    },
+    { id, createdAt: Date.now() }
+  );
+  if (!c.inboundToken) c.inboundToken = crypto.randomBytes(24).toString('hex');
+  if (!c.secret) c.secret = '';
+  c.updatedAt = c.createdAt;
+  connectors.set(id, c);
+  persist();
+  return publicView(c, { withSecrets: true });
+}
+
+export function updateConnector(id, input = {}) {
+  if (id === DEFAULT_CONNECTOR_ID) throw new Error('connector_read_only');
+  const cur = connectors.get(id);
+  if (!cur) throw new Error('connector_not_found');
+  const c = normalize(input, cur);
+  c.updatedAt = Date.now();
+  connectors.set(id, c);
+  persist();
+  return publicView(c);
+}
+
+export function deleteConnector(id) {
+  if (id === DEFAULT_CONNECTOR_ID) throw new Error('connector_read_only');
+  const existed = connectors.delete(id);
+  if (existed) persist();
+  return existed;
+}
+
+/** valida el `connector` de una sesión antes de guardarlo en el registro */
+export function assertConnector(id) {
+  if (id === undefined || id === null || id === 'none') return;
+  if (!findConnector(String(id))) throw new Error('connector_not_found');
+}
+
+/** conector que usa la sesión (null = sin CRM) */
+export function connectorForSession(sessionId) {
+  const chosen = getEntry(sessionId)?.connector;
+  if (chosen === 'none') return null;
+  return findConnector(chosen || DEFAULT_CONNECTOR_ID);
+}
+
+/**
+ * Envía un evento normalizado (ver buildCRMPayload en connections.js) al CRM de la
+ * sesión vía outbox. `deliveryId` = Idempotency-Key fija (backfill).
+ */
+export function deliverToCRM(sessionId, payload, deliveryId = null) {
+  const c = connectorForSession(sessionId);
+  if (!c) {
+    log.debug('sesión sin conector de CRM, se omite el envío', { sessionId, event: payload.event });
+    return null;
+  }
+  if (!c.enabled || !(c.events || ['*']).some((e) => e === '*' || e === payload.event)) return null;
+  const req = buildRequest(c, sessionId, payload);
+  try {
+    return enqueueDelivery({
+      id: deliveryId,
+      event: payload.event === 'message' && payload.direction === 'in' ? 'crm_incoming' : `crm_${payload.event}`,
+      url: req.url,
+      headers: req.headers,
+      secret: c.secret || '',
+      body: req.body,
+    });
+  } catch (e) {
+    log.error('no se pudo encolar POST al CRM', { sessionId, connector: c.id, messageId: payload.wa_message_id, err: e });
+    return null;
+  }
+}
+
+/* ===========================
+   Callback de entrada (respuestas desde el CRM)
+=========================== */
+
+/** token del callback: Authorization: Bearer <t> o X-Connector-Token */
+export function checkInboundToken(connectorId, headers = {}) {
+  const c = findConnector(connectorId);
+  if (!c) throw new Error('connector_not_found');
+  if (!c.enabled || !c.inboundToken) throw new Error('inbound_disabled');
+  const given = String(headers['x-connector-token'] || String(headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const a = Buffer.from(given);
+  const b = Buffer.from(c.inboundToken);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw new Error('invalid_connector_token');
+  return c;
+}
+
+/** body del CRM -> { session, to, text, mediaUrl, fileName, caption } según mapping.inbound */
+export function parseInbound(c, body = {}) {
+  const paths = { ...PHP_INBOUND, ...(c.type === 'http' ? c.mapping?.inbound : {}) };
+  const out = {};
+  for (const f of INBOUND_FIELDS) {
+    const v = getPath(body, paths[f]);
+    out[f] = v == null || v === '' ? null : String(v);
+  }
+  if (!out.to) throw new Error('missing_to');
+  if (!out.text && !out.mediaUrl) throw new Error('missing_text');
+  return out;
+}
+
+/** ¿la sesión manda sus eventos a este conector? (el callback sólo puede enviar por ésas) */
+export function sessionUsesConnector(sessionId, connectorId) {
+  return connectorForSession(sessionId)?.id === connectorId;
+}
+
+/* ===========================
+   Prueba de un conector
+=========================== */
+const SAMPLES = {
+  message: { direction: 'in', body: 'Hola, ¿me pasan precios?', wa_type: 'chat' },
+  edited: { direction: 'in', body: 'Hola, ¿me pasan precios y horarios?', wa_type: 'chat', previous_body: 'Hola, ¿me pasan precios?' },
+  revoked: { direction: 'in', body: 'Hola, ¿me pasan precios?', wa_type: 'chat' },
+  call: { direction: 'in', body: 'Llamada rechazada', wa_type: 'call_log', call: { video: false, group: false, rejected: true } },
+  history: { direction: 'out', body: 'Te paso la lista de precios', wa_type: 'chat' },
+};
+
+/**
+ * Arma el request de ejemplo (o con `payload`) y, con deliver=true, lo envía directo
+ * (sin outbox) para ver la respuesta del CRM. `inbound` = body de callback a validar.
+ */
+export async function testConnector(id, { event = 'message', payload = null, deliver = false, inbound = null, sessionId = 'test' } = {}) {
+  const c = findConnector(id);
+  if (!c) throw new Error('connector_not_found');
+  if (!CRM_EVENTS.includes(event)) throw new Error('invalid_event');
+  const sample = {
+    channel: 'whatsapp',
+    chat_id: '5491100000000@c.us',
+    wa_message_id: `false_5491100000000@c.us_TEST${Date.now()}`,
+    created_at_ms: Date.now(),
+    event,
+    ...SAMPLES[event],
+    ...(isPlainObject(payload) ? payload : {}),
+  };
+  const req = buildRequest(c, sessionId, sample);
+  const masked = { ...req.headers };
+  for (const k of Object.keys(authHeaders(c.auth))) masked[k] = mask(masked[k]);
+  const out = { request: { url: req.url, headers: masked, body: req.body }, response: null, inbound: null };
+
+  if (inbound) {
+    try {
+      out.inbound = { ok: true, data: parseInbound(c, inbound) };
+    } catch (e) {
+      out.inbound = { ok: false, error: e.message };
+    }
+  }
+
+  if (deliver) {
+    const body = JSON.stringify(req.body);
+    const ts = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+      const r = await axios.post(req.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...req.headers,
+          'X-Webhook-Event': `crm_${event}`,
+          'X-Webhook-Timestamp': String(ts),
+          ...(c.secret ? { 'X-Webhook-Signature': `sha256=${signPayload(c.secret, ts, body)}` } : {}),
+        },
+        timeout: TEST_TIMEOUT_MS,
+        transformRequest: [(d) => d],
+        validateStatus: () => true,
+      });
+      const text = typeof r.data === 'string' ? r.data : JSON.stringify(r.data);
+      out.response = { ok: r.status >= 200 && r.status < 300, status: r.status, ms: Date.now() - started, body: text.slice(0, 2000) };
+    } catch (e) {
+      out.response = { ok: false, status: null, ms: Date.now() - started, error: e.code || e.message };
+    }
+  }
+  return out;
+}
@@ -0,0 +1,223 @@
+// src/contacts.js
+import fs from 'fs';
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { bus, getSession } from './connections.js';
+
+/* ===========================
+   Directorio de contactos
+   - check masivo "¿está en WhatsApp?" con normalización E.164
+   - perfil (push name, foto, perfil de empresa) y bloqueo
+   - caché local por sesión: data/contacts/<sessionId>.json
+     { numbers: { e164: { exists, wa_id, checkedAt } }, profiles: { wa_id: { ...perfil, fetchedAt } } }
+=========================== */
+const CHECK_TTL_MS = Number(process.env.CONTACT_CHECK_TTL_MS || 7 * 86400_000);   // 7 días
+const PROFILE_TTL_MS = Number(process.env.CONTACT_PROFILE_TTL_MS || 86400_000);   // 1 día
+const CHECK_DELAY_MS = Number(process.env.CONTACT_CHECK_DELAY_MS || 300);         // entre consultas a WA
+const CHECK_MAX = Number(process.env.CONTACT_CHECK_MAX || 500);
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY_CODE || '';
+
+// ISO 3166 -> código de país (los más usados; también se acepta el código numérico directo)
+const DIAL_CODES = {
+  AR: '54', BO: '591', BR: '55', CL: '56', CO: '57', CR: '506', CU: '53', DO: '1', EC: '593', ES: '34',
+  GT: '502', HN: '504', MX: '52', NI: '505', PA: '507', PE: '51', PR: '1', PY: '595', SV: '503', US: '1',
+  CA: '1', UY: '598', VE: '58', GB: '44', FR: '33', DE: '49', IT: '39', PT: '351',
+};
+
+// código de país -> [mín, máx] dígitos del número nacional (sin código ni 0 troncal); con esto
+// se distingue '5491122334455' (ya internacional) de un nacional que empieza igual que el código.
+// México admite 11 por el '1' de los móviles viejos (521…)
+const NATIONAL_LENGTHS = {
+  1: [10, 10], 33: [9, 9], 34: [9, 9], 39: [9, 11], 44: [9, 10], 49: [10, 11], 51: [8, 9], 52: [10, 11],
+  53: [8, 8], 54: [10, 11], 55: [10, 11], 56: [9, 9], 57: [10, 10], 58: [10, 10], 351: [9, 9],
+  502: [8, 8], 503: [8, 8], 504: [8, 8], 505: [8, 8], 506: [8, 8], 507: [7, 8], 591: [8, 8],
+  593: [8, 9], 595: [9, 9], 598: [8, 8],
+};
+
+const caches = new Map(); // sessionId -> cache
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const fileOf = (sessionId) => dataPath('contacts', `${encodeURIComponent(sessionId)}.json`);
+
+function cacheOf(sessionId) {
+  if (!caches.has(sessionId)) {
+    const c = readJson(fileOf(sessionId), null) || {};
+    caches.set(sessionId, { numbers: c.numbers || {}, profiles: c.profiles || {} });
+  }
+  return caches.get(sessionId);
+}
+const saveCache = (sessionId) => writeJson(fileOf(sessionId), cacheOf(sessionId));
+
+function readyClient(sessionId) {
+  const s = getSession(sessionId);
+  if (!s) throw new Error('session_not_found');
+  if (s.status !== 'ready') throw new Error('session_not_ready');
+  return s.client;
+}
+
+/** 'AR' | '54' | '+54' -> '54' */
+function dialCode(country) {
+  const c = String(country || '').trim().toUpperCase();
+  if (!c) return '';
+  if (DIAL_CODES[c]) return DIAL_CODES[c];
+  const digits = c.replace(/\D/g, '');
+  if (!digits || digits.length > 3) throw new Error('invalid_country_code');
+  return digits;
+}
+
+/**
+ * ¿`digits` (sin '+') ya trae el código `cc`? Con largos conocidos: si cuadra como
+ * internacional y no como nacional; códigos fuera de la tabla: si empieza con el código
+ */
+function hasDialCode(digits, cc) {
+  if (!digits.startsWith(cc)) return false;
+  const range = NATIONAL_LENGTHS[cc];
+  if (!range) return true;
+  const fits = (n) => n >= range[0] && n <= range[1];
+  return fits(digits.length - cc.length) && !fits(digits.replace(/^0+/, '').length);
+}
+
+/**
+ * Normaliza a E.164 ('+5491122334455').
+ * - '+' o '00' inicial: ya trae código de país
+ * - sin prefijo pero con el largo internacional de `country` (NATIONAL_LENGTHS): ya trae código
+ * - si no, se antepone `country` (quitando el 0 troncal nacional)
+ * Devuelve null si no queda un número plausible (8..15 dígitos).
+ */
+export function toE164(raw, country = DEFAULT_COUNTRY) {
+  const s = String(raw ?? '').trim().replace(/@c\.us$/i, '');
+  if (!s) return null;
+  let digits;
+  if (s.startsWith('+')) digits = s.replace(/\D/g, '');
+  else if (/^00/.test(s.replace(/[\s().-]/g, ''))) digits = s.replace(/\D/g, '').slice(2);
+  else {
+    digits = s.replace(/\D/g, '');
+    const cc = dialCode(country);
+    if (cc && !hasDialCode(digits, cc)) digits = cc + digits.replace(/^0+/, '');
+  }
+  return digits.length >= 8 && digits.length <= 15 && !digits.startsWith('0') ? `+${digits}` : null;
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/**
+ * Valida una lista de números: [{ input, e164, valid, exists, wa_id, cached }]
+ * opts: { country, refresh } (refresh ignora la caché)
+ */
+export async function checkNumbers(sessionId, numbers, { country, refresh = false } = {}) {
+  if (!Array.isArray(numbers) || !numbers.length) throw new Error('missing_numbers');
+  if (numbers.length > CHECK_MAX) throw new Error('too_many_numbers');
+  const cc = country ?? DEFAULT_COUNTRY;
+  dialCode(cc); // valida antes de tocar WhatsApp
+  const cache = cacheOf(sessionId);
+  const out = [];
+  let client = null;
+  let dirty = false;
+
+  for (const input of numbers) {
+    const e164 = toE164(input, cc);
+    if (!e164) {
+      out.push({ input, e164: null, valid: false, exists: false, wa_id: null, cached: false });
+      continue;
+    }
+    const hit = cache.numbers[e164];
+    if (hit && !refresh && Date.now() - hit.checkedAt < CHECK_TTL_MS) {
+      out.push({ input, e164, valid: true, exists: hit.exists, wa_id: hit.wa_id, cached: true });
+      continue;
+    }
+    client ||= readyClient(sessionId);
+    if (dirty) await sleep(CHECK_DELAY_MS);
+    const res = await client.getNumberId(e164.slice(1)); // null si no tiene WhatsApp
+    const entry = { exists: !!res, wa_id: res?._serialized || null, checkedAt: Date.now() };
+    cache.numbers[e164] = entry;
+    dirty = true;
+    out.push({ input, e164, valid: true, exists: entry.exists, wa_id: entry.wa_id, cached: false });
+  }
+  if (dirty) saveCache(sessionId);
+  return out;
+}
+
+const summary = (c) => ({
+  id: c.id?._serialized,
+  number: c.number || null,
+  name: c.name || null,
+  pushname: c.pushname || null,
+  isBusiness: !!c.isBusiness,
+  isMyContact: !!c.isMyContact,
+  isBlocked: !!c.isBlocked,
+});
+
+/** Contactos de la libreta de WhatsApp (sólo usuarios, sin grupos) */
+export async function listContacts(sessionId, { q, limit } = {}) {
+  const all = await readyClient(sessionId).getContacts();
+  const term = String(q || '').toLowerCase();
+  const lim = Math.min(1000, Math.max(1, Number(limit) || 200));
+  return all
+    .filter((c) => c.isUser && c.id?.server === 'c.us')
+    .map(summary)
+    .filter((c) => !term || [c.number, c.name, c.pushname].some((v) => v && v.toLowerCase().includes(term)))
+    .slice(0, lim);
+}
+
+function contactId(raw) {
+  const s = String(raw || '').trim();
+  if (/@c\.us$/i.test(s)) return s;
+  const digits = s.replace(/\D/g, '');
+  if (!digits) throw new Error('invalid_contact_id');
+  return `${digits}@c.us`;
+}
+
+/** Perfil: push name, about, foto, perfil de empresa (cacheado PROFILE_TTL_MS) */
+export async function getProfile(sessionId, rawId, { refresh = false } = {}) {
+  const id = contactId(rawId);
+  const cache = cacheOf(sessionId);
+  const hit = cache.profiles[id];
+  if (hit && !refresh && Date.now() - hit.fetchedAt < PROFILE_TTL_MS) return { ...hit, cached: true };
+
+  const client = readyClient(sessionId);
+  const c = await client.getContactById(id);
+  const [about, profilePicUrl] = await Promise.all([
+    c.getAbout().catch(() => null),
+    c.getProfilePicUrl().catch(() => null),
+  ]);
+  const bp = c.isBusiness ? c.businessProfile || null : null;
+  const profile = {
+    ...summary(c),
+    about: about || null,
+    profilePicUrl: profilePicUrl || null, // URL de WhatsApp, caduca a los pocos días
+    businessProfile: bp && {
+      description: bp.description || null,
+      category: bp.categories?.map((x) => x.localized_display_name).join(', ') || null,
+      email: bp.email || null,
+      website: (bp.website || []).map((w) => w.url || w).filter(Boolean),
+      address: bp.address || null,
+    },
+    fetchedAt: Date.now(),
+  };
+  cache.profiles[id] = profile;
+  saveCache(sessionId);
+  return { ...profile, cached: false };
+}
+
+/** Bloquea / desbloquea un contacto */
+export async function setBlocked(sessionId, rawId, blocked) {
+  const id = contactId(rawId);
+  const c = await readyClient(sessionId).getContactById(id);
+  if (blocked) await c.block(); else await c.unblock();
+  const cache = cacheOf(sessionId);
+  if (cache.profiles[id]) {
+    cache.profiles[id].isBlocked = !!blocked;
+    saveCache(sessionId);
+  }
+  return { id, isBlocked: !!blocked };
+}
+
+export async function listBlocked(sessionId) {
+  return (await readyClient(sessionId).getBlockedContacts()).map(summary);
+}
+
+bus.on('session_deleted', ({ id }) => {
+  caches.delete(id);
+  fs.rmSync(fileOf(id), { force: true });
+});
@@ -0,0 +1,60 @@
+// src/csv.js
+
+/**
+ * CSV -> array de objetos usando la primera fila como encabezados (RFC 4180 básico).
+ * Separador ',' o ';' (Excel en locale es-*), detectado en la primera línea.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, ''); // BOM de Excel
+  const first = src.split(/\r?\n/, 1)[0];
+  const sep = first.includes(';') && !first.includes(',') ? ';' : ',';
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some((c) => c !== '')) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c !== '')) rows.push(row);
+
+  const [header, ...body] = rows;
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+const escapeCell = (v, formulaSafe = false) => {
+  let s = v === null || v === undefined ? '' : String(v);
+  // Excel/Sheets no la evalúa como fórmula; teléfonos E.164 y números (+549…, -5) quedan tal cual
+  if (formulaSafe && /^[=+\-@\t\r]/.test(s) && !/^[+-]?[\d\s().-]+$/.test(s)) s = `'${s}`;
+  return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * array de objetos -> CSV con las columnas dadas.
+ * `formulaSafe`: antepone ' a celdas que empiezan con = + - @ tab o CR (texto de terceros),
+ * salvo las puramente numéricas (teléfonos, importes)
+ */
+export function toCsv(rows, columns, { formulaSafe = false } = {}) {
+  const lines = [columns.map((c) => escapeCell(c)).join(',')];
+  for (const r of rows) lines.push(columns.map((c) => escapeCell(r[c], formulaSafe)).join(','));
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,145 @@
+// src/groups.js
+import { getSession, toChatId } from './connections.js';
+
+/* ===========================
+   Grupos (whatsapp-web.js GroupChat)
+   - listar / crear
+   - participantes: add | remove | promote | demote
+   - asunto / descripción
+   - link de invitación (obtener / revocar)
+=========================== */
+export const PARTICIPANT_ACTIONS = {
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants',
+};
+
+const INVITE_BASE = 'https://chat.whatsapp.com/';
+
+function readyClient(sessionId) {
+  const s = getSession(sessionId);
+  if (!s) throw new Error('session_not_found');
+  if (s.status !== 'ready') throw new Error('session_not_ready');
+  return s.client;
+}
+
+/** '1203...@g.us' o sólo la parte numérica (con o sin guion) */
+function toGroupId(raw) {
+  const s = String(raw || '').trim();
+  if (/@g\.us$/i.test(s)) return s;
+  return /^[\d-]+$/.test(s) ? `${s}@g.us` : null;
+}
+
+/** lista de números/IDs -> chatIds de contactos (lanza si alguno no es válido) */
+function toParticipantIds(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error('missing_participants');
+  return list.map((p) => {
+    const id = toChatId(p);
+    if (!id || !id.endsWith('@c.us')) throw new Error(`invalid_participant:${p}`);
+    return id;
+  });
+}
+
+async function getGroupChat(sessionId, groupId) {
+  const client = readyClient(sessionId);
+  const gid = toGroupId(groupId);
+  if (!gid) throw new Error('invalid_group_id');
+  let chat = null;
+  try {
+    chat = await client.getChatById(gid);
+  } catch {
+    chat = null;
+  }
+  if (!chat?.isGroup) throw new Error('group_not_found');
+  return chat;
+}
+
+function describeGroup(chat, withParticipants = false) {
+  const meta = chat.groupMetadata || {};
+  const participants = chat.participants || [];
+  const out = {
+    id: chat.id?._serialized,
+    subject: chat.name || '',
+    description: chat.description || '',
+    owner: chat.owner?._serialized || null,
+    createdAt: chat.createdAt ? new Date(chat.createdAt).getTime() : null,
+    size: participants.length,
+    announce: !!meta.announce, // sólo admins envían
+    restrict: !!meta.restrict, // sólo admins editan info
+    unreadCount: chat.unreadCount || 0,
+    archived: !!chat.archived,
+  };
+  if (withParticipants) {
+    out.participants = participants.map((p) => ({
+      id: p.id?._serialized,
+      isAdmin: !!p.isAdmin,
+      isSuperAdmin: !!p.isSuperAdmin,
+    }));
+  }
+  return out;
+}
+
+/* ===========================
+   API pública
+=========================== */
+export async function listGroups(sessionId) {
+  const chats = await readyClient(sessionId).getChats();
+  return chats.filter((c) => c.isGroup).map((c) => describeGroup(c));
+}
+
+export async function getGroup(sessionId, groupId) {
+  return describeGroup(await getGroupChat(sessionId, groupId), true);
+}
+
+/** Crea un grupo; WhatsApp devuelve un string cuando falla */
+export async function createGroup(sessionId, { subject, participants } = {}) {
+  const title = String(subject || '').trim();
+  if (!title) throw new Error('missing_subject');
+  const ids = toParticipantIds(participants);
+  const res = await readyClient(sessionId).createGroup(title, ids);
+  if (typeof res === 'string') throw new Error(`group_create_failed:${res}`);
+  return { id: res.gid?._serialized || null, subject: res.title || title, participants: res.participants || {} };
+}
+
+/** add | remove | promote | demote; devuelve el resultado por participante que da WhatsApp */
+export async function updateParticipants(sessionId, groupId, action, participants) {
+  const method = PARTICIPANT_ACTIONS[action];
+  if (!method) throw new Error('invalid_action');
+  const ids = toParticipantIds(participants);
+  const chat = await getGroupChat(sessionId, groupId);
+  const result = await chat[method](ids);
+  return { action, participants: ids, result };
+}
+
+/** Cambia asunto y/o descripción (requiere ser admin si el grupo es restringido) */
+export async function updateGroup(sessionId, groupId, { subject, description } = {}) {
+  if (subject === undefined && description === undefined) throw new Error('missing_fields');
+  const chat = await getGroupChat(sessionId, groupId);
+  if (subject !== undefined) {
+    const title = String(subject || '').trim();
+    if (!title) throw new Error('missing_subject');
+    if (!(await chat.setSubject(title))) throw new Error('group_update_failed:subject');
+  }
+  if (description !== undefined) {
+    if (!(await chat.setDescription(String(description || '')))) {
+      throw new Error('group_update_failed:description');
+    }
+  }
+  return getGroup(sessionId, groupId);
+}
+
+export async function getInviteLink(sessionId, groupId) {
+  const chat = await getGroupChat(sessionId, groupId);
+  const code = await chat.getInviteCode();
+  if (!code || typeof code !== 'string') throw new Error('invite_not_available');
+  return { code, link: INVITE_BASE + code };
+}
+
+/** Invalida el link actual y devuelve el nuevo */
+export async function revokeInviteLink(sessionId, groupId) {
+  const chat = await getGroupChat(sessionId, groupId);
+  const code = await chat.revokeInvite();
+  if (!code) throw new Error('invite_not_available');
+  return { code, link: INVITE_BASE + code };
+}
@@ -0,0 +1,122 @@
+// src/inbox.js
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { bus, getSession, toChatId } from './connections.js';
+import { fireWebhook } from './webhooks.js';
+import { listChats, countIncomingAfter } from './messages.js';
+import { getChatTags } from './rules.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Bandeja de agentes
+   - no leídos por chat (lastReadSeq sobre el store de mensajes)
+   - asignación de chats a agentes (nombre libre) para que dos agentes
+     no respondan al mismo cliente
+   data/inbox.json: { sessionId: { chatId: { assignee, assignedAt, lastReadSeq } } }
+=========================== */
+const log = logger.child({ component: 'inbox' });
+const INBOX_FILE = dataPath('inbox.json');
+const state = readJson(INBOX_FILE, {}) || {};
+
+const persist = () => writeJson(INBOX_FILE, state);
+const chatState = (sessionId, chatId) => state[sessionId]?.[chatId] || {};
+
+function patchChat(sessionId, chatId, fields) {
+  const bySession = (state[sessionId] ||= {});
+  bySession[chatId] = { ...(bySession[chatId] || {}), ...fields };
+  persist();
+  return bySession[chatId];
+}
+
+const normAgent = (agent) => String(agent || '').trim();
+
+function emit(ev, payload) {
+  bus.emit(ev, payload);
+  fireWebhook(ev, payload);
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/** Chats con no leídos, asignación y tags; filtros: assignee ('none' = sin asignar), unread */
+export function listInbox(sessionId, { assignee, unread } = {}) {
+  return listChats(sessionId)
+    .map((c) => {
+      const st = chatState(sessionId, c.chatId);
+      return {
+        ...c,
+        unread: countIncomingAfter(sessionId, c.chatId, st.lastReadSeq || 0),
+        assignee: st.assignee || null,
+        assignedAt: st.assignedAt || null,
+        tags: getChatTags(sessionId, c.chatId),
+      };
+    })
+    .filter((c) => {
+      if (assignee === 'none' && c.assignee) return false;
+      if (assignee && assignee !== 'none' && c.assignee !== assignee) return false;
+      if (unread && !c.unread) return false;
+      return true;
+    });
+}
+
+export function getAssignment(sessionId, chatId) {
+  const st = chatState(sessionId, chatId);
+  return { chatId, assignee: st.assignee || null, assignedAt: st.assignedAt || null };
+}
+
+/** Asigna el chat; si ya lo tiene otro agente exige force */
+export function assignChat(sessionId, chatId, agent, { force = false } = {}) {
+  const name = normAgent(agent);
+  if (!name) throw new Error('missing_agent');
+  const cur = chatState(sessionId, chatId);
+  if (cur.assignee === name) return getAssignment(sessionId, chatId);
+  if (cur.assignee && !force) throw new Error(`chat_assigned:${cur.assignee}`);
+
+  patchChat(sessionId, chatId, { assignee: name, assignedAt: Date.now() });
+  if (cur.assignee) emit('chat_released', { id: sessionId, chatId, agent: cur.assignee, by: name });
+  emit('chat_assigned', { id: sessionId, chatId, agent: name, previous: cur.assignee || null });
+  return getAssignment(sessionId, chatId);
+}
+
+/** Libera el chat; sólo su agente (o force) */
+export function releaseChat(sessionId, chatId, agent, { force = false } = {}) {
+  const cur = chatState(sessionId, chatId);
+  if (!cur.assignee) return getAssignment(sessionId, chatId);
+  const name = normAgent(agent);
+  if (cur.assignee !== name && !force) throw new Error(`chat_assigned:${cur.assignee}`);
+  patchChat(sessionId, chatId, { assignee: null, assignedAt: null });
+  emit('chat_released', { id: sessionId, chatId, agent: cur.assignee, by: name || null });
+  return getAssignment(sessionId, chatId);
+}
+
+/**
+ * Antes de responder: si el chat es de otro agente lanza chat_assigned:<agente>;
+ * si está libre queda asignado a quien responde.
+ */
+export function claimForReply(sessionId, to, agent) {
+  const name = normAgent(agent);
+  const chatId = toChatId(to);
+  if (!name || !chatId) return;
+  const cur = chatState(sessionId, chatId);
+  if (cur.assignee && cur.assignee !== name) throw new Error(`chat_assigned:${cur.assignee}`);
+  if (!cur.assignee) assignChat(sessionId, chatId, name);
+}
+
+/** Marca el chat como leído (local + "visto" en WhatsApp si la sesión está lista) */
+export async function markChatRead(sessionId, chatId) {
+  const last = listChats(sessionId).find((c) => c.chatId === chatId);
+  patchChat(sessionId, chatId, { lastReadSeq: last?.lastSeq || 0 });
+  const s = getSession(sessionId);
+  if (s?.status === 'ready') {
+    await s.client.sendSeen(chatId).catch((e) => log.warn('sendSeen falló', { sessionId, chatId, err: e.message }));
+  }
+  bus.emit('chat_read', { id: sessionId, chatId });
+  return { chatId, unread: 0 };
+}
+
+bus.on('session_deleted', ({ id }) => {
+  if (state[id]) {
+    delete state[id];
+    persist();
+  }
+});
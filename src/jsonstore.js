@@ -0,0 +1,35 @@
+// src/jsonstore.js
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/* ===========================
+   Persistencia simple en JSON (data/)
+=========================== */
+const log = logger.child({ component: 'store' });
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/** ruta dentro de DATA_DIR (crea el directorio padre) */
+export function dataPath(...parts) {
+  const full = path.join(DATA_DIR, ...parts);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  return full;
+}
+
+/** lee JSON; si no existe o está corrupto devuelve `fallback` */
+export function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('no se pudo leer archivo', { file, err: e.message });
+    return fallback;
+  }
+}
+
+/** escribe JSON de forma atómica (tmp + rename) */
+export function writeJson(file, obj) {
+  const tmp = `${file}.${process.pid}.tmp`; // por proceso: varios nodos pueden compartir DATA_DIR
+  fs.writeFileSync(tmp, JSON.stringify(obj));
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,131 @@
+// src/leases.js
+import os from 'os';
+import Redis from 'ioredis';
+import { logger } from './logger.js';
+
+/* ===========================
+   Leases de sesiones en Redis (modo cluster, sólo si REDIS_URL)
+   - wa:lease:<sessionId> = nodeId (PX LEASE_TTL_MS): el nodo dueño corre el Chromium
+   - wa:node:<nodeId>     = { url, sessions, ts } (heartbeat con TTL)
+   - wa:status            = hash sessionId -> { status, node, at } para listar desde cualquier nodo
+   Sin REDIS_URL todo es local (un solo proceso) y estas funciones no hacen nada.
+=========================== */
+const log = logger.child({ component: 'leases' });
+const REDIS_URL = process.env.REDIS_URL || '';
+export const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
+// URL interna con la que los demás nodos llegan a éste (proxy REST)
+export const NODE_URL = (process.env.NODE_URL || `http://${os.hostname()}:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+export const LEASE_TTL_MS = Number(process.env.LEASE_TTL_MS || 30_000);
+
+const PREFIX = process.env.REDIS_PREFIX || 'wa:';
+const leaseKey = (id) => `${PREFIX}lease:${id}`;
+const nodeKey = (nodeId) => `${PREFIX}node:${nodeId}`;
+const STATUS_KEY = `${PREFIX}status`;
+
+// renueva / libera sólo si el lease sigue siendo nuestro
+const RENEW_LUA = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_LUA = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+export const clusterEnabled = () => !!REDIS_URL;
+
+let redis = null;
+function conn() {
+  if (!redis) {
+    redis = new Redis(REDIS_URL, { maxRetriesPerRequest: 2 });
+    redis.defineCommand('renewLease', { numberOfKeys: 1, lua: RENEW_LUA });
+    redis.defineCommand('releaseLease', { numberOfKeys: 1, lua: RELEASE_LUA });
+    redis.on('error', (e) => log.error('error de Redis', { err: e.message }));
+  }
+  return redis;
+}
+
+/** conexión nueva (pub/sub del adapter de Socket.IO) */
+export const newRedisConnection = () => new Redis(REDIS_URL);
+
+/** Toma el lease (o lo renueva si ya es nuestro); false si lo tiene otro nodo */
+export async function acquireLease(id) {
+  if (!clusterEnabled()) return true;
+  const r = conn();
+  if (await r.set(leaseKey(id), NODE_ID, 'PX', LEASE_TTL_MS, 'NX')) return true;
+  return (await r.renewLease(leaseKey(id), NODE_ID, LEASE_TTL_MS)) === 1;
+}
+
+/** Renueva los leases indicados; devuelve los ids que ya no son nuestros */
+export async function renewLeases(ids) {
+  if (!clusterEnabled() || !ids.length) return [];
+  const pipe = conn().pipeline();
+  for (const id of ids) pipe.renewLease(leaseKey(id), NODE_ID, LEASE_TTL_MS);
+  const res = await pipe.exec();
+  return ids.filter((_, i) => res[i][0] || res[i][1] !== 1);
+}
+
+export async function releaseLease(id) {
+  if (!clusterEnabled()) return;
+  await conn().releaseLease(leaseKey(id), NODE_ID);
+}
+
+/** Nodo dueño de la sesión: { nodeId, url } o null si nadie la tiene */
+export async function ownerOf(id) {
+  if (!clusterEnabled()) return { nodeId: NODE_ID, url: NODE_URL };
+  const nodeId = await conn().get(leaseKey(id));
+  if (!nodeId) return null;
+  if (nodeId === NODE_ID) return { nodeId, url: NODE_URL };
+  const node = await getNode(nodeId);
+  return { nodeId, url: node?.url || null };
+}
+
+/* ===========================
+   Nodos y estado compartido
+=========================== */
+
+/** Publica el heartbeat del nodo (TTL = 2 leases: un nodo caído desaparece solo) */
+export async function heartbeat(sessions) {
+  if (!clusterEnabled()) return;
+  const body = JSON.stringify({ url: NODE_URL, sessions, ts: Date.now() });
+  await conn().set(nodeKey(NODE_ID), body, 'PX', LEASE_TTL_MS * 2);
+}
+
+async function getNode(nodeId) {
+  const raw = await conn().get(nodeKey(nodeId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/** Nodos vivos: [{ nodeId, url, sessions, ts }] */
+export async function listNodes() {
+  if (!clusterEnabled()) return [{ nodeId: NODE_ID, url: NODE_URL, sessions: null, ts: Date.now() }];
+  const r = conn();
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await r.scan(cursor, 'MATCH', nodeKey('*'), 'COUNT', 100);
+    cursor = next;
+    keys.push(...batch);
+  } while (cursor !== '0');
+  if (!keys.length) return [];
+  const values = await r.mget(keys);
+  return keys
+    .map((k, i) => values[i] && { nodeId: k.slice(nodeKey('').length), ...JSON.parse(values[i]) })
+    .filter(Boolean);
+}
+
+export async function publishStatus(id, status) {
+  if (!clusterEnabled()) return;
+  await conn().hset(STATUS_KEY, id, JSON.stringify({ status, node: NODE_ID, at: Date.now() }));
+}
+
+export async function clearStatus(id) {
+  if (!clusterEnabled()) return;
+  await conn().hdel(STATUS_KEY, id);
+}
+
+/** sessionId -> { status, node, at } publicados por los dueños */
+export async function getStatuses() {
+  if (!clusterEnabled()) return {};
+  const all = await conn().hgetall(STATUS_KEY);
+  return Object.fromEntries(Object.entries(all).map(([id, raw]) => [id, JSON.parse(raw)]));
+}
+
+export async function closeRedis() {
+  if (redis) await redis.quit().catch(() => {});
+  redis = null;
+}
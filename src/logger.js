@@ -0,0 +1,45 @@
+// src/logger.js
+
+/* ===========================
+   Logs estructurados (una línea JSON por evento)
+   { ts, level, msg, sessionId?, messageId?, ...campos }
+   - LOG_LEVEL: debug | info | warn | error (default info)
+   - LOG_FORMAT=text: formato legible para desarrollo
+=========================== */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const TEXT = process.env.LOG_FORMAT === 'text';
+
+/** Error -> objeto serializable */
+function serialize(v) {
+  if (v instanceof Error) return { message: v.message, code: v.code, stack: v.stack };
+  return v;
+}
+
+function write(level, base, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { ts: new Date().toISOString(), level, msg, ...base };
+  for (const [k, v] of Object.entries(fields)) if (v !== undefined) entry[k] = serialize(v);
+  const out = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (TEXT) {
+    const { ts, level: l, msg: m, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ' ' + JSON.stringify(rest) : '';
+    out.write(`${ts} ${l.toUpperCase()} ${m}${extra}\n`);
+  } else {
+    out.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+function makeLogger(base) {
+  return {
+    debug: (msg, fields) => write('debug', base, msg, fields),
+    info: (msg, fields) => write('info', base, msg, fields),
+    warn: (msg, fields) => write('warn', base, msg, fields),
+    error: (msg, fields) => write('error', base, msg, fields),
+    /** logger con campos fijos, p.ej. child({ component: 'queue' }) */
+    child: (fields) => makeLogger({ ...base, ...fields }),
+  };
+}
+
+export const logger = makeLogger({});
+export default logger;
@@ -0,0 +1,317 @@
+// src/media.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import mime from 'mime';
+import { DATA_DIR, dataPath } from './jsonstore.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Almacenamiento de media (pluggable)
+   - MEDIA_BACKEND=local (default): archivos en MEDIA_DIR (data/media)
+   - MEDIA_BACKEND=s3: bucket S3-compatible (AWS, MinIO, R2...)
+   - descarga siempre vía /media/<key>?exp=&sig= (URL firmada HMAC, con caducidad)
+   - retención: MEDIA_RETENTION_DAYS (edad) y MEDIA_MAX_BYTES (tamaño total)
+=========================== */
+const log = logger.child({ component: 'media' });
+const {
+  MEDIA_BACKEND = 'local',
+  MEDIA_DIR = path.join(DATA_DIR, 'media'),
+  PUBLIC_BASE_URL = '',
+  S3_ENDPOINT,
+  S3_REGION = 'us-east-1',
+  S3_BUCKET,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+  S3_PREFIX = '',
+} = process.env;
+
+const URL_TTL_SEC = Number(process.env.MEDIA_URL_TTL_SEC || 24 * 3600); // 24h
+const RETENTION_DAYS = Number(process.env.MEDIA_RETENTION_DAYS || 0);    // 0 = sin límite
+const MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 0);              // 0 = sin límite
+const PRUNE_EVERY_MS = 3600_000;
+const FETCH_MAX_BYTES = Number(process.env.MEDIA_FETCH_MAX_BYTES || 25 * 1024 * 1024);
+const FETCH_TIMEOUT_MS = Number(process.env.MEDIA_FETCH_TIMEOUT_MS || 20_000);
+const FETCH_ALLOW_PRIVATE = process.env.MEDIA_FETCH_ALLOW_PRIVATE === '1';
+
+// secreto de firma: MEDIA_URL_SECRET o uno generado y guardado en data/media-url.secret,
+// así las URLs ya enviadas al CRM sobreviven reinicios (compartir el valor entre nodos)
+const URL_SECRET = process.env.MEDIA_URL_SECRET || loadOrCreateSecret(dataPath('media-url.secret'));
+
+function loadOrCreateSecret(file) {
+  try {
+    const s = fs.readFileSync(file, 'utf8').trim();
+    if (s) return s;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const s = crypto.randomBytes(32).toString('hex');
+  try {
+    fs.writeFileSync(file, s, { flag: 'wx', mode: 0o600 });
+  } catch (e) {
+    if (e.code === 'EEXIST') return fs.readFileSync(file, 'utf8').trim(); // otro nodo lo creó primero
+    throw e;
+  }
+  log.warn('MEDIA_URL_SECRET no configurado: se generó uno en DATA_DIR', { file });
+  return s;
+}
+
+/** key segura: sin '..', sin barra inicial */
+function safeKey(key) {
+  const k = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  if (!k || k.split('/').some((p) => p === '..' || p === '.' || p === '')) throw new Error('invalid_media_key');
+  return k;
+}
+
+/* ===========================
+   Backends: { name, put, get, remove, list }
+   get -> { stream, size, mime } | null
+   list -> [{ key, size, mtime }]
+=========================== */
+function createLocalBackend(root) {
+  const full = (key) => path.join(root, safeKey(key));
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const f = full(key);
+      fs.mkdirSync(path.dirname(f), { recursive: true });
+      fs.writeFileSync(f, buffer);
+    },
+    async get(key) {
+      const f = full(key);
+      if (!fs.existsSync(f)) return null;
+      return { stream: fs.createReadStream(f), size: fs.statSync(f).size, mime: mime.getType(f) };
+    },
+    async remove(key) {
+      fs.rmSync(full(key), { force: true });
+    },
+    async list() {
+      const out = [];
+      const walk = (dir) => {
+        if (!fs.existsSync(dir)) return;
+        for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+          const p = path.join(dir, e.name);
+          if (e.isDirectory()) walk(p);
+          else {
+            const st = fs.statSync(p);
+            out.push({ key: path.relative(root, p).split(path.sep).join('/'), size: st.size, mtime: st.mtimeMs });
+          }
+        }
+      };
+      walk(root);
+      return out;
+    },
+  };
+}
+
+async function createS3Backend() {
+  if (!S3_BUCKET) throw new Error('S3_BUCKET no configurado');
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } =
+    await import('@aws-sdk/client-s3');
+  const s3 = new S3Client({
+    region: S3_REGION,
+    ...(S3_ENDPOINT ? { endpoint: S3_ENDPOINT, forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false' } : {}),
+    ...(S3_ACCESS_KEY_ID
+      ? { credentials: { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY || '' } }
+      : {}),
+  });
+  const full = (key) => `${S3_PREFIX}${safeKey(key)}`;
+
+  return {
+    name: 's3',
+    async put(key, buffer, mimeType) {
+      await s3.send(new PutObjectCommand({
+        Bucket: S3_BUCKET, Key: full(key), Body: buffer, ContentType: mimeType || undefined,
+      }));
+    },
+    async get(key) {
+      try {
+        const r = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: full(key) }));
+        return { stream: r.Body, size: r.ContentLength, mime: r.ContentType };
+      } catch (e) {
+        if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: full(key) }));
+    },
+    async list() {
+      const out = [];
+      let token;
+      do {
+        const r = await s3.send(new ListObjectsV2Command({
+          Bucket: S3_BUCKET, Prefix: S3_PREFIX || undefined, ContinuationToken: token,
+        }));
+        for (const o of r.Contents || []) {
+          out.push({ key: o.Key.slice(S3_PREFIX.length), size: o.Size, mtime: new Date(o.LastModified).getTime() });
+        }
+        token = r.IsTruncated ? r.NextContinuationToken : undefined;
+      } while (token);
+      return out;
+    },
+  };
+}
+
+let backendPromise = null;
+function backend() {
+  if (!backendPromise) {
+    backendPromise = MEDIA_BACKEND === 's3' ? createS3Backend() : Promise.resolve(createLocalBackend(MEDIA_DIR));
+  }
+  return backendPromise;
+}
+
+/* ===========================
+   URLs firmadas
+=========================== */
+const sign = (key, exp) => crypto.createHmac('sha256', URL_SECRET).update(`${key}:${exp}`).digest('hex');
+
+/** URL firmada (absoluta si hay PUBLIC_BASE_URL) válida `ttlSec` segundos */
+export function signedMediaUrl(key, ttlSec = URL_TTL_SEC) {
+  if (!Number.isFinite(ttlSec) || ttlSec <= 0) throw new Error('invalid_ttl');
+  const k = safeKey(key);
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  const encoded = k.split('/').map(encodeURIComponent).join('/');
+  return `${PUBLIC_BASE_URL}/media/${encoded}?exp=${exp}&sig=${sign(k, exp)}`;
+}
+
+/** valida exp/sig de una descarga */
+export function verifyMediaSignature(key, exp, sig) {
+  const e = Number(exp);
+  if (!Number.isFinite(e) || e < Date.now() / 1000 || !sig) return false;
+  const expected = Buffer.from(sign(key, e));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/** extensión segura desde mime */
+function extFromMime(m) {
+  try { return mime.getExtension(m) || 'bin'; } catch { return 'bin'; }
+}
+
+/** sesión dueña de una key (wa/<sessionId urlencoded>/YYYY/MM/...) */
+export function mediaKeySession(key) {
+  const seg = safeKey(key).split('/')[1];
+  try { return seg ? decodeURIComponent(seg) : null; } catch { return null; }
+}
+
+/** Guarda un buffer en wa/<sessionId>/YYYY/MM/<random>.<ext>; devuelve { key, url, name, mime, size } */
+export async function storeMedia(sessionId, buffer, mimeType) {
+  const now = new Date();
+  const yy = String(now.getFullYear());
+  const mm = String(now.getMonth() + 1).padStart(2, '0');
+  // nombre no adivinable (antes: timestamp + 8 hex)
+  const name = `${crypto.randomBytes(16).toString('hex')}.${extFromMime(mimeType)}`;
+  const key = `wa/${encodeURIComponent(sessionId)}/${yy}/${mm}/${name}`;
+  await (await backend()).put(key, buffer, mimeType);
+  return { key, url: signedMediaUrl(key), name, mime: mimeType, size: buffer.length };
+}
+
+export async function openMedia(key) {
+  return (await backend()).get(safeKey(key));
+}
+
+/** Lee un objeto completo a memoria: { buffer, mime, name } | null */
+export async function readMedia(key) {
+  const file = await openMedia(key);
+  if (!file) return null;
+  const chunks = [];
+  for await (const c of file.stream) chunks.push(Buffer.from(c));
+  return { buffer: Buffer.concat(chunks), mime: file.mime || mime.getType(key), name: safeKey(key).split('/').pop() };
+}
+
+// redes internas: no se descargan URLs que resuelvan ahí (SSRF) salvo MEDIA_FETCH_ALLOW_PRIVATE=1
+const privateNets = new net.BlockList();
+for (const [ip, bits] of [['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['100.64.0.0', 10], ['0.0.0.0', 8]]) privateNets.addSubnet(ip, bits, 'ipv4');
+for (const [ip, bits] of [['::1', 128], ['fc00::', 7], ['fe80::', 10], ['::', 128]]) privateNets.addSubnet(ip, bits, 'ipv6');
+
+async function assertPublicHost(hostname) {
+  const addrs = await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+  if (!addrs.length) throw new Error('media_url_unresolvable');
+  if (addrs.some((a) => privateNets.check(a.address, a.family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new Error('media_url_forbidden');
+  }
+}
+
+/**
+ * URL http/https que no resuelve a redes internas (salvo MEDIA_FETCH_ALLOW_PRIVATE=1).
+ * Devuelve la URL parseada; errores: invalid_media_url | media_url_unresolvable | media_url_forbidden
+ */
+export async function assertPublicUrl(rawUrl) {
+  let u;
+  try { u = new URL(String(rawUrl)); } catch { throw new Error('invalid_media_url'); }
+  if (!['http:', 'https:'].includes(u.protocol)) throw new Error('invalid_media_url');
+  if (!FETCH_ALLOW_PRIVATE) await assertPublicHost(u.hostname.replace(/^\[|\]$/g, ''));
+  return u;
+}
+
+/** Descarga un adjunto remoto (http/https) -> { buffer, mime, name } */
+export async function fetchRemoteMedia(rawUrl) {
+  const u = await assertPublicUrl(rawUrl);
+
+  let r;
+  try {
+    r = await axios.get(u.href, {
+      responseType: 'arraybuffer',
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: FETCH_MAX_BYTES,
+      maxRedirects: FETCH_ALLOW_PRIVATE ? 5 : 0, // sin redirects: el destino ya se validó
+    });
+  } catch (e) {
+    if (/maxContentLength/i.test(e.message)) throw new Error('media_too_large');
+    throw new Error(`media_fetch_failed:${e.response?.status || e.code || e.message}`);
+  }
+  const type = String(r.headers['content-type'] || '').split(';')[0].trim();
+  const name = decodeURIComponent(u.pathname.split('/').pop() || '') || 'file';
+  return {
+    buffer: Buffer.from(r.data),
+    mime: type && type !== 'application/octet-stream' ? type : mime.getType(name) || 'application/octet-stream',
+    name,
+  };
+}
+
+export async function mediaStats() {
+  const b = await backend();
+  const items = await b.list();
+  return {
+    backend: b.name,
+    files: items.length,
+    bytes: items.reduce((a, i) => a + i.size, 0),
+    retentionDays: RETENTION_DAYS || null,
+    maxBytes: MAX_BYTES || null,
+  };
+}
+
+/** Borra por edad (MEDIA_RETENTION_DAYS) y luego los más viejos hasta quedar bajo MEDIA_MAX_BYTES */
+export async function pruneMedia() {
+  const b = await backend();
+  const items = (await b.list()).sort((x, y) => x.mtime - y.mtime);
+  const removed = [];
+  const cutoff = RETENTION_DAYS ? Date.now() - RETENTION_DAYS * 86400_000 : 0;
+  let total = items.reduce((a, i) => a + i.size, 0);
+
+  for (const it of items) {
+    const tooOld = cutoff && it.mtime < cutoff;
+    const tooBig = MAX_BYTES && total > MAX_BYTES;
+    if (!tooOld && !tooBig) continue;
+    await b.remove(it.key);
+    total -= it.size;
+    removed.push(it.key);
+  }
+  if (removed.length) log.info('retención: archivos eliminados', { removed: removed.length, bytes: total });
+  return { removed: removed.length, bytes: total };
+}
+
+if (RETENTION_DAYS || MAX_BYTES) {
+  setInterval(() => {
+    pruneMedia().catch((e) => log.error('error en retención de media', { err: e.message }));
+  }, PRUNE_EVERY_MS).unref();
+}
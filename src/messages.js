@@ -0,0 +1,260 @@
+// src/messages.js
+import fs from 'fs';
+import { dataPath } from './jsonstore.js';
+
+/* ===========================
+   Store local de mensajes (JSONL append-only por sesión)
+   data/messages/<sessionId>.jsonl, una línea por operación:
+     { t: 'msg', seq, id_msg, chatId, direction, ... }   -> alta / merge
+     { t: 'ack', id_msg, ack, at }                       -> cambio de ack
+   En memoria se reconstruye un índice por sesión al primer acceso. Cada chat queda
+   ordenado por timestamp (el historial del backfill entra en su lugar, no al final);
+   seq es el orden de llegada y los registros del backfill (backfilled) no cuentan como no leídos.
+=========================== */
+const DEFAULT_LIMIT = 50;
+
+/** ACK de whatsapp-web.js -> nombre legible */
+const ACK_NAMES = { '-1': 'error', 0: 'pending', 1: 'server', 2: 'device', 3: 'read', 4: 'played' };
+export const ackName = (ack) => ACK_NAMES[ack] ?? null;
+
+const MAX_LIMIT = 200;
+
+// sessionId -> { seq, byId: Map(id_msg -> rec), chats: Map(chatId -> rec[]) }
+const stores = new Map();
+
+const fileOf = (sessionId) => dataPath('messages', `${encodeURIComponent(sessionId)}.jsonl`);
+
+/** minúsculas y sin acentos, para búsqueda */
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/** inserta `rec` en `list` manteniendo el orden por timestamp (búsqueda binaria) */
+function insertByTime(list, rec) {
+  const ts = rec.timestamp ?? 0;
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if ((list[mid].timestamp ?? 0) <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, rec);
+}
+
+/**
+ * ack al fusionar: nunca retrocede (el de sendMessage suele llegar después de un
+ * message_ack más nuevo); -1 (error) no pisa ni es pisado por un merge, sólo por updateAck
+ */
+function mergeAck(prev, next) {
+  if (prev == null) return next ?? null;
+  if (next == null || prev === -1 || next === -1) return prev;
+  return Math.max(prev, next);
+}
+
+function applyLine(store, op) {
+  if (op.t === 'msg') {
+    const { t, ...rec } = op;
+    const prev = store.byId.get(rec.id_msg);
+    if (prev) {
+      const { chatId, timestamp, ack } = prev;
+      // mergeAck también acá: líneas viejas del archivo pueden traer un ack ya superado
+      Object.assign(prev, rec, { seq: prev.seq, ackHistory: prev.ackHistory, ack: mergeAck(ack, rec.ack) });
+      if (prev.ack !== ack && prev.ack != null) {
+        prev.ackAt = Date.now();
+        (prev.ackHistory ||= []).push({ ack: prev.ack, at: prev.ackAt });
+      }
+      if (prev.chatId !== chatId || prev.timestamp !== timestamp) {
+        // cambió de chat o de hora: sacarlo del lugar viejo y reinsertarlo
+        const old = store.chats.get(chatId) || [];
+        const i = old.indexOf(prev);
+        if (i >= 0) old.splice(i, 1);
+        if (!old.length) store.chats.delete(chatId);
+        if (!store.chats.has(prev.chatId)) store.chats.set(prev.chatId, []);
+        insertByTime(store.chats.get(prev.chatId), prev);
+      }
+      return;
+    }
+    store.seq = Math.max(store.seq, rec.seq);
+    rec.ackHistory = rec.ack != null ? [{ ack: rec.ack, at: rec.timestamp }] : [];
+    store.byId.set(rec.id_msg, rec);
+    if (!store.chats.has(rec.chatId)) store.chats.set(rec.chatId, []);
+    insertByTime(store.chats.get(rec.chatId), rec);
+  } else if (op.t === 'ack') {
+    const rec = store.byId.get(op.id_msg);
+    if (rec) {
+      rec.ack = op.ack;
+      rec.ackAt = op.at;
+      (rec.ackHistory ||= []).push({ ack: op.ack, at: op.at });
+    }
+  }
+}
+
+function load(sessionId) {
+  if (stores.has(sessionId)) return stores.get(sessionId);
+  const store = { seq: 0, byId: new Map(), chats: new Map() };
+  const file = fileOf(sessionId);
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line) continue;
+      try { applyLine(store, JSON.parse(line)); } catch {} // línea truncada por crash
+    }
+  }
+  stores.set(sessionId, store);
+  return store;
+}
+
+/** descarta el índice en memoria: se reconstruye del archivo al próximo acceso */
+export function reloadMessages(sessionId) {
+  stores.delete(sessionId);
+}
+
+function append(sessionId, op) {
+  fs.appendFileSync(fileOf(sessionId), JSON.stringify(op) + '\n');
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/**
+ * Registra (o actualiza) un mensaje entrante/saliente.
+ * rec: { id_msg, chatId, from, to, fromMe, type, body, timestamp, ack, media, quotedMessageId, editedAt, revokedAt }
+ */
+export function recordMessage(sessionId, rec) {
+  if (!sessionId || !rec?.id_msg || !rec?.chatId) return null;
+  const store = load(sessionId);
+  const prev = store.byId.get(rec.id_msg);
+  const pick = (k, def) => rec[k] ?? prev?.[k] ?? def;
+  const fromMe = !!pick('fromMe', false);
+  const op = {
+    t: 'msg',
+    seq: prev ? prev.seq : store.seq + 1,
+    id_msg: rec.id_msg,
+    chatId: rec.chatId,
+    from: pick('from', null),
+    to: pick('to', null),
+    fromMe,
+    direction: fromMe ? 'out' : 'in',
+    type: pick('type', 'chat'),
+    body: pick('body', ''),
+    timestamp: pick('timestamp', Date.now()),
+    ack: mergeAck(prev?.ack, rec.ack),
+    media: pick('media', null),
+    quotedMessageId: pick('quotedMessageId', null),
+    editedAt: pick('editedAt', null),
+    revokedAt: pick('revokedAt', null),
+    ...(pick('backfilled', false) && { backfilled: true }),
+  };
+  append(sessionId, op);
+  applyLine(store, op);
+  return store.byId.get(rec.id_msg);
+}
+
+/**
+ * Actualiza el ack de un mensaje ya registrado.
+ * Devuelve el registro si cambió, false si se ignoró (repetido o retroceso, p.ej. device
+ * después de read) y null si el mensaje no está en el store.
+ */
+export function updateAck(sessionId, idMsg, ack) {
+  const store = load(sessionId);
+  const rec = store.byId.get(idMsg);
+  if (!rec) return null;
+  if (rec.ackHistory?.length && (rec.ack === ack || (ack >= 0 && rec.ack > ack))) return false;
+  const op = { t: 'ack', id_msg: idMsg, ack, at: Date.now() };
+  append(sessionId, op);
+  applyLine(store, op);
+  return store.byId.get(idMsg);
+}
+
+/** Estado de entrega de un mensaje: ack actual + transiciones */
+export function getMessageStatus(sessionId, idMsg) {
+  const rec = load(sessionId).byId.get(idMsg);
+  if (!rec) return null;
+  return {
+    id_msg: rec.id_msg,
+    chatId: rec.chatId,
+    direction: rec.direction,
+    ack: rec.ack,
+    status: ackName(rec.ack),
+    updatedAt: rec.ackAt || rec.timestamp,
+    history: (rec.ackHistory || []).map((h) => ({ ...h, status: ackName(h.ack) })),
+  };
+}
+
+export function getMessage(sessionId, idMsg) {
+  return load(sessionId).byId.get(idMsg) || null;
+}
+
+/** Chats con último mensaje, ordenados por actividad reciente */
+export function listChats(sessionId) {
+  const out = [];
+  for (const [chatId, msgs] of load(sessionId).chats) {
+    const last = msgs[msgs.length - 1];
+    out.push({
+      chatId,
+      count: msgs.length,
+      lastSeq: last.seq,
+      lastTimestamp: last.timestamp,
+      lastMessage: { id_msg: last.id_msg, body: last.body, type: last.type, fromMe: last.fromMe },
+    });
+  }
+  return out.sort((a, b) => b.lastTimestamp - a.lastTimestamp);
+}
+
+/** Entrantes de un chat posteriores a `seq` (contador de no leídos; sin historial del backfill) */
+export function countIncomingAfter(sessionId, chatId, seq = 0) {
+  const msgs = load(sessionId).chats.get(chatId) || [];
+  let n = 0;
+  for (let i = msgs.length - 1; i >= 0; i--) {
+    if (msgs[i].backfilled) continue;
+    if (msgs[i].seq <= seq) break;
+    if (!msgs[i].fromMe) n++;
+  }
+  return n;
+}
+
+const clampLimit = (n) => Math.min(MAX_LIMIT, Math.max(1, Number(n) || DEFAULT_LIMIT));
+
+/**
+ * Historial de un chat (orden por timestamp) con paginación por cursor: el seq de un mensaje.
+ * - before=<seq> (o sin cursor): más recientes primero, desde antes de ese mensaje
+ * - after=<seq>: orden ascendente, lo posterior a ese mensaje
+ * Si el cursor no está en el chat se compara por seq.
+ * Devuelve { data, nextCursor } (nextCursor null si no hay más).
+ */
+export function getChatMessages(sessionId, chatId, { before, after, limit } = {}) {
+  const msgs = load(sessionId).chats.get(chatId) || [];
+  const lim = clampLimit(limit);
+  const indexOf = (seq) => msgs.findLastIndex((m) => m.seq === seq);
+
+  if (after !== undefined && after !== null && after !== '') {
+    const a = Number(after);
+    const i = indexOf(a);
+    const rest = i >= 0 ? msgs.slice(i + 1) : msgs.filter((m) => m.seq > a);
+    const page = rest.slice(0, lim);
+    return { data: page, nextCursor: rest.length > lim ? page[page.length - 1].seq : null };
+  }
+
+  const b = before ? Number(before) : Infinity;
+  const i = before ? indexOf(b) : -1;
+  const rest = (i >= 0 ? msgs.slice(0, i) : msgs.filter((m) => m.seq < b)).reverse();
+  const page = rest.slice(0, lim);
+  return { data: page, nextCursor: rest.length > lim ? page[page.length - 1].seq : null };
+}
+
+/** Búsqueda de texto (todas las palabras, sin acentos) en body y nombre de media */
+export function searchMessages(sessionId, q, { chatId, limit } = {}) {
+  const terms = fold(q).split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+  const lim = clampLimit(limit);
+  const source = chatId
+    ? (load(sessionId).chats.get(chatId) || [])
+    : Array.from(load(sessionId).byId.values());
+
+  const out = [];
+  for (let i = source.length - 1; i >= 0 && out.length < lim; i--) {
+    const m = source[i];
+    const hay = fold(`${m.body} ${m.media?.name || ''}`);
+    if (terms.every((t) => hay.includes(t))) out.push(m);
+  }
+  return chatId ? out : out.sort((a, b) => b.timestamp - a.timestamp);
+}
@@ -0,0 +1,115 @@
+// src/metrics.js
+import fs from 'fs';
+import client from 'prom-client';
+
+/* ===========================
+   Métricas Prometheus (GET /metrics)
+   - los contadores se incrementan desde cada módulo (import { metrics })
+   - los gauges de sesiones / Chromium se calculan al momento del scrape
+     con los collectors registrados en setSessionCollector()
+=========================== */
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'wa_process_' });
+
+let sessionCollector = async () => [];
+
+export const metrics = {
+  sessions: new client.Gauge({
+    name: 'wa_sessions',
+    help: 'Sesiones por estado',
+    labelNames: ['status'],
+    registers: [registry],
+    async collect() {
+      this.reset();
+      const counts = {};
+      for (const s of await sessionCollector()) counts[s.status] = (counts[s.status] || 0) + 1;
+      for (const [status, n] of Object.entries(counts)) this.set({ status }, n);
+    },
+  }),
+  messages: new client.Counter({
+    name: 'wa_messages_total',
+    help: 'Mensajes por sesión y dirección (in = recibidos, out = enviados)',
+    labelNames: ['session', 'direction'],
+    registers: [registry],
+  }),
+  sendFailures: new client.Counter({
+    name: 'wa_send_failures_total',
+    help: 'Envíos fallidos (definitivos) por código de error',
+    labelNames: ['session', 'code'],
+    registers: [registry],
+  }),
+  webhookLatency: new client.Histogram({
+    name: 'wa_webhook_delivery_seconds',
+    help: 'Latencia de cada intento de entrega de webhook',
+    labelNames: ['event', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+  }),
+  webhookFailures: new client.Counter({
+    name: 'wa_webhook_failures_total',
+    help: 'Intentos de webhook fallidos (reason = status HTTP o código de red; dead = sin más reintentos)',
+    labelNames: ['event', 'reason'],
+    registers: [registry],
+  }),
+  chromiumMemory: new client.Gauge({
+    name: 'wa_chromium_memory_bytes',
+    help: 'Memoria de Chromium por sesión (rss = árbol de procesos, js_heap = heap JS de la página)',
+    labelNames: ['session', 'kind'],
+    registers: [registry],
+    async collect() {
+      this.reset();
+      for (const s of await sessionCollector()) {
+        if (s.rssBytes != null) this.set({ session: s.id, kind: 'rss' }, s.rssBytes);
+        if (s.jsHeapBytes != null) this.set({ session: s.id, kind: 'js_heap' }, s.jsHeapBytes);
+      }
+    },
+  }),
+};
+
+/**
+ * Registra la función que describe las sesiones al scrapear:
+ * () => Promise<[{ id, status, rssBytes?, jsHeapBytes? }]>
+ * (se inyecta desde server.js para no acoplar este módulo a connections.js)
+ */
+export function setSessionCollector(fn) {
+  // los dos gauges llaman al collector en el mismo scrape: cachear 1s
+  let last = { at: 0, value: null };
+  sessionCollector = async () => {
+    if (last.value && Date.now() - last.at < 1000) return last.value;
+    last = { at: Date.now(), value: await fn() };
+    return last.value;
+  };
+}
+
+/** RSS total (bytes) de un proceso y sus descendientes, leyendo /proc (sólo Linux) */
+export function processTreeRss(rootPid) {
+  if (!rootPid || !fs.existsSync('/proc')) return null;
+  const children = new Map(); // ppid -> [pid]
+  const rss = new Map();
+  const pageSize = 4096;
+  for (const name of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(name)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${name}/stat`, 'utf8');
+      // el nombre del proceso va entre paréntesis y puede contener espacios
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      const ppid = Number(fields[1]);
+      if (!children.has(ppid)) children.set(ppid, []);
+      children.get(ppid).push(Number(name));
+      rss.set(Number(name), Number(fields[21]) * pageSize);
+    } catch {
+      // el proceso terminó mientras se leía
+    }
+  }
+  let total = 0;
+  const stack = [Number(rootPid)];
+  while (stack.length) {
+    const pid = stack.pop();
+    total += rss.get(pid) || 0;
+    stack.push(...(children.get(pid) || []));
+  }
+  return total;
+}
+
+export const metricsContentType = registry.contentType;
+export const renderMetrics = () => registry.metrics();
@@ -0,0 +1,283 @@
+// src/openapi.js
+import { SCHEMA_VERSION, EVENT_SCHEMAS, getSchemas } from './schemas.js';
+
+/* ===========================
+   Documento OpenAPI 3.1 (GET /api/openapi.json) para generar SDKs
+   - paths: tabla ROUTES (mantener en sync con server.js); body = esquema de validateBody
+   - components.schemas: todos los de schemas.js
+   - webhooks: un evento por entrada (envelope + payload); x-socket-events: eventos de Socket.IO
+=========================== */
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * [método, ruta, operationId, resumen, opciones]
+ * opciones: scope (null = pública), body, status, data (esquema de `data`), response
+ * ('send' | 'binary' | 'csv' | esquema completo), query { nombre: descripción }, multipartOnly
+ */
+const group = (tag, routes) =>
+  routes.map(([method, path, operationId, summary, opts = {}]) => ({ tag, method, path, operationId, summary, ...opts }));
+
+const ROUTES = [
+  ...group('system', [
+    ['get', '/api/health', 'getHealth', 'Liveness', { scope: null }],
+    ['get', '/api/ready', 'getReadiness', 'Readiness: storage y sesiones degradadas (503 si no está lista)', { scope: null }],
+    ['get', '/metrics', 'getMetrics', 'Métricas Prometheus', { scope: 'metrics:read', response: 'text' }],
+    ['get', '/api/openapi.json', 'getOpenApi', 'Este documento', { scope: null }],
+  ]),
+  ...group('sessions', [
+    ['get', '/api/sessions', 'listSessions', 'Sesiones visibles para la key', { scope: 'sessions:read', data: { type: 'array', items: ref('Session') } }],
+    ['post', '/api/sessions', 'createSession', 'Crea y arranca una sesión (phoneNumber: vincular con código)', { scope: 'sessions:manage', body: 'SessionCreate' }],
+    ['get', '/api/sessions/{id}', 'getSession', 'Estado y metadatos', { scope: 'sessions:read', response: { allOf: [{ type: 'object', properties: { ok: { const: true } } }, ref('Session')] } }],
+    ['patch', '/api/sessions/{id}', 'updateSession', 'Metadatos, disabled, desiredState, llamadas, conector', { scope: 'sessions:manage', body: 'SessionUpdate', data: ref('Session') }],
+    ['delete', '/api/sessions/{id}', 'deleteSession', 'Cierra la sesión y borra credenciales', { scope: 'sessions:manage' }],
+    ['post', '/api/sessions/{id}/reconnect', 'reconnectSession', 'Reconecta sin borrar credenciales', { scope: 'sessions:manage' }],
+    ['get', '/api/sessions/{id}/restarts', 'getSessionRestarts', 'Historial de reinicios del supervisor', { scope: 'sessions:read' }],
+    ['post', '/api/sessions/{id}/pairing-code', 'requestPairingCode', 'Pide (o renueva) el código de vinculación', { scope: 'sessions:manage', body: 'PairingCodeRequest', data: ref('Session') }],
+  ]),
+  ...group('backups', [
+    ['post', '/api/sessions/{id}/export', 'exportSession', 'Exporta las credenciales cifradas (.wab)', { scope: 'admin', body: 'SessionExport', response: 'binary' }],
+    ['post', '/api/sessions/{id}/import', 'importSession', 'Importa un .wab', { scope: 'admin', body: 'SessionImport', multipartOnly: true, data: ref('Session') }],
+    ['get', '/api/sessions/{id}/backups', 'listBackups', 'Snapshots de la sesión', { scope: 'admin' }],
+    ['post', '/api/sessions/{id}/backups', 'createBackup', 'Snapshot manual (BACKUP_SECRET)', { scope: 'admin' }],
+    ['post', '/api/sessions/{id}/backups/{backupId}/restore', 'restoreBackup', 'Restaura un snapshot', { scope: 'admin', body: 'BackupRestore', data: ref('Session') }],
+  ]),
+  ...group('messages', [
+    ['post', '/api/sessions/{id}/messages', 'sendText', 'Envía texto', { scope: 'messages:send', body: 'TextMessage', response: 'send' }],
+    ['post', '/api/sessions/{id}/uploads', 'uploadMedia', 'Sube un adjunto para enviarlo por mediaKey', { scope: 'messages:send', body: 'Upload', multipartOnly: true, status: 201 }],
+    ['post', '/api/sessions/{id}/media', 'sendMedia', 'Envía media (multipart file, url o mediaKey)', { scope: 'messages:send', body: 'MediaMessage', response: 'send' }],
+    ['post', '/api/sessions/{id}/send', 'sendRich', 'Texto con reply/menciones, reacción, ubicación, contacto, encuesta o edición', { scope: 'messages:send', body: 'RichMessage', response: 'send' }],
+    ['post', '/api/sessions/{id}/messages/revoke', 'revokeMessage', 'Elimina un mensaje para todos', { scope: 'messages:send', body: 'RevokeMessage' }],
+  ]),
+  ...group('queue', [
+    ['get', '/api/sessions/{id}/queue', 'listJobs', 'Jobs de envío', { scope: 'sessions:read', query: { status: 'queued | sending | sent | failed | cancelled' }, data: { type: 'array', items: ref('SendJob') } }],
+    ['get', '/api/sessions/{id}/queue/config', 'getQueueConfig', 'Límites de envío', { scope: 'sessions:read' }],
+    ['put', '/api/sessions/{id}/queue/config', 'setQueueConfig', 'Cambia los límites de envío', { scope: 'sessions:manage', body: 'QueueConfig' }],
+    ['get', '/api/sessions/{id}/queue/{jobId}', 'getJob', 'Un job', { scope: 'sessions:read', data: ref('SendJob') }],
+    ['delete', '/api/sessions/{id}/queue/{jobId}', 'cancelJob', 'Cancela un job en cola', { scope: 'messages:send', data: ref('SendJob') }],
+  ]),
+  ...group('campaigns', [
+    ['get', '/api/sessions/{id}/campaigns', 'listCampaigns', 'Campañas de la sesión', { scope: 'sessions:read' }],
+    ['post', '/api/sessions/{id}/campaigns', 'createCampaign', 'Crea y arranca una campaña', { scope: 'messages:send', body: 'CampaignCreate', status: 201 }],
+    ['get', '/api/sessions/{id}/campaigns/{campaignId}', 'getCampaign', 'Una campaña con sus destinatarios', { scope: 'sessions:read' }],
+    ['get', '/api/sessions/{id}/campaigns/{campaignId}/report.csv', 'getCampaignReport', 'Reporte CSV', { scope: 'sessions:read', response: 'csv' }],
+    ['post', '/api/sessions/{id}/campaigns/{campaignId}/pause', 'pauseCampaign', 'Pausa', { scope: 'messages:send' }],
+    ['post', '/api/sessions/{id}/campaigns/{campaignId}/resume', 'resumeCampaign', 'Reanuda', { scope: 'messages:send' }],
+    ['post', '/api/sessions/{id}/campaigns/{campaignId}/cancel', 'cancelCampaign', 'Cancela', { scope: 'messages:send' }],
+  ]),
+  ...group('sync', [
+    ['post', '/api/sessions/{id}/sync', 'startSync', 'Backfill de historial al CRM', { scope: 'sessions:manage', body: 'SyncStart' }],
+    ['get', '/api/sessions/{id}/sync', 'getSync', 'Estado del último backfill', { scope: 'sessions:read' }],
+    ['delete', '/api/sessions/{id}/sync', 'cancelSync', 'Cancela el backfill en curso', { scope: 'sessions:manage' }],
+  ]),
+  ...group('groups', [
+    ['get', '/api/sessions/{id}/groups', 'listGroups', 'Grupos', { scope: 'sessions:read' }],
+    ['post', '/api/sessions/{id}/groups', 'createGroup', 'Crea un grupo', { scope: 'sessions:manage', body: 'GroupCreate' }],
+    ['get', '/api/sessions/{id}/groups/{groupId}', 'getGroup', 'Un grupo con participantes', { scope: 'sessions:read' }],
+    ['patch', '/api/sessions/{id}/groups/{groupId}', 'updateGroup', 'Asunto y/o descripción', { scope: 'sessions:manage', body: 'GroupUpdate' }],
+    ...['add', 'remove', 'promote', 'demote'].map((a) => [
+      'post',
+      `/api/sessions/{id}/groups/{groupId}/participants/${a}`,
+      `${a}GroupParticipants`,
+      `Participantes: ${a}`,
+      { scope: 'sessions:manage', body: 'GroupParticipants' },
+    ]),
+    ['get', '/api/sessions/{id}/groups/{groupId}/invite', 'getGroupInvite', 'Link de invitación', { scope: 'sessions:manage' }],
+    ['delete', '/api/sessions/{id}/groups/{groupId}/invite', 'revokeGroupInvite', 'Revoca el link de invitación', { scope: 'sessions:manage' }],
+  ]),
+  ...group('contacts', [
+    ['post', '/api/sessions/{id}/contacts/check', 'checkNumbers', '¿Tienen WhatsApp? (E.164 + wa_id)', { scope: 'messages:send', body: 'ContactsCheck' }],
+    ['get', '/api/sessions/{id}/contacts', 'listContacts', 'Contactos', { scope: 'sessions:read', query: { q: 'búsqueda', limit: 'máximo' } }],
+    ['get', '/api/sessions/{id}/contacts/blocked', 'listBlocked', 'Bloqueados', { scope: 'sessions:read' }],
+    ['get', '/api/sessions/{id}/contacts/{contactId}', 'getProfile', 'Perfil', { scope: 'sessions:read', query: { refresh: "'1' = sin caché" } }],
+    ['post', '/api/sessions/{id}/contacts/{contactId}/block', 'blockContact', 'Bloquea', { scope: 'sessions:manage' }],
+    ['post', '/api/sessions/{id}/contacts/{contactId}/unblock', 'unblockContact', 'Desbloquea', { scope: 'sessions:manage' }],
+  ]),
+  ...group('rules', [
+    ['get', '/api/sessions/{id}/rules', 'listRules', 'Reglas / auto-respuestas', { scope: 'sessions:read' }],
+    ['post', '/api/sessions/{id}/rules', 'createRule', 'Crea una regla', { scope: 'sessions:manage', body: 'RuleCreate', status: 201 }],
+    ['post', '/api/sessions/{id}/rules/test', 'testRules', 'Simula un mensaje: reglas que aplicarían', { scope: 'sessions:read', body: 'RuleTest' }],
+    ['get', '/api/sessions/{id}/rules/{ruleId}', 'getRule', 'Una regla', { scope: 'sessions:read' }],
+    ['patch', '/api/sessions/{id}/rules/{ruleId}', 'updateRule', 'Edita una regla', { scope: 'sessions:manage', body: 'RuleUpdate' }],
+    ['delete', '/api/sessions/{id}/rules/{ruleId}', 'deleteRule', 'Borra una regla', { scope: 'sessions:manage' }],
+  ]),
+  ...group('inbox', [
+    ['get', '/api/sessions/{id}/chats', 'listChats', 'Chats con último mensaje y tags', { scope: 'sessions:read' }],
+    ['get', '/api/sessions/{id}/inbox', 'listInbox', 'Bandeja: no leídos y asignación', { scope: 'sessions:read', query: { assignee: 'agente', unread: "'1' = sólo no leídos" } }],
+    ['post', '/api/sessions/{id}/chats/{chatId}/read', 'markChatRead', 'Marca el chat como leído', { scope: 'messages:send' }],
+    ['get', '/api/sessions/{id}/chats/{chatId}/assignment', 'getAssignment', 'Agente asignado', { scope: 'sessions:read' }],
+    ['post', '/api/sessions/{id}/chats/{chatId}/assign', 'assignChat', 'Asigna el chat a un agente', { scope: 'messages:send', body: 'ChatAssign' }],
+    ['post', '/api/sessions/{id}/chats/{chatId}/release', 'releaseChat', 'Libera el chat', { scope: 'messages:send', body: 'ChatRelease' }],
+    ['get', '/api/sessions/{id}/chats/{chatId}/tags', 'getChatTags', 'Tags del chat', { scope: 'sessions:read' }],
+    ['put', '/api/sessions/{id}/chats/{chatId}/tags', 'setChatTags', 'Reemplaza los tags del chat', { scope: 'messages:send', body: 'ChatTags' }],
+    ['get', '/api/sessions/{id}/chats/{chatId}/messages', 'getChatMessages', 'Mensajes del chat (paginado)', { scope: 'sessions:read', query: { before: 'cursor', after: 'cursor', limit: 'máximo' } }],
+    ['get', '/api/sessions/{id}/messages/search', 'searchMessages', 'Búsqueda de texto', { scope: 'sessions:read', query: { q: 'texto (obligatorio)', chatId: 'chat', limit: 'máximo' } }],
+    ['get', '/api/sessions/{id}/messages/{messageId}/status', 'getMessageStatus', 'Ack e historial de estados', { scope: 'sessions:read' }],
+  ]),
+  ...group('media', [
+    ['get', '/api/media/url', 'getMediaUrl', 'URL firmada de un archivo guardado', { scope: 'sessions:read', query: { key: 'mediaKey (obligatorio)', ttl: 'segundos' } }],
+    ['get', '/api/media/stats', 'getMediaStats', 'Uso del backend de media', { scope: 'admin' }],
+    ['post', '/api/media/prune', 'pruneMedia', 'Aplica la retención de media', { scope: 'admin' }],
+  ]),
+  ...group('admin', [
+    ['get', '/api/keys', 'listApiKeys', 'API keys', { scope: 'admin' }],
+    ['post', '/api/keys', 'createApiKey', 'Crea una key (el valor sólo se devuelve aquí)', { scope: 'admin', body: 'ApiKeyCreate', status: 201 }],
+    ['patch', '/api/keys/{keyId}', 'updateApiKey', 'Edita una key', { scope: 'admin', body: 'ApiKeyUpdate' }],
+    ['delete', '/api/keys/{keyId}', 'deleteApiKey', 'Borra una key', { scope: 'admin' }],
+    ['get', '/api/webhooks', 'listWebhooks', 'Suscripciones de webhooks', { scope: 'admin' }],
+    ['get', '/api/webhooks/events', 'listWebhookEvents', 'Eventos suscribibles', { scope: 'admin' }],
+    ['post', '/api/webhooks', 'createWebhook', 'Crea una suscripción', { scope: 'admin', body: 'WebhookCreate', status: 201 }],
+    ['get', '/api/webhooks/{webhookId}', 'getWebhook', 'Una suscripción (con secret)', { scope: 'admin' }],
+    ['patch', '/api/webhooks/{webhookId}', 'updateWebhook', 'Edita una suscripción', { scope: 'admin', body: 'WebhookUpdate' }],
+    ['delete', '/api/webhooks/{webhookId}', 'deleteWebhook', 'Borra una suscripción', { scope: 'admin' }],
+    ['get', '/api/connectors', 'listConnectors', 'Conectores de CRM', { scope: 'admin' }],
+    ['post', '/api/connectors', 'createConnector', 'Crea un conector', { scope: 'admin', body: 'ConnectorCreate', status: 201 }],
+    ['get', '/api/connectors/{connectorId}', 'getConnector', 'Un conector (con credenciales)', { scope: 'admin' }],
+    ['patch', '/api/connectors/{connectorId}', 'updateConnector', 'Edita un conector', { scope: 'admin', body: 'ConnectorUpdate' }],
+    ['delete', '/api/connectors/{connectorId}', 'deleteConnector', 'Borra un conector', { scope: 'admin' }],
+    ['post', '/api/connectors/{connectorId}/test', 'testConnector', 'Arma (y opcionalmente envía) un request de prueba', { scope: 'admin', body: 'ConnectorTest' }],
+    ['get', '/api/audit', 'queryAudit', 'Auditoría (format=csv para exportar)', { scope: 'admin', query: { from: 'ms | ISO', to: 'ms | ISO', action: "exacta o prefijo 'session.'", actor: 'key', sessionId: 'sesión', target: 'destino', outcome: 'ok | queued | denied | error | sent | failed', ip: 'ip', limit: 'máximo', format: "'csv'" } }],
+    ['get', '/api/cluster', 'getCluster', 'Nodos y sesiones de cada uno', { scope: 'admin' }],
+    ['get', '/api/outbox', 'listOutbox', 'Entregas pendientes', { scope: 'admin' }],
+    ['get', '/api/outbox/dead', 'listDeadLetters', 'Dead-letter', { scope: 'admin' }],
+    ['post', '/api/outbox/dead/replay', 'replayAllDeadLetters', 'Reencola toda la dead-letter', { scope: 'admin' }],
+    ['get', '/api/outbox/{deliveryId}', 'getDelivery', 'Una entrega', { scope: 'admin' }],
+    ['post', '/api/outbox/dead/{deliveryId}/replay', 'replayDeadLetter', 'Reencola una entrega', { scope: 'admin' }],
+    ['delete', '/api/outbox/dead/{deliveryId}', 'deleteDeadLetter', 'Descarta una entrega', { scope: 'admin' }],
+  ]),
+  ...group('crm', [
+    ['post', '/api/crm/{connectorId}/inbound', 'crmInbound', 'Callback del CRM: envía la respuesta (202 + job)', { scope: 'connector', body: 'CrmInbound', status: 202, query: { session: 'sesión si no viene en el body' } }],
+  ]),
+];
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+const okData = (data = {}) => ({
+  type: 'object',
+  properties: { ok: { const: true }, data },
+  required: ['ok'],
+});
+
+function responsesOf(r) {
+  const json = (schema) => ({ 'application/json': { schema } });
+  const out = {};
+  if (r.response === 'send') {
+    out[200] = { description: 'enviado', content: json(ref('SendResult')) };
+    out[202] = { description: 'en cola o programado', content: json(ref('Queued')) };
+  } else if (r.response === 'binary') {
+    out[200] = { description: 'archivo', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } };
+  } else if (r.response === 'csv') {
+    out[200] = { description: 'CSV', content: { 'text/csv': { schema: { type: 'string' } } } };
+  } else if (r.response === 'text') {
+    out[200] = { description: 'texto', content: { 'text/plain': { schema: { type: 'string' } } } };
+  } else {
+    out[r.status || 200] = { description: 'ok', content: json(r.response || okData(r.data)) };
+  }
+  if (r.body || r.query) out[400] = errorResponse('body o parámetros inválidos (errors: [{ path, code, rule }])');
+  if (r.scope) {
+    out[401] = errorResponse('falta la key o no existe');
+    out[403] = errorResponse('la key no tiene el scope o no cubre la sesión');
+  }
+  if (/\{\w+\}/.test(r.path)) out[404] = errorResponse('no existe');
+  out.default = errorResponse('error');
+  return out;
+}
+
+function operationOf(r, schemas) {
+  const op = {
+    operationId: r.operationId,
+    tags: [r.tag],
+    summary: r.summary,
+    parameters: [
+      ...Array.from(r.path.matchAll(/\{(\w+)\}/g), ([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+      ...Object.entries(r.query || {}).map(([name, description]) => ({ name, in: 'query', description, schema: { type: 'string' } })),
+    ],
+    responses: responsesOf(r),
+  };
+  if (r.scope === null) op.security = [];
+  else if (r.scope === 'connector') op.security = [{ connectorToken: [] }, { bearerAuth: [] }];
+  else op['x-scope'] = r.scope;
+
+  if (r.body) {
+    const content = {};
+    if (!r.multipartOnly) content['application/json'] = { schema: ref(r.body) };
+    if (schemas[r.body]['x-multipart']) content['multipart/form-data'] = { schema: ref(r.body) };
+    const required = (schemas[r.body].required || []).length > 0;
+    op.requestBody = { required, content };
+  }
+  return op;
+}
+
+function webhooksDoc() {
+  const out = {};
+  for (const [event, e] of Object.entries(EVENT_SCHEMAS)) {
+    if (!e.webhook) continue;
+    out[event] = {
+      post: {
+        operationId: `on_${event}`,
+        summary: `Webhook '${event}'`,
+        description: 'Headers: X-Webhook-Timestamp, X-Webhook-Signature (sha256=HMAC), Idempotency-Key',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                allOf: [
+                  ref('WebhookEnvelope'),
+                  { type: 'object', properties: { event: { const: event }, payload: ref(e.schema) } },
+                ],
+              },
+            },
+          },
+        },
+        responses: { '2XX': { description: 'recibido (otro status = reintento)' } },
+      },
+    };
+  }
+  return out;
+}
+
+let cached = null;
+
+/** El documento se arma una vez por proceso */
+export function buildOpenApi() {
+  if (cached) return cached;
+  const schemas = getSchemas();
+  const paths = {};
+  for (const r of ROUTES) (paths[r.path] ||= {})[r.method] = operationOf(r, schemas);
+
+  cached = {
+    openapi: '3.1.0',
+    info: {
+      title: 'WA Connections API',
+      version: `${SCHEMA_VERSION}.0.0`,
+      description:
+        'Respuestas { ok: true, data } / { ok: false, error }. Cada operación exige el scope de x-scope ' +
+        "(o 'admin'); las de una sesión ({id}) además que la key la cubra. Eventos de Socket.IO en x-socket-events.",
+    },
+    ...(PUBLIC_BASE_URL ? { servers: [{ url: PUBLIC_BASE_URL }] } : {}),
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    tags: Array.from(new Set(ROUTES.map((r) => r.tag)), (name) => ({ name })),
+    paths,
+    webhooks: webhooksDoc(),
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key (wak_…) o ADMIN_API_KEY' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        connectorToken: { type: 'apiKey', in: 'header', name: 'X-Connector-Token', description: 'inboundToken del conector' },
+      },
+    },
+    'x-schema-version': SCHEMA_VERSION,
+    'x-socket-events': Object.fromEntries(
+      Object.entries(EVENT_SCHEMAS)
+        .filter(([, e]) => e.socket)
+        .map(([event, e]) => [event, ref(e.schema)]),
+    ),
+  };
+  return cached;
+}
@@ -0,0 +1,257 @@
+// src/outbox.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { DATA_DIR, writeJson } from './jsonstore.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+/* ===========================
+   Outbox persistente de webhooks
+   - cada entrega es un archivo JSON en data/outbox/pending
+   - reintentos con backoff exponencial (+ jitter)
+   - al agotar intentos pasa a data/outbox/dead (dead-letter)
+   - entregas con id fijo ya hechas: archivo vacío data/outbox/done/<id>.json (idempotencia del backfill)
+   - firma HMAC-SHA256 sobre `${timestamp}.${body}` + Idempotency-Key
+=========================== */
+const log = logger.child({ component: 'outbox' });
+const PENDING_DIR = path.join(DATA_DIR, 'outbox', 'pending');
+const DEAD_DIR = path.join(DATA_DIR, 'outbox', 'dead');
+const DONE_DIR = path.join(DATA_DIR, 'outbox', 'done');
+for (const dir of [PENDING_DIR, DEAD_DIR, DONE_DIR]) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+const MAX_ATTEMPTS    = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 12);
+const BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS || 2000);
+const BACKOFF_MAX_MS  = Number(process.env.WEBHOOK_BACKOFF_MAX_MS || 15 * 60_000); // 15 min
+const TIMEOUT_MS      = Number(process.env.WEBHOOK_TIMEOUT_MS || 7000);
+const CONCURRENCY     = Number(process.env.WEBHOOK_CONCURRENCY || 4);
+const POLL_MS = 1000;
+
+// Entregas pendientes en memoria (espejo de PENDING_DIR): id -> job
+const pending = new Map();
+const inFlight = new Set();
+
+function readJsonDir(dir) {
+  const out = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      out.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    } catch (e) {
+      log.error('archivo inválido', { file: name, err: e.message });
+    }
+  }
+  return out;
+}
+
+// ids que genera el outbox: UUID o fijos tipo crm-history-<sha1>; nada de '/', '..' ni vacíos
+const ID_RE = /^[\w-]{1,128}$/;
+
+/** archivo de la entrega `id` dentro de `dir`; invalid_delivery_id si se saldría de ahí */
+function jobFile(dir, id) {
+  if (!ID_RE.test(String(id ?? ''))) throw new Error('invalid_delivery_id');
+  const file = path.resolve(dir, `${id}.json`);
+  if (path.dirname(file) !== path.resolve(dir)) throw new Error('invalid_delivery_id');
+  return file;
+}
+const pendingFile = (id) => jobFile(PENDING_DIR, id);
+const deadFile = (id) => jobFile(DEAD_DIR, id);
+const doneFile = (id) => jobFile(DONE_DIR, id);
+
+/** firma: hex(HMAC_SHA256(secret, `${timestamp}.${body}`)) */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** backoff exponencial con tope y ±20% de jitter */
+function backoffMs(attempts) {
+  const base = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/** resumen sin body/secret para listados */
+function summarize(job) {
+  const { secret, body, headers, ...rest } = job;
+  return rest;
+}
+
+/** detalle para inspección (body parseado, nunca el secret) */
+function detail(job) {
+  const { secret, ...rest } = job;
+  let payload = null;
+  try { payload = JSON.parse(job.body); } catch {}
+  return { ...rest, signed: !!secret, payload };
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/**
+ * Encola una entrega. `body` puede ser objeto (se serializa) o string.
+ * Devuelve el id de la entrega, que viaja también como Idempotency-Key.
+ * `id` fijo (p.ej. derivado de wa_message_id) = no se encola dos veces mientras siga pendiente.
+ */
+export function enqueueDelivery({ id = null, event, url, body, headers = {}, secret = '', webhookId = null }) {
+  if (!url) throw new Error('missing_url');
+  if (id && !ID_RE.test(id)) throw new Error('invalid_delivery_id');
+  if (id && pending.has(id)) return id;
+  const job = {
+    id: id || crypto.randomUUID(),
+    fixedId: !!id,
+    event: event || null,
+    webhookId,
+    url,
+    body: typeof body === 'string' ? body : JSON.stringify(body ?? {}),
+    headers,
+    secret: secret || '',
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    lastStatus: null,
+  };
+  writeJson(pendingFile(job.id), job);
+  pending.set(job.id, job);
+  setImmediate(runTick);
+  return job.id;
+}
+
+/** Entregas pendientes (en cola o esperando reintento) */
+export function listPending() {
+  return Array.from(pending.values())
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(summarize);
+}
+
+/** Cantidad de entregas pendientes (backpressure para trabajos masivos) */
+export const pendingCount = () => pending.size;
+
+/** Entregas fallidas definitivamente (dead-letter) */
+export function listDead() {
+  return readJsonDir(DEAD_DIR)
+    .sort((a, b) => b.failedAt - a.failedAt)
+    .map(summarize);
+}
+
+/** Estado de una entrega con id fijo: 'pending' | 'dead' | 'delivered' | null (nunca encolada) */
+export function deliveryState(id) {
+  if (pending.has(id) || fs.existsSync(pendingFile(id))) return 'pending';
+  if (fs.existsSync(deadFile(id))) return 'dead';
+  return fs.existsSync(doneFile(id)) ? 'delivered' : null;
+}
+
+/** Detalle de una entrega (pendiente o dead-letter); ids con otro formato -> invalid_delivery_id */
+export function getDelivery(id) {
+  const file = deadFile(id);
+  if (pending.has(id)) return { state: 'pending', ...detail(pending.get(id)) };
+  if (!fs.existsSync(file)) return null;
+  return { state: 'dead', ...detail(JSON.parse(fs.readFileSync(file, 'utf8'))) };
+}
+
+/** Reencola una entrega dead-letter (conserva id = misma Idempotency-Key) */
+export function replayDead(id) {
+  const file = deadFile(id);
+  if (!fs.existsSync(file)) throw new Error('delivery_not_found');
+  const job = JSON.parse(fs.readFileSync(file, 'utf8'));
+  delete job.failedAt;
+  job.attempts = 0;
+  job.nextAttemptAt = Date.now();
+  job.replayedAt = Date.now();
+  writeJson(pendingFile(id), job);
+  fs.rmSync(file, { force: true });
+  pending.set(id, job);
+  setImmediate(runTick);
+  return summarize(job);
+}
+
+/** Reencola todas las entregas dead-letter */
+export function replayAllDead() {
+  return listDead().map((j) => replayDead(j.id).id);
+}
+
+/** Descarta una entrega dead-letter */
+export function deleteDead(id) {
+  const file = deadFile(id);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file, { force: true });
+  return true;
+}
+
+/* ===========================
+   Worker
+=========================== */
+async function deliver(job) {
+  const ts = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    ...job.headers,
+    'Idempotency-Key': job.id,
+    'X-Webhook-Id': job.id,
+    'X-Webhook-Timestamp': String(ts),
+    ...(job.event ? { 'X-Webhook-Event': job.event } : {}),
+    ...(job.secret ? { 'X-Webhook-Signature': `sha256=${signPayload(job.secret, ts, job.body)}` } : {}),
+  };
+
+  job.attempts += 1;
+  const event = job.event || 'unknown';
+  const endTimer = metrics.webhookLatency.startTimer({ event });
+  try {
+    const r = await axios.post(job.url, job.body, {
+      headers,
+      timeout: TIMEOUT_MS,
+      transformRequest: [(d) => d], // el body ya va serializado (es lo que se firma)
+      validateStatus: (s) => s >= 200 && s < 300,
+    });
+    if (typeof r.data === 'string' && r.data.startsWith('<')) {
+      log.warn('el destino respondió HTML', { deliveryId: job.id, url: job.url, body: r.data.slice(0, 200) });
+    }
+    endTimer({ outcome: 'ok' });
+    pending.delete(job.id);
+    if (job.fixedId) fs.writeFileSync(doneFile(job.id), '');
+    fs.rmSync(pendingFile(job.id), { force: true });
+  } catch (e) {
+    endTimer({ outcome: 'error' });
+    metrics.webhookFailures.inc({ event, reason: String(e.response?.status ?? e.code ?? 'error') });
+    job.lastStatus = e.response?.status ?? null;
+    job.lastError = e.message;
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.failedAt = Date.now();
+      writeJson(deadFile(job.id), job);
+      fs.rmSync(pendingFile(job.id), { force: true });
+      pending.delete(job.id);
+      metrics.webhookFailures.inc({ event, reason: 'dead' });
+      log.error('entrega a dead-letter', { deliveryId: job.id, event: job.event, url: job.url, attempts: job.attempts, err: e.message });
+    } else {
+      job.nextAttemptAt = Date.now() + backoffMs(job.attempts);
+      writeJson(pendingFile(job.id), job);
+      log.warn('intento de entrega falló', {
+        deliveryId: job.id, event: job.event, attempt: job.attempts, err: e.message, retryInMs: job.nextAttemptAt - Date.now(),
+      });
+    }
+  }
+}
+
+async function tick() {
+  const now = Date.now();
+  const due = Array.from(pending.values())
+    .filter((j) => j.nextAttemptAt <= now && !inFlight.has(j.id))
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+    .slice(0, Math.max(0, CONCURRENCY - inFlight.size));
+
+  await Promise.all(due.map(async (job) => {
+    inFlight.add(job.id);
+    try { await deliver(job); } finally { inFlight.delete(job.id); }
+  }));
+}
+
+function runTick() {
+  tick().catch((e) => log.error('tick error', { err: e }));
+}
+
+// Cargar pendientes de una ejecución anterior y arrancar el poller
+for (const job of readJsonDir(PENDING_DIR)) pending.set(job.id, job);
+setInterval(runTick, POLL_MS).unref();
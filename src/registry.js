@@ -0,0 +1,104 @@
+// src/registry.js
+import fs from 'fs';
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+
+/* ===========================
+   Registro persistente de sesiones (data/sessions.json)
+   { id, name, team, pipeline, labels[], disabled, desiredState: 'running'|'stopped',
+     rejectCalls, callRejectMessage (null = CALL_REJECT / CALL_REJECT_MESSAGE),
+     connector (id de connectors.js; null = default, 'none' = sin CRM), createdAt, updatedAt }
+=========================== */
+export const DESIRED_STATES = ['running', 'stopped'];
+
+const REGISTRY_FILE = dataPath('sessions.json');
+const registry = new Map();
+let loadedMtime = null;
+
+const mtimeOf = () => {
+  try {
+    return fs.statSync(REGISTRY_FILE).mtimeMs;
+  } catch {
+    return null;
+  }
+};
+
+/** recarga si el archivo cambió (en cluster lo escriben varios nodos sobre el mismo DATA_DIR) */
+function refresh() {
+  const m = mtimeOf();
+  if (m === loadedMtime) return;
+  registry.clear();
+  for (const [id, e] of Object.entries(readJson(REGISTRY_FILE, {}) || {})) registry.set(id, e);
+  loadedMtime = m;
+}
+refresh();
+
+const persist = () => {
+  writeJson(REGISTRY_FILE, Object.fromEntries(registry));
+  loadedMtime = mtimeOf();
+};
+
+/** valida/normaliza campos editables; lanza Error con código */
+function normalize(input, base) {
+  const out = { ...base };
+  for (const k of ['name', 'team', 'pipeline']) {
+    if (input[k] !== undefined) out[k] = input[k] === null ? null : String(input[k]);
+  }
+  if (input.labels !== undefined) {
+    if (!Array.isArray(input.labels)) throw new Error('invalid_labels');
+    out.labels = Array.from(new Set(input.labels.map(String)));
+  }
+  if (input.disabled !== undefined) out.disabled = !!input.disabled;
+  if (input.connector !== undefined) out.connector = input.connector === null ? null : String(input.connector);
+  if (input.rejectCalls !== undefined) out.rejectCalls = input.rejectCalls === null ? null : !!input.rejectCalls;
+  if (input.callRejectMessage !== undefined) {
+    out.callRejectMessage = input.callRejectMessage === null ? null : String(input.callRejectMessage);
+  }
+  if (input.desiredState !== undefined) {
+    if (!DESIRED_STATES.includes(input.desiredState)) throw new Error('invalid_desired_state');
+    out.desiredState = input.desiredState;
+  }
+  return out;
+}
+
+export function getEntry(id) {
+  refresh();
+  return registry.get(id) || null;
+}
+
+export function listEntries() {
+  refresh();
+  return Array.from(registry.values());
+}
+
+/** ¿el supervisor / restore deben mantenerla corriendo? */
+export function shouldRun(id) {
+  refresh();
+  const e = registry.get(id);
+  return !!e && !e.disabled && e.desiredState === 'running';
+}
+
+/** Alta o actualización de metadatos */
+export function upsertEntry(id, input = {}) {
+  refresh();
+  const now = Date.now();
+  const cur = registry.get(id) || {
+    id,
+    name: null,
+    team: null,
+    pipeline: null,
+    labels: [],
+    disabled: false,
+    desiredState: 'running',
+    createdAt: now,
+  };
+  const e = normalize(input, cur);
+  e.updatedAt = now;
+  registry.set(id, e);
+  persist();
+  return e;
+}
+
+export function removeEntry(id) {
+  refresh();
+  if (registry.delete(id)) persist();
+}
@@ -0,0 +1,486 @@
+// src/rules.js
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { bus, getSession, sessionExists } from './connections.js';
+import { fireWebhook } from './webhooks.js';
+import { enqueueDelivery } from './outbox.js';
+import { enqueueSend } from './sendqueue.js';
+import { getMessage } from './messages.js';
+import { readMedia, fetchRemoteMedia, assertPublicUrl, mediaKeySession } from './media.js';
+import { canAccessSession } from './auth.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Auto-respuestas / reglas por sesión (data/rules.json)
+   rule: { id, name, enabled, priority, stopOnMatch, cooldownSec,
+           match: { keywords[], regex, from[], types[], includeGroups, schedule },
+           actions: [{ type, ... }] }
+   schedule: { timezone, hours: { mon: ['09:00-18:00'], ... }, holidays: ['YYYY-MM-DD'], when: 'open'|'closed' }
+   acciones: reply | reply_media | tag | forward_webhook | forward_session | mark_read
+   tags de chat locales en data/chattags.json
+   regex: corre en el hilo principal con cada entrante, así que se acota (largo, sin
+   backreferences ni grupos repetidos con cuantificadores/alternancias adentro) y se compila una vez
+   anti-bucle: cooldownSec por defecto RULES_DEFAULT_COOLDOWN_SEC y tope de disparos por chat
+=========================== */
+const log = logger.child({ component: 'rules' });
+export const ACTION_TYPES = ['reply', 'reply_media', 'tag', 'forward_webhook', 'forward_session', 'mark_read'];
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_TZ = process.env.RULES_TIMEZONE || process.env.TZ || 'UTC';
+const MAX_RULES = 200;
+const REGEX_MAX = Number(process.env.RULES_REGEX_MAX || 200);
+const REGEX_INPUT_MAX = 4096; // caracteres del body contra los que corre la regex
+const DEFAULT_COOLDOWN_SEC = Number(process.env.RULES_DEFAULT_COOLDOWN_SEC ?? 30);
+// dos sesiones con reply / forward_session apuntándose entre sí: máx. disparos por chat en la ventana
+const LOOP_WINDOW_MS = 10 * 60_000;
+const LOOP_MAX_FIRES = Number(process.env.RULES_LOOP_MAX_FIRES || 20);
+
+const RULES_FILE = dataPath('rules.json');
+const TAGS_FILE = dataPath('chattags.json');
+const rules = readJson(RULES_FILE, {}) || {}; // sessionId -> rule[]
+const tags = readJson(TAGS_FILE, {}) || {};   // sessionId -> { chatId: [tag] }
+const lastFired = new Map();                   // `${ruleId}|${chatId}` -> ms
+const chatFires = new Map();                   // `${sessionId}|${chatId}` -> [ms] (anti-bucle)
+const compiled = new Map();                    // fuente -> RegExp | null (insegura)
+
+const persist = () => writeJson(RULES_FILE, rules);
+
+/* ===========================
+   Validación
+=========================== */
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-4]):[0-5]\d$/;
+
+function normalizeSchedule(s) {
+  if (s === null) return null;
+  if (typeof s !== 'object') throw new Error('invalid_schedule');
+  const timezone = s.timezone || DEFAULT_TZ;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: timezone }); } catch { throw new Error('invalid_timezone'); }
+  const hours = {};
+  for (const [day, ranges] of Object.entries(s.hours || {})) {
+    if (!DAYS.includes(day)) throw new Error(`invalid_day:${day}`);
+    if (!Array.isArray(ranges) || ranges.some((r) => !HHMM.test(r))) throw new Error(`invalid_hours:${day}`);
+    hours[day] = ranges;
+  }
+  const holidays = Array.isArray(s.holidays) ? s.holidays.map(String) : [];
+  if (holidays.some((d) => !/^\d{4}-\d{2}-\d{2}$/.test(d))) throw new Error('invalid_holidays');
+  const when = s.when || 'closed';
+  if (!['open', 'closed'].includes(when)) throw new Error('invalid_schedule_when');
+  return { timezone, hours, holidays, when };
+}
+
+/** ¿hay en p[i] un cuantificador que repite más de una vez? (*, +, {n} n>1, {n,}, {n,m} m>1) */
+function repeatsAt(p, i) {
+  if (p[i] === '*' || p[i] === '+') return true;
+  const q = /^\{(\d+)(,(\d*))?\}/.exec(p.slice(i, i + 24));
+  if (!q) return false;
+  if (q[2] === undefined) return Number(q[1]) > 1;
+  return q[3] === '' || Number(q[3]) > 1;
+}
+
+/** rechaza patrones con backtracking catastrófico: (a+)+, (a|aa)*, \1... */
+function assertSafeRegex(src) {
+  if (src.length > REGEX_MAX) throw new Error('regex_too_long');
+  if (/\\([1-9]|k<)/.test(src)) throw new Error('unsafe_regex');
+  const groups = []; // por grupo abierto: ¿tiene repetición o alternancia adentro?
+  let riskyAtom = false; // el átomo anterior es un grupo así
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (repeatsAt(src, i)) {
+      if (riskyAtom) throw new Error('unsafe_regex');
+      if (groups.length) groups[groups.length - 1] = true;
+      if (ch === '{') i = src.indexOf('}', i);
+      riskyAtom = false;
+      continue;
+    }
+    riskyAtom = false;
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      for (i++; i < src.length && src[i] !== ']'; i++) if (src[i] === '\\') i++;
+    } else if (ch === '(') {
+      groups.push(false);
+    } else if (ch === ')') {
+      riskyAtom = !!groups.pop();
+      if (riskyAtom && groups.length) groups[groups.length - 1] = true;
+    } else if (ch === '|' && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+}
+
+/** RegExp de la regla, compilada una vez; null si es inválida o insegura (reglas viejas en disco) */
+function regexOf(src) {
+  if (!compiled.has(src)) {
+    let re = null;
+    try {
+      assertSafeRegex(src);
+      re = new RegExp(src, 'i');
+    } catch (e) {
+      log.warn('regex de regla descartada', { regex: src.slice(0, 100), err: e.message });
+    }
+    compiled.set(src, re);
+  }
+  return compiled.get(src);
+}
+
+function normalizeMatch(m = {}) {
+  if (typeof m !== 'object') throw new Error('invalid_match');
+  const out = {};
+  const list = (v, k) => {
+    if (!Array.isArray(v)) throw new Error(`invalid_${k}`);
+    return v.map((x) => String(x).trim()).filter(Boolean);
+  };
+  if (m.keywords !== undefined) out.keywords = list(m.keywords, 'keywords');
+  if (m.from !== undefined) out.from = list(m.from, 'from').map((f) => f.replace(/@c\.us$/i, '').replace(/\D/g, ''));
+  if (m.types !== undefined) out.types = list(m.types, 'types');
+  if (m.regex) {
+    const src = String(m.regex);
+    assertSafeRegex(src);
+    try { compiled.set(src, new RegExp(src, 'i')); } catch { throw new Error('invalid_regex'); }
+    out.regex = src;
+  }
+  out.includeGroups = !!m.includeGroups;
+  if (m.schedule !== undefined) out.schedule = normalizeSchedule(m.schedule);
+  return out;
+}
+
+/** mediaKey de otra sesión: no se puede reenviar media ajena */
+const ownMediaKey = (sessionId, key) => {
+  try { return mediaKeySession(key) === String(sessionId); } catch { return false; }
+};
+
+/** ctx: { sessionId, key } (sesión de la regla y API key que la crea/edita) */
+function normalizeAction(a, ctx) {
+  if (!a || !ACTION_TYPES.includes(a.type)) throw new Error('invalid_action_type');
+  switch (a.type) {
+    case 'reply':
+      if (!a.text) throw new Error('missing_action_text');
+      return { type: a.type, text: String(a.text) };
+    case 'reply_media':
+      if (!a.mediaKey && !a.url) throw new Error('missing_action_media');
+      if (a.mediaKey && !ownMediaKey(ctx.sessionId, a.mediaKey)) throw new Error('forbidden_action_media');
+      return {
+        type: a.type,
+        ...(a.mediaKey ? { mediaKey: String(a.mediaKey) } : { url: String(a.url) }),
+        caption: a.caption ? String(a.caption) : '',
+      };
+    case 'tag':
+      if (!a.tag) throw new Error('missing_action_tag');
+      return { type: a.type, tag: String(a.tag) };
+    case 'forward_webhook': {
+      try { if (!/^https?:$/.test(new URL(a.url).protocol)) throw new Error(); } catch { throw new Error('invalid_action_url'); }
+      return { type: a.type, url: String(a.url), secret: a.secret ? String(a.secret) : '' };
+    }
+    case 'forward_session':
+      if (!a.sessionId || !a.to) throw new Error('missing_action_target');
+      // sólo hacia sesiones existentes que la key que crea la regla puede usar
+      if (!canAccessSession(ctx.key, a.sessionId)) throw new Error('forbidden_action_session');
+      if (!sessionExists(String(a.sessionId))) throw new Error('action_session_not_found');
+      return { type: a.type, sessionId: String(a.sessionId), to: String(a.to) };
+    default:
+      return { type: a.type };
+  }
+}
+
+function normalize(input, base, ctx) {
+  const out = { ...base };
+  if (input.name !== undefined) out.name = String(input.name || '');
+  if (input.enabled !== undefined) out.enabled = !!input.enabled;
+  if (input.stopOnMatch !== undefined) out.stopOnMatch = !!input.stopOnMatch;
+  if (input.priority !== undefined) {
+    const n = Number(input.priority);
+    if (!Number.isFinite(n)) throw new Error('invalid_priority');
+    out.priority = n;
+  }
+  if (input.cooldownSec !== undefined) {
+    const n = Number(input.cooldownSec);
+    if (!Number.isFinite(n) || n < 0) throw new Error('invalid_cooldown');
+    out.cooldownSec = n;
+  }
+  if (input.match !== undefined) out.match = normalizeMatch(input.match);
+  if (input.actions !== undefined) {
+    if (!Array.isArray(input.actions) || !input.actions.length) throw new Error('missing_actions');
+    out.actions = input.actions.map((a) => normalizeAction(a, ctx));
+  }
+  return out;
+}
+
+/** forward_webhook: nada de redes internas (mismo guard que la descarga de media) */
+async function assertForwardUrl(url) {
+  try {
+    await assertPublicUrl(url);
+  } catch {
+    throw new Error('forbidden_action_url');
+  }
+}
+
+async function assertActionTargets(actions = []) {
+  for (const a of actions) if (a.type === 'forward_webhook') await assertForwardUrl(a.url);
+}
+
+/* ===========================
+   Evaluación
+=========================== */
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** día/hora local en la zona del calendario */
+function localParts(at, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(new Date(at)).map((p) => [p.type, p.value])
+  );
+  return {
+    day: parts.weekday.slice(0, 3).toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hhmm: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/** ¿abierto según el calendario? */
+export function isOpen(schedule, at = Date.now()) {
+  const { day, date, hhmm } = localParts(at, schedule.timezone);
+  if (schedule.holidays.includes(date)) return false;
+  return (schedule.hours[day] || []).some((r) => {
+    const [from, to] = r.split('-');
+    return hhmm >= from && hhmm < to;
+  });
+}
+
+/** msg: { body, from, type, isGroup, at } */
+function ruleMatches(rule, msg) {
+  const m = rule.match || {};
+  if (msg.isGroup && !m.includeGroups) return false;
+  if (m.types?.length && !m.types.includes(msg.type)) return false;
+  if (m.from?.length) {
+    const digits = String(msg.from || '').replace(/@.*$/, '').replace(/\D/g, '');
+    if (!m.from.includes(digits)) return false;
+  }
+  if (m.keywords?.length) {
+    const text = fold(msg.body);
+    if (!m.keywords.some((k) => new RegExp(`(^|\\W)${escapeRe(fold(k))}(\\W|$)`).test(text))) return false;
+  }
+  if (m.regex && !regexOf(m.regex)?.test(String(msg.body || '').slice(0, REGEX_INPUT_MAX))) return false;
+  if (m.schedule) {
+    const open = isOpen(m.schedule, msg.at);
+    if ((m.schedule.when === 'open') !== open) return false;
+  }
+  return true;
+}
+
+const sorted = (sessionId) =>
+  (rules[sessionId] || []).slice().sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+
+function addTag(sessionId, chatId, tag) {
+  const bySession = (tags[sessionId] ||= {});
+  const list = new Set(bySession[chatId] || []);
+  if (list.has(tag)) return;
+  list.add(tag);
+  bySession[chatId] = Array.from(list);
+  writeJson(TAGS_FILE, tags);
+}
+
+async function runAction(sessionId, a, ctx) {
+  switch (a.type) {
+    case 'reply':
+      enqueueSend(sessionId, { kind: 'text', to: ctx.chatId, text: a.text, meta: { ruleId: ctx.ruleId } });
+      break;
+    case 'reply_media': {
+      if (a.mediaKey && !ownMediaKey(sessionId, a.mediaKey)) throw new Error('forbidden_action_media');
+      const m = a.mediaKey ? await readMedia(a.mediaKey) : await fetchRemoteMedia(a.url);
+      if (!m) throw new Error('media_not_found');
+      enqueueSend(sessionId, {
+        kind: 'media', to: ctx.chatId, buffer: m.buffer, mime: m.mime, fileName: m.name,
+        opts: { caption: a.caption }, meta: { ruleId: ctx.ruleId },
+      });
+      break;
+    }
+    case 'tag':
+      addTag(sessionId, ctx.chatId, a.tag);
+      break;
+    case 'forward_webhook':
+      await assertForwardUrl(a.url); // el DNS puede haber cambiado desde que se creó
+      enqueueDelivery({
+        event: 'rule_forward',
+        url: a.url,
+        secret: a.secret,
+        body: { event: 'rule_forward', ruleId: ctx.ruleId, payload: ctx.record, ts: Date.now() },
+      });
+      break;
+    case 'forward_session': {
+      const media = ctx.record?.media?.url ? `\n${ctx.record.media.url}` : '';
+      enqueueSend(a.sessionId, {
+        kind: 'text',
+        to: a.to,
+        text: `[${ctx.chatId.replace(/@.*$/, '')}] ${ctx.record?.body || ''}${media}`,
+        meta: { ruleId: ctx.ruleId, fromSession: sessionId },
+      });
+      break;
+    }
+    case 'mark_read': {
+      const client = getSession(sessionId)?.client;
+      if (client) await client.sendSeen(ctx.chatId);
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/** registra un disparo en el chat; false si ya se pasó de LOOP_MAX_FIRES en la ventana */
+function underLoopLimit(sessionId, chatId) {
+  const k = `${sessionId}|${chatId}`;
+  const now = Date.now();
+  const recent = (chatFires.get(k) || []).filter((t) => now - t < LOOP_WINDOW_MS);
+  if (recent.length >= LOOP_MAX_FIRES) {
+    chatFires.set(k, recent);
+    return false;
+  }
+  recent.push(now);
+  chatFires.set(k, recent);
+  return true;
+}
+
+async function evaluate(sessionId, message) {
+  if (message.fromMe || !message.from || message.from === 'status@broadcast') return;
+  const list = sorted(sessionId).filter((r) => r.enabled);
+  if (!list.length) return;
+
+  const chatId = message.from;
+  const msg = {
+    body: message.body || '',
+    from: message.author || message.from, // en grupos el autor real
+    type: message.type,
+    isGroup: chatId.endsWith('@g.us'),
+    at: message.timestamp ? message.timestamp * 1000 : Date.now(),
+  };
+
+  for (const rule of list) {
+    if (!ruleMatches(rule, msg)) continue;
+
+    const cdKey = `${rule.id}|${chatId}`;
+    if (rule.cooldownSec && Date.now() - (lastFired.get(cdKey) || 0) < rule.cooldownSec * 1000) {
+      if (rule.stopOnMatch) break;
+      continue;
+    }
+    if (!underLoopLimit(sessionId, chatId)) {
+      log.warn('reglas frenadas en el chat: demasiados disparos seguidos (¿bucle?)', { sessionId, chatId, ruleId: rule.id });
+      return;
+    }
+    lastFired.set(cdKey, Date.now());
+
+    const ctx = { ruleId: rule.id, chatId, record: getMessage(sessionId, message.id?._serialized) };
+    const results = [];
+    for (const a of rule.actions) {
+      try {
+        await runAction(sessionId, a, ctx);
+        results.push({ type: a.type, ok: true });
+      } catch (e) {
+        results.push({ type: a.type, ok: false, error: e.message });
+        log.warn('acción de regla falló', { sessionId, messageId: ctx.record?.id_msg, ruleId: rule.id, action: a.type, err: e.message });
+      }
+    }
+    const payload = { id: sessionId, ruleId: rule.id, name: rule.name, chatId, id_msg: message.id?._serialized || null, actions: results };
+    bus.emit('rule_matched', payload);
+    fireWebhook('rule_matched', payload);
+    if (rule.stopOnMatch) break;
+  }
+}
+
+/* ===========================
+   API pública
+=========================== */
+export function listRules(sessionId) {
+  return sorted(sessionId);
+}
+
+export function getRule(sessionId, ruleId) {
+  return (rules[sessionId] || []).find((r) => r.id === ruleId) || null;
+}
+
+/** `key`: API key que crea la regla (acota forward_session a sus sesiones) */
+export async function createRule(sessionId, input = {}, key = null) {
+  if (!input.actions) throw new Error('missing_actions');
+  const list = rules[sessionId] || [];
+  if (list.length >= MAX_RULES) throw new Error('too_many_rules');
+  const now = Date.now();
+  const rule = normalize(
+    { name: '', enabled: true, priority: 0, stopOnMatch: true, cooldownSec: DEFAULT_COOLDOWN_SEC, match: {}, ...input },
+    { id: crypto.randomUUID(), createdAt: now },
+    { sessionId, key }
+  );
+  await assertActionTargets(rule.actions);
+  rule.updatedAt = now;
+  rules[sessionId] = [...(rules[sessionId] || []), rule]; // releído: pudo cambiar durante el await
+  persist();
+  return rule;
+}
+
+/** `key`: API key que edita la regla */
+export async function updateRule(sessionId, ruleId, input = {}, key = null) {
+  const list = rules[sessionId] || [];
+  const i = list.findIndex((r) => r.id === ruleId);
+  if (i < 0) throw new Error('rule_not_found');
+  const rule = normalize(input, list[i], { sessionId, key });
+  if (input.actions !== undefined) await assertActionTargets(rule.actions);
+  const current = rules[sessionId] || [];
+  const j = current.findIndex((r) => r.id === ruleId); // releído: pudo borrarse durante el await
+  if (j < 0) throw new Error('rule_not_found');
+  rule.updatedAt = Date.now();
+  current[j] = rule;
+  persist();
+  return rule;
+}
+
+export function deleteRule(sessionId, ruleId) {
+  const list = rules[sessionId] || [];
+  const next = list.filter((r) => r.id !== ruleId);
+  if (next.length === list.length) return false;
+  rules[sessionId] = next;
+  persist();
+  return true;
+}
+
+/** Simula un mensaje: { body, from, type, at, isGroup } -> reglas que aplicarían (sin ejecutar acciones) */
+export function testRules(sessionId, input = {}) {
+  const msg = {
+    body: String(input.body || ''),
+    from: String(input.from || ''),
+    type: input.type || 'chat',
+    isGroup: !!input.isGroup,
+    at: input.at ? new Date(input.at).getTime() : Date.now(),
+  };
+  if (!Number.isFinite(msg.at)) throw new Error('invalid_at');
+  const matched = [];
+  for (const rule of sorted(sessionId).filter((r) => r.enabled)) {
+    if (!ruleMatches(rule, msg)) continue;
+    matched.push({ id: rule.id, name: rule.name, actions: rule.actions.map((a) => a.type) });
+    if (rule.stopOnMatch) break;
+  }
+  return matched;
+}
+
+export function getChatTags(sessionId, chatId) {
+  return tags[sessionId]?.[chatId] || [];
+}
+
+/** Reemplaza los tags de un chat (edición manual) */
+export function setChatTags(sessionId, chatId, list) {
+  if (!Array.isArray(list)) throw new Error('invalid_tags');
+  const bySession = (tags[sessionId] ||= {});
+  bySession[chatId] = Array.from(new Set(list.map(String).filter(Boolean)));
+  writeJson(TAGS_FILE, tags);
+  return bySession[chatId];
+}
+
+bus.on('message', ({ id, message }) => {
+  evaluate(id, message).catch((e) => log.error('error evaluando reglas', { sessionId: id, messageId: message.id?._serialized, err: e.message }));
+});
+bus.on('session_deleted', ({ id }) => {
+  if (rules[id]) {
+    delete rules[id];
+    persist();
+  }
+});
@@ -0,0 +1,674 @@
+// src/schemas.js
+import { RICH_TYPES } from './connections.js';
+import { SCOPES } from './auth.js';
+import { WEBHOOK_EVENTS, SCHEMA_VERSION } from './webhooks.js';
+import { CONNECTOR_TYPES, CRM_EVENTS } from './connectors.js';
+import { ACTION_TYPES } from './rules.js';
+
+/* ===========================
+   Esquemas JSON (v1) de la API y de los eventos
+   - bodies de REST: validados en server.js con validateBody(<nombre>) (ver validation.js)
+   - eventos: payload de Socket.IO / webhooks (envelope { event, version, payload, ts }) y CRM
+   - mismo mapa que components.schemas de /api/openapi.json ($ref '#/components/schemas/X')
+   Cambios incompatibles en un payload => SCHEMA_VERSION (webhooks.js) + 1.
+   Se arma al primer uso: no depende del orden de carga de los módulos de donde salen los enums.
+=========================== */
+export { SCHEMA_VERSION };
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const bool = (extra = {}) => ({ type: 'boolean', ...extra });
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const nullable = (s) => ({ ...s, type: [s.type, 'null'], ...(s.enum ? { enum: [...s.enum, null] } : {}) });
+const obj = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {}),
+  ...extra,
+});
+
+/* ===========================
+   Tipos comunes
+=========================== */
+function common() {
+  return {
+    Recipient: {
+      type: ['string', 'number'],
+      minLength: 1,
+      description: 'número (5491122334455) o chatId (…@c.us / …@g.us)',
+    },
+    SendAt: {
+      type: ['integer', 'string'],
+      description: 'envío programado: ms epoch o ISO 8601',
+    },
+    Flag: {
+      type: ['boolean', 'string'],
+      enum: [true, false, 'true', 'false', '1', '0'],
+      description: 'boolean; en multipart "1" / "0"',
+    },
+    TimestampMs: int({ description: 'ms epoch' }),
+    ValidationIssue: obj(
+      {
+        path: str({ description: "campo (p.ej. 'to', 'actions[0].type'); '' = el body" }),
+        code: str({ description: 'missing_<campo> | invalid_<campo> | missing_fields' }),
+        rule: str({ description: 'regla que falló (required, type, enum, minLength…)' }),
+      },
+      ['path', 'code', 'rule'],
+    ),
+    Error: obj(
+      {
+        ok: { const: false },
+        error: str({ description: 'código snake_case; con validación, el del primer problema' }),
+        errors: arr(ref('ValidationIssue')),
+      },
+      ['ok', 'error'],
+    ),
+  };
+}
+
+/* ===========================
+   Bodies de REST
+=========================== */
+function bodies() {
+  const sessionMeta = {
+    name: nullable(str()),
+    team: nullable(str()),
+    pipeline: nullable(str()),
+    labels: arr(str()),
+    connector: nullable(str({ description: "id de conector de CRM; null = default, 'none' = sin CRM; requiere scope admin" })),
+  };
+  const agent = str({ minLength: 1, description: 'agente que responde (asigna el chat si está libre)' });
+  const quoting = {
+    quotedMessageId: str({ minLength: 1 }),
+    mentions: arr(ref('Recipient')),
+  };
+  const sendExtras = { sendAt: ref('SendAt'), agent };
+
+  const richBranch = (type, properties, required) =>
+    obj({ type: { const: type }, ...properties, ...sendExtras }, required);
+
+  const rule = (required = []) =>
+    obj(
+      {
+        name: str(),
+        enabled: bool(),
+        priority: num(),
+        stopOnMatch: bool(),
+        cooldownSec: num({ minimum: 0, description: 'por chat; default RULES_DEFAULT_COOLDOWN_SEC (30)' }),
+        match: ref('RuleMatch'),
+        actions: arr(ref('RuleAction'), { minItems: 1 }),
+      },
+      required,
+    );
+  const apiKey = (required = []) =>
+    obj(
+      {
+        name: str(),
+        scopes: arr(str({ enum: SCOPES }), { minItems: 1 }),
+        sessions: arr(str({ minLength: 1 }), { minItems: 1, description: "ids de sesión o ['*']; con scope admin sólo ['*']" }),
+      },
+      required,
+    );
+  const webhook = (required = []) =>
+    obj(
+      {
+        url: str({ format: 'uri' }),
+        events: arr(str({ enum: ['*', ...WEBHOOK_EVENTS] }), { minItems: 1 }),
+        sessions: arr(str({ minLength: 1 }), { minItems: 1 }),
+        secret: str({ description: 'HMAC; si falta se genera' }),
+        enabled: bool(),
+        description: str(),
+      },
+      required,
+    );
+  const connector = (required = [], extra = {}) =>
+    obj(
+      {
+        ...extra,
+        type: str({ enum: CONNECTOR_TYPES }),
+        name: str(),
+        enabled: bool(),
+        url: str({ format: 'uri' }),
+        path: str({ description: "php: ruta del webhook (default '/api/whatsapp_webhook.php')" }),
+        auth: ref('ConnectorAuth'),
+        secret: str(),
+        headers: obj({}, [], { additionalProperties: str() }),
+        events: arr(str({ enum: ['*', ...CRM_EVENTS] }), { minItems: 1 }),
+        mapping: ref('ConnectorMapping'),
+        inboundToken: str(),
+      },
+      required,
+    );
+
+  return {
+    SessionCreate: obj(
+      {
+        id: str({ minLength: 1, maxLength: 128 }),
+        ...sessionMeta,
+        phoneNumber: str({ minLength: 1, description: 'vincular con código en lugar de QR' }),
+      },
+      ['id'],
+    ),
+    SessionUpdate: obj({
+      ...sessionMeta,
+      disabled: bool(),
+      desiredState: str({ enum: ['running', 'stopped'] }),
+      rejectCalls: nullable(bool({ description: 'null = CALL_REJECT' })),
+      callRejectMessage: nullable(str()),
+    }),
+    // el largo mínimo lo valida backups.js (weak_passphrase); invalid_passphrase queda para "no descifra" (403)
+    SessionExport: obj({
+      passphrase: str({ description: 'si falta se usa BACKUP_SECRET; corta -> weak_passphrase', 'x-error-code': 'weak_passphrase' }),
+    }),
+    SessionImport: obj(
+      {
+        file: str({ format: 'binary', description: 'archivo .wab' }),
+        passphrase: str({ description: 'si falta se usa BACKUP_SECRET; corta -> weak_passphrase', 'x-error-code': 'weak_passphrase' }),
+        start: ref('Flag'),
+      },
+      [],
+      { 'x-multipart': true },
+    ),
+    BackupRestore: obj({ start: ref('Flag') }),
+    PairingCodeRequest: obj({ phoneNumber: str({ minLength: 1 }) }),
+    SyncStart: obj({
+      limit: int({ minimum: 1, description: 'mensajes por chat' }),
+      since: { type: ['integer', 'string'], description: 'ms epoch o ISO 8601' },
+      days: num({ exclusiveMinimum: 0 }),
+    }),
+
+    TextMessage: obj({ to: ref('Recipient'), text: str({ minLength: 1 }), ...sendExtras }, ['to', 'text']),
+    MediaMessage: obj(
+      {
+        to: ref('Recipient'),
+        file: str({ format: 'binary', description: 'multipart; alternativa a url / mediaKey' }),
+        url: str({ format: 'uri' }),
+        mediaKey: str({ minLength: 1, description: 'de POST /uploads' }),
+        fileName: str(),
+        mimetype: str(),
+        caption: str(),
+        asVoice: ref('Flag'),
+        ...sendExtras,
+      },
+      ['to'],
+      { 'x-multipart': true },
+    ),
+    Upload: obj({ file: str({ format: 'binary' }) }, ['file'], { 'x-multipart': true }),
+    RichMessage: {
+      type: 'object',
+      properties: { type: str({ enum: RICH_TYPES, default: 'text' }) },
+      discriminator: {
+        propertyName: 'type',
+        mapping: {
+          text: '#/components/schemas/RichText',
+          reaction: '#/components/schemas/RichReaction',
+          location: '#/components/schemas/RichLocation',
+          contact: '#/components/schemas/RichContact',
+          poll: '#/components/schemas/RichPoll',
+          edit: '#/components/schemas/RichEdit',
+        },
+      },
+      oneOf: ['RichText', 'RichReaction', 'RichLocation', 'RichContact', 'RichPoll', 'RichEdit'].map(ref),
+    },
+    RichText: richBranch('text', { to: ref('Recipient'), text: str({ minLength: 1 }), ...quoting }, ['to', 'text']),
+    RichReaction: richBranch(
+      'reaction',
+      { messageId: str({ minLength: 1 }), emoji: str({ description: "un emoji; '' quita la reacción" }), to: ref('Recipient') },
+      ['messageId', 'emoji'],
+    ),
+    RichLocation: richBranch(
+      'location',
+      {
+        to: ref('Recipient'),
+        latitude: num({ minimum: -90, maximum: 90 }),
+        longitude: num({ minimum: -180, maximum: 180 }),
+        name: str(),
+        address: str(),
+        url: str(),
+        ...quoting,
+      },
+      ['to', 'latitude', 'longitude'],
+    ),
+    RichContact: richBranch(
+      'contact',
+      {
+        to: ref('Recipient'),
+        contact: obj({ name: str({ minLength: 1 }), phone: str({ minLength: 1 }), org: str(), email: str() }, ['name', 'phone']),
+        vcard: str({ description: 'alternativa a contact: BEGIN:VCARD … END:VCARD' }),
+        ...quoting,
+      },
+      ['to'],
+    ),
+    RichPoll: richBranch(
+      'poll',
+      {
+        to: ref('Recipient'),
+        question: str({ minLength: 1 }),
+        options: arr(str({ minLength: 1 }), { minItems: 2, maxItems: 12 }),
+        allowMultipleAnswers: bool(),
+        ...quoting,
+      },
+      ['to', 'question', 'options'],
+    ),
+    RichEdit: richBranch('edit', { messageId: str({ minLength: 1 }), text: str({ minLength: 1 }) }, ['messageId', 'text']),
+    RevokeMessage: obj({ chatId: str({ minLength: 1 }), messageId: str({ minLength: 1 }) }, ['chatId', 'messageId']),
+
+    QueueConfig: obj({
+      ratePerMin: num({ exclusiveMinimum: 0 }),
+      minDelayMs: num({ minimum: 0 }),
+      jitterMs: num({ minimum: 0 }),
+    }),
+    CampaignCreate: obj(
+      {
+        name: str(),
+        template: str({ description: 'texto con {{variables}} de cada destinatario' }),
+        recipients: {
+          type: ['array', 'string'],
+          items: { type: ['object', 'string'] },
+          description: "[{ to, ...variables }] o JSON; en multipart también un CSV en 'recipients'",
+        },
+        delayMs: { type: ['number', 'string'] },
+        media: str({ format: 'binary', description: 'multipart' }),
+      },
+      [],
+      { 'x-multipart': true },
+    ),
+
+    GroupCreate: obj(
+      { subject: str({ minLength: 1 }), participants: arr(ref('Recipient'), { minItems: 1 }) },
+      ['subject', 'participants'],
+    ),
+    GroupUpdate: obj({ subject: str({ minLength: 1 }), description: str() }, [], { minProperties: 1 }),
+    GroupParticipants: obj({ participants: arr(ref('Recipient'), { minItems: 1 }) }, ['participants']),
+    ContactsCheck: obj(
+      {
+        numbers: arr(ref('Recipient'), { minItems: 1 }),
+        country: { type: ['string', 'integer'], description: "ISO ('AR') o código ('54') para números locales" },
+        refresh: bool(),
+      },
+      ['numbers'],
+    ),
+
+    RuleMatch: obj({
+      keywords: arr(str()),
+      regex: str({ description: 'máx. RULES_REGEX_MAX (200); sin backreferences ni grupos repetidos con cuantificadores o alternancias adentro' }),
+      from: arr(str()),
+      types: arr(str()),
+      includeGroups: bool(),
+      schedule: nullable(
+        obj({
+          timezone: str(),
+          hours: obj({}, [], {
+            propertyNames: { enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+            additionalProperties: arr(str({ pattern: '^([01]\\d|2[0-3]):[0-5]\\d-([01]\\d|2[0-4]):[0-5]\\d$' })),
+          }),
+          holidays: arr(str({ pattern: '^\\d{4}-\\d{2}-\\d{2}$' })),
+          when: str({ enum: ['open', 'closed'] }),
+        }),
+      ),
+    }),
+    RuleAction: obj(
+      {
+        type: str({ enum: ACTION_TYPES }),
+        text: str({ description: 'reply' }),
+        mediaKey: str({ description: 'reply_media; de esta misma sesión' }),
+        url: str({ description: 'reply_media / forward_webhook (no se admiten redes internas)' }),
+        caption: str({ description: 'reply_media' }),
+        tag: str({ description: 'tag' }),
+        secret: str({ description: 'forward_webhook' }),
+        sessionId: str({ description: 'forward_session; sesión existente que la key puede usar' }),
+        to: str({ description: 'forward_session' }),
+      },
+      ['type'],
+    ),
+    RuleCreate: rule(['actions']),
+    RuleUpdate: rule(),
+    RuleTest: obj({
+      body: str(),
+      from: str(),
+      type: str({ default: 'chat' }),
+      at: { type: ['integer', 'string'], description: 'ms epoch o ISO 8601 (default: ahora)' },
+      isGroup: bool(),
+    }),
+    ChatAssign: obj({ agent, force: bool() }, ['agent']),
+    ChatRelease: obj({ agent, force: bool() }),
+    ChatTags: obj({ tags: arr(str()) }, ['tags']),
+
+    ApiKeyCreate: apiKey(['scopes']),
+    ApiKeyUpdate: apiKey(),
+    WebhookCreate: webhook(['url']),
+    WebhookUpdate: webhook(),
+    ConnectorAuth: obj(
+      {
+        type: str({ enum: ['none', 'bearer', 'basic', 'header'] }),
+        token: str({ description: 'bearer' }),
+        username: str({ description: 'basic' }),
+        password: str({ description: 'basic' }),
+        header: str({ description: 'header' }),
+        value: str({ description: 'header' }),
+      },
+      ['type'],
+    ),
+    ConnectorMapping: obj({
+      types: obj({}, [], { additionalProperties: str(), description: 'tipo de whatsapp-web.js -> tipo del CRM' }),
+      template: nullable(obj({}, [], { description: 'http: body con {{campo}} del payload normalizado' })),
+      inbound: obj(
+        {
+          session: str(),
+          to: str(),
+          text: str(),
+          mediaUrl: str(),
+          fileName: str(),
+          caption: str(),
+        },
+        [],
+        { additionalProperties: false, description: 'rutas (a.b.c) en el body del callback' },
+      ),
+    }),
+    ConnectorCreate: connector(['type', 'url'], { id: str({ pattern: '^[\\w-]{1,64}$' }) }),
+    ConnectorUpdate: connector(),
+    ConnectorTest: obj({
+      event: str({ enum: CRM_EVENTS }),
+      payload: obj({}, [], { description: 'pisa campos del ejemplo' }),
+      deliver: bool(),
+      inbound: obj({}, [], { description: 'body de callback a traducir con mapping.inbound' }),
+      sessionId: str(),
+    }),
+    CrmInbound: obj(
+      {
+        session_id: str(),
+        chat_id: str(),
+        body: str(),
+        media_url: str(),
+        media_name: str(),
+        caption: str(),
+      },
+      [],
+      { description: 'callback de conectores php; los http usan mapping.inbound' },
+    ),
+  };
+}
+
+/* ===========================
+   Respuestas principales
+=========================== */
+function responses() {
+  return {
+    Session: obj({
+      id: str(),
+      status: str({ description: 'offline | initializing | qr | pairing_code | authenticating | ready | disconnected | …' }),
+      me: nullable(obj({})),
+      name: nullable(str()),
+      team: nullable(str()),
+      pipeline: nullable(str()),
+      labels: arr(str()),
+      disabled: bool(),
+      desiredState: str({ enum: ['running', 'stopped'] }),
+      connector: nullable(str()),
+      calls: obj({ reject: bool(), message: str() }),
+      pairing: nullable(ref('PairingCode')),
+      healthy: nullable(bool()),
+      lastProbeAt: nullable(int()),
+    }),
+    PairingCode: obj({ code: str(), phoneNumber: nullable(str()), expiresAt: ref('TimestampMs') }),
+    SendJob: obj({
+      id: str(),
+      sessionId: str(),
+      kind: str({ enum: ['text', 'media', 'rich'] }),
+      to: str(),
+      status: str({ enum: ['queued', 'sending', 'sent', 'failed', 'cancelled'] }),
+      sendAt: nullable(int()),
+      attempts: int(),
+      lastError: nullable(str()),
+      result: nullable(obj({ id_msg: nullable(str()), chatId: str(), timestamp: int() })),
+    }),
+    SendResult: obj(
+      {
+        ok: { const: true },
+        id: nullable(str({ description: 'id_msg de WhatsApp' })),
+        chatId: str(),
+        timestamp: ref('TimestampMs'),
+        type: str({ description: 'sólo /send' }),
+        mime: str({ description: 'sólo /media' }),
+        fileName: str({ description: 'sólo /media' }),
+        transcoded: bool({ description: 'sólo /media' }),
+      },
+      ['ok', 'id', 'chatId'],
+    ),
+    Queued: obj({ ok: { const: true }, queued: { const: true }, job: ref('SendJob'), transcoded: bool() }, ['ok', 'queued', 'job']),
+  };
+}
+
+/* ===========================
+   Eventos (Socket.IO / webhooks / CRM)
+   `id` es siempre la sesión; los mensajes se identifican con id_msg
+=========================== */
+function events() {
+  const sid = str({ description: 'sesión' });
+  const ev = (properties, required = []) => obj({ id: sid, ...properties }, ['id', ...required]);
+  const progress = obj({}, [], { additionalProperties: int() });
+  const group = ev(
+    {
+      chatId: nullable(str()),
+      type: str({ description: 'add | invite | remove | leave | subject | description | promote | demote…' }),
+      author: nullable(str()),
+      recipients: arr(str()),
+      body: str(),
+      timestamp: ref('TimestampMs'),
+    },
+    ['chatId', 'type'],
+  );
+  const chat = (properties, required = []) => ev({ chatId: str(), ...properties }, ['chatId', ...required]);
+
+  return {
+    QrEvent: ev({ qr: str({ description: 'data URL del QR (sólo socket)' }) }),
+    PairingCodeEvent: ev({ code: str(), phoneNumber: nullable(str()), expiresAt: ref('TimestampMs') }, ['code', 'expiresAt']),
+    AuthenticatedEvent: ev({ info: { description: 'sólo socket' } }),
+    ReadyEvent: ev({ me: nullable(obj({ wid: {}, pushname: str() })) }, ['me']),
+    AuthFailureEvent: ev({ msg: { type: ['string', 'null'] } }),
+    DisconnectedEvent: ev({ reason: { type: ['string', 'null'] } }),
+    ReconnectingEvent: ev({ reason: str(), attempt: int(), inMs: int() }, ['attempt', 'inMs']),
+    SessionEvent: ev({}),
+    SessionImportedEvent: ev({ from: nullable(str()), exportedAt: nullable(int()) }),
+    MessageEvent: ev(
+      {
+        from: str(),
+        to: nullable(str()),
+        body: str(),
+        timestamp: ref('TimestampMs'),
+        type: str({ description: 'tipo de whatsapp-web.js: chat, image, video, ptt, document…' }),
+        ack: nullable(int()),
+        id_msg: nullable(str()),
+        fromMe: bool(),
+        media: obj({
+          mimetype: str(),
+          filename: str(),
+          data: nullable(str({ description: 'base64 si pesa <= WEBHOOK_MEDIA_MAX' })),
+          size: int(),
+          media_type: str(),
+          skipped: bool(),
+        }),
+      },
+      ['from', 'timestamp', 'type', 'id_msg', 'fromMe'],
+    ),
+    MessageSentEvent: ev(
+      {
+        to: str(),
+        from: str({ description: "sólo source 'phone'" }),
+        body: str(),
+        id_msg: nullable(str()),
+        timestamp: ref('TimestampMs'),
+        type: str(),
+        source: str({ enum: ['phone'], description: 'escrito en el teléfono (no pasó por la API)' }),
+        fromMe: bool(),
+        ack: nullable(int()),
+        media_type: str(),
+        mime: str(),
+        file_name: str(),
+        quoted_id: str(),
+        mentions: arr(str()),
+        target_id: str({ description: 'reaction / edit' }),
+        latitude: num(),
+        longitude: num(),
+        options: arr(str()),
+      },
+      ['to', 'id_msg', 'timestamp'],
+    ),
+    MessageFailedEvent: ev({ job_id: str(), to: str(), error: str(), meta: nullable(obj({})) }, ['job_id', 'error']),
+    MessageAckEvent: ev(
+      {
+        id_msg: str(),
+        chatId: str(),
+        ack: int({ minimum: -1, maximum: 4 }),
+        status: nullable(str({ enum: ['error', 'pending', 'server', 'device', 'read', 'played'] })),
+        ts: ref('TimestampMs'),
+      },
+      ['id_msg', 'ack', 'status'],
+    ),
+    MessageRevokedEvent: ev(
+      { chatId: str(), messageId: str(), fromMe: bool(), body: nullable(str()), revokedAt: ref('TimestampMs') },
+      ['chatId', 'messageId'],
+    ),
+    MessageEditedEvent: ev(
+      {
+        chatId: str(),
+        id_msg: str(),
+        fromMe: bool(),
+        body: str(),
+        previousBody: nullable(str()),
+        editedAt: ref('TimestampMs'),
+      },
+      ['chatId', 'id_msg', 'body'],
+    ),
+    CallEvent: ev(
+      {
+        callId: str(),
+        from: str(),
+        isVideo: bool(),
+        isGroup: bool(),
+        timestamp: ref('TimestampMs'),
+        rejected: bool(),
+        replied: bool({ description: 'respuesta encolada en la cola de envío' }),
+      },
+      ['callId', 'from', 'rejected'],
+    ),
+    CampaignEvent: ev(
+      {
+        campaignId: str(),
+        status: str(),
+        progress,
+        recipient: obj({ index: int(), to: nullable(str()), status: str(), id_msg: nullable(str()), error: nullable(str()) }),
+        error: str({ description: "campaign_finished con status 'failed'" }),
+      },
+      ['campaignId', 'status', 'progress'],
+    ),
+    SyncProgressEvent: ev({ status: str(), progress, chatId: str() }, ['status', 'progress']),
+    SyncFinishedEvent: ev(
+      { status: str({ enum: ['completed', 'cancelled', 'interrupted', 'failed'] }), progress, error: nullable(str()) },
+      ['status', 'progress'],
+    ),
+    GroupEvent: group,
+    RuleMatchedEvent: ev(
+      {
+        ruleId: str(),
+        name: str(),
+        chatId: str(),
+        id_msg: nullable(str()),
+        actions: arr(obj({ type: str(), ok: bool(), error: str() })),
+      },
+      ['ruleId', 'actions'],
+    ),
+    ChatAssignedEvent: chat({ agent: str(), previous: nullable(str()) }, ['agent']),
+    ChatReleasedEvent: chat({ agent: str(), by: nullable(str()) }, ['agent']),
+    ChatReadEvent: chat({}),
+    SessionListEvent: arr(ref('Session'), { description: 'al conectar: sesiones visibles para la key' }),
+    JoinErrorEvent: ev({ error: str() }, ['error']),
+    WebhookEnvelope: obj(
+      {
+        event: str({ enum: WEBHOOK_EVENTS }),
+        version: { const: SCHEMA_VERSION },
+        payload: obj({ id: nullable(sid) }),
+        ts: ref('TimestampMs'),
+      },
+      ['event', 'version', 'payload', 'ts'],
+      { description: 'body de cada webhook (firmado con X-Webhook-Signature)' },
+    ),
+    CrmPayload: obj(
+      {
+        channel: { const: 'whatsapp' },
+        direction: str({ enum: ['in', 'out'] }),
+        chat_id: nullable(str()),
+        wa_message_id: nullable(str({ description: 'mismo valor que id_msg en socket / webhooks' })),
+        body: str(),
+        wa_type: str(),
+        type: str({ description: 'wa_type traducido por el conector (mapping.types)' }),
+        created_at_ms: ref('TimestampMs'),
+        event: str({ enum: CRM_EVENTS }),
+        session_id: str(),
+        reply_url: nullable(str()),
+        media_key: str(),
+        media_url: str(),
+        media_mime: str(),
+        media_name: str(),
+        size_bytes: int(),
+        previous_body: nullable(str({ description: 'edited' })),
+        call: obj({ video: bool(), group: bool(), rejected: bool() }),
+      },
+      ['channel', 'direction', 'wa_message_id', 'wa_type', 'created_at_ms', 'event'],
+      { description: 'body normalizado hacia el CRM (conectores php; los http lo usan como variables)' },
+    ),
+  };
+}
+
+/**
+ * evento -> { schema, socket, webhook }: dónde se emite cada uno
+ * (el socket 'message' lleva el mismo payload que el webhook)
+ */
+export const EVENT_SCHEMAS = {
+  sessions: { schema: 'SessionListEvent', socket: true, webhook: false },
+  qr: { schema: 'QrEvent', socket: true, webhook: true },
+  pairing_code: { schema: 'PairingCodeEvent', socket: true, webhook: true },
+  authenticated: { schema: 'AuthenticatedEvent', socket: true, webhook: true },
+  ready: { schema: 'ReadyEvent', socket: true, webhook: true },
+  auth_failure: { schema: 'AuthFailureEvent', socket: true, webhook: true },
+  disconnected: { schema: 'DisconnectedEvent', socket: true, webhook: true },
+  reconnecting: { schema: 'ReconnectingEvent', socket: true, webhook: true },
+  message: { schema: 'MessageEvent', socket: true, webhook: true },
+  message_sent: { schema: 'MessageSentEvent', socket: true, webhook: true },
+  message_failed: { schema: 'MessageFailedEvent', socket: false, webhook: true },
+  message_ack: { schema: 'MessageAckEvent', socket: true, webhook: true },
+  message_revoked: { schema: 'MessageRevokedEvent', socket: true, webhook: true },
+  message_edited: { schema: 'MessageEditedEvent', socket: true, webhook: true },
+  call: { schema: 'CallEvent', socket: true, webhook: true },
+  session_stopped: { schema: 'SessionEvent', socket: true, webhook: true },
+  session_deleted: { schema: 'SessionEvent', socket: true, webhook: true },
+  session_imported: { schema: 'SessionImportedEvent', socket: true, webhook: true },
+  campaign_progress: { schema: 'CampaignEvent', socket: true, webhook: true },
+  campaign_finished: { schema: 'CampaignEvent', socket: true, webhook: true },
+  sync_progress: { schema: 'SyncProgressEvent', socket: true, webhook: false },
+  sync_finished: { schema: 'SyncFinishedEvent', socket: true, webhook: true },
+  group_join: { schema: 'GroupEvent', socket: true, webhook: true },
+  group_leave: { schema: 'GroupEvent', socket: true, webhook: true },
+  group_update: { schema: 'GroupEvent', socket: true, webhook: true },
+  rule_matched: { schema: 'RuleMatchedEvent', socket: true, webhook: true },
+  chat_assigned: { schema: 'ChatAssignedEvent', socket: true, webhook: true },
+  chat_released: { schema: 'ChatReleasedEvent', socket: true, webhook: true },
+  chat_read: { schema: 'ChatReadEvent', socket: true, webhook: false },
+  join_error: { schema: 'JoinErrorEvent', socket: true, webhook: false },
+};
+
+let built = null;
+
+/** nombre -> esquema (todos: comunes, bodies, respuestas y eventos) */
+export function getSchemas() {
+  if (!built) built = { ...common(), ...bodies(), ...responses(), ...events() };
+  return built;
+}
+
+export function getSchema(name) {
+  const s = getSchemas()[name];
+  if (!s) throw new Error(`unknown_schema:${name}`);
+  return s;
+}
@@ -0,0 +1,321 @@
+// src/sendqueue.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, readJson, writeJson } from './jsonstore.js';
+import { bus, getSession, sendText, sendMedia, sendRich, normalizeRich } from './connections.js';
+import { fireWebhook } from './webhooks.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+import { audit, clip } from './audit.js';
+
+/* ===========================
+   Cola de envío por sesión (persistente)
+   - data/sendqueue/jobs/<jobId>.json (+ media/<jobId>.bin para adjuntos)
+   - rate limit por sesión: intervalo = max(60s/ratePerMin, minDelayMs) + jitter
+   - sólo envía con la sesión en 'ready'; mientras tanto los jobs esperan
+   - sendAt (ms o ISO) para programar envíos
+=========================== */
+const log = logger.child({ component: 'queue' });
+const QUEUE_DIR = path.join(DATA_DIR, 'sendqueue');
+const JOBS_DIR = path.join(QUEUE_DIR, 'jobs');
+const MEDIA_DIR = path.join(QUEUE_DIR, 'media');
+const CONFIG_FILE = path.join(QUEUE_DIR, 'config.json');
+for (const dir of [JOBS_DIR, MEDIA_DIR]) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+const DEFAULT_LIMITS = {
+  ratePerMin: Number(process.env.SEND_RATE_PER_MIN || 20),
+  minDelayMs: Number(process.env.SEND_MIN_DELAY_MS || 1500),
+  jitterMs: Number(process.env.SEND_JITTER_MS || 2000),
+};
+const MAX_ATTEMPTS = Number(process.env.SEND_MAX_ATTEMPTS || 3);
+const KEEP_DONE_MS = Number(process.env.SEND_KEEP_DONE_MS || 24 * 3600_000); // 24h
+const READY_WARMUP_MS = 3000;
+const POLL_MS = 500;
+
+// errores que no tiene sentido reintentar
+const PERMANENT_ERRORS = [
+  'invalid_recipient', 'invalid_media', 'invalid_message_id', 'invalid_chat_id',
+  'message_not_found', 'message_not_editable',
+];
+
+const jobs = new Map();        // jobId -> job
+const nextAllowedAt = new Map(); // sessionId -> ms
+const busy = new Set();        // sessionId en envío
+const waiters = new Map();     // jobId -> [resolve]
+let limits = readJson(CONFIG_FILE, {}) || {};
+
+const jobFile = (id) => path.join(JOBS_DIR, `${id}.json`);
+const mediaFile = (id) => path.join(MEDIA_DIR, `${id}.bin`);
+const save = (job) => writeJson(jobFile(job.id), job);
+
+function parseSendAt(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const ms = typeof v === 'number' || /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+  if (!Number.isFinite(ms)) throw new Error('invalid_send_at');
+  return ms;
+}
+
+/** vista pública (sin rutas internas) */
+const publicView = ({ media, ...job }) => ({
+  ...job,
+  media: media ? { mime: media.mime, fileName: media.fileName, size: media.size } : null,
+});
+
+/** quién originó el job: key de la API, campaña, regla o conector */
+function jobActor(meta) {
+  if (meta?.actor) return meta.actor;
+  if (meta?.campaignId) return `campaign:${meta.campaignId}`;
+  if (meta?.ruleId) return `rule:${meta.ruleId}`;
+  if (meta?.connector) return `connector:${meta.connector}`;
+  return 'system';
+}
+
+function finish(job, status, fields = {}) {
+  Object.assign(job, fields, { status, finishedAt: Date.now() });
+  save(job);
+  audit({
+    action: 'message.delivery',
+    actor: jobActor(job.meta),
+    actorName: job.meta?.actorName ?? null,
+    sessionId: job.sessionId,
+    target: job.to,
+    outcome: status, // sent | failed | cancelled
+    error: status === 'sent' ? null : job.lastError,
+    details: {
+      jobId: job.id,
+      kind: job.kind === 'rich' ? job.rich?.type : job.kind,
+      text: clip(job.text ?? job.rich?.text ?? job.opts?.caption),
+      fileName: job.media?.fileName ?? null,
+      id_msg: job.result?.id_msg ?? null,
+    },
+  });
+  if (job.media) fs.rmSync(mediaFile(job.id), { force: true });
+  for (const resolve of waiters.get(job.id) || []) resolve(publicView(job));
+  waiters.delete(job.id);
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/** Límites efectivos de una sesión */
+export function getLimits(sessionId) {
+  return { ...DEFAULT_LIMITS, ...(limits[sessionId] || {}) };
+}
+
+export function setLimits(sessionId, input = {}) {
+  const cur = limits[sessionId] || {};
+  for (const k of ['ratePerMin', 'minDelayMs', 'jitterMs']) {
+    if (input[k] === undefined) continue;
+    const n = Number(input[k]);
+    if (!Number.isFinite(n) || n < 0 || (k === 'ratePerMin' && n === 0)) throw new Error(`invalid_${k}`);
+    cur[k] = n;
+  }
+  limits = { ...limits, [sessionId]: cur };
+  writeJson(CONFIG_FILE, limits);
+  return getLimits(sessionId);
+}
+
+/**
+ * Encola un envío.
+ *  kind 'text':  { to, text }
+ *  kind 'media': { to, buffer, mime, fileName, opts: { asVoice, caption } }
+ *  kind 'rich':  { rich: { type, ... } } (ver normalizeRich; `to` sale de ahí)
+ * Opcional: sendAt (ms | ISO), meta (datos libres, p.ej. campaignId)
+ */
+export function enqueueSend(sessionId, { kind = 'text', to, text, buffer, mime, fileName, opts = {}, rich, sendAt, meta = null }) {
+  if (!sessionId) throw new Error('missing_session_id');
+  if (kind === 'rich') {
+    rich = normalizeRich(rich);
+    to = rich.to;
+  }
+  if (!to) throw new Error('missing_to');
+  if (kind === 'text' && !text) throw new Error('missing_text');
+  if (kind === 'media' && !buffer) throw new Error('invalid_media');
+
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId,
+    kind,
+    to: String(to),
+    text: kind === 'text' ? String(text) : null,
+    opts,
+    rich: kind === 'rich' ? rich : null,
+    meta,
+    media: null,
+    sendAt: parseSendAt(sendAt),
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    result: null,
+    createdAt: Date.now(),
+  };
+  if (kind === 'media') {
+    fs.writeFileSync(mediaFile(job.id), buffer);
+    job.media = { mime: mime || '', fileName: fileName || 'file', size: buffer.length };
+  }
+  save(job);
+  jobs.set(job.id, job);
+  setImmediate(runTick);
+  return publicView(job);
+}
+
+/** Espera a que el job termine (sent/failed/cancelled) o `timeoutMs`; null si sigue en cola */
+export function waitForJob(jobId, timeoutMs) {
+  const job = jobs.get(jobId);
+  if (!job) return Promise.resolve(null);
+  if (!['queued', 'sending'].includes(job.status)) return Promise.resolve(publicView(job));
+  return new Promise((resolve) => {
+    const list = waiters.get(jobId) || [];
+    const t = setTimeout(() => {
+      const rest = (waiters.get(jobId) || []).filter((r) => r !== done);
+      if (rest.length) waiters.set(jobId, rest); else waiters.delete(jobId);
+      resolve(null);
+    }, timeoutMs);
+    const done = (v) => { clearTimeout(t); resolve(v); };
+    list.push(done);
+    waiters.set(jobId, list);
+  });
+}
+
+export function listJobs(sessionId, { status } = {}) {
+  return Array.from(jobs.values())
+    .filter((j) => j.sessionId === sessionId && (!status || j.status === status))
+    .sort((a, b) => (a.sendAt ?? a.createdAt) - (b.sendAt ?? b.createdAt))
+    .map(publicView);
+}
+
+export function getJob(sessionId, jobId) {
+  const job = jobs.get(jobId);
+  return job && job.sessionId === sessionId ? publicView(job) : null;
+}
+
+/** Cancela un job aún en cola */
+export function cancelJob(sessionId, jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.sessionId !== sessionId) throw new Error('job_not_found');
+  if (job.status !== 'queued') throw new Error(`job_not_cancellable:${job.status}`);
+  finish(job, 'cancelled');
+  return publicView(job);
+}
+
+/* ===========================
+   Worker
+=========================== */
+function intervalFor(sessionId) {
+  const l = getLimits(sessionId);
+  return Math.max(60_000 / l.ratePerMin, l.minDelayMs) + Math.random() * l.jitterMs;
+}
+
+async function sendJob(job) {
+  job.status = 'sending';
+  job.attempts += 1;
+  save(job);
+  try {
+    let msg;
+    if (job.kind === 'media') {
+      const buf = fs.readFileSync(mediaFile(job.id));
+      msg = await sendMedia(job.sessionId, job.to, buf, job.media.mime, job.media.fileName, job.opts || {});
+    } else if (job.kind === 'rich') {
+      msg = await sendRich(job.sessionId, job.rich);
+    } else {
+      msg = await sendText(job.sessionId, job.to, job.text);
+    }
+    finish(job, 'sent', {
+      lastError: null,
+      result: {
+        id_msg: msg?.id?._serialized || null,
+        chatId: job.kind === 'rich' ? job.to : msg?.to || null,
+        timestamp: msg?.timestamp ? msg.timestamp * 1000 : Date.now(),
+      },
+    });
+  } catch (e) {
+    const code = e.message || String(e);
+    job.lastError = code;
+    if (code === 'session_not_ready' || code === 'session_not_found') {
+      job.status = 'queued'; // la sesión cayó entre el chequeo y el envío: esperar
+      job.attempts -= 1;
+      save(job);
+    } else if (PERMANENT_ERRORS.includes(code) || job.attempts >= MAX_ATTEMPTS) {
+      finish(job, 'failed');
+      metrics.sendFailures.inc({ session: job.sessionId, code: code.split(':')[0] });
+      fireWebhook('message_failed', {
+        id: job.sessionId,
+        job_id: job.id,
+        to: job.to,
+        error: code,
+        meta: job.meta,
+      });
+    } else {
+      job.status = 'queued';
+      job.sendAt = Date.now() + 10_000 * job.attempts;
+      save(job);
+    }
+    log.warn('error de envío', { sessionId: job.sessionId, jobId: job.id, attempt: job.attempts, err: code });
+  }
+}
+
+async function tick() {
+  const now = Date.now();
+  const bySession = new Map();
+  for (const job of jobs.values()) {
+    if (job.status === 'queued' && (job.sendAt ?? 0) <= now) {
+      const cur = bySession.get(job.sessionId);
+      if (!cur || (cur.sendAt ?? cur.createdAt) > (job.sendAt ?? job.createdAt)) bySession.set(job.sessionId, job);
+    } else if (job.finishedAt && now - job.finishedAt > KEEP_DONE_MS) {
+      jobs.delete(job.id);
+      fs.rmSync(jobFile(job.id), { force: true });
+    }
+  }
+
+  const work = [];
+  for (const [sessionId, job] of bySession) {
+    if (busy.has(sessionId)) continue;
+    if (getSession(sessionId)?.status !== 'ready') continue;
+    if ((nextAllowedAt.get(sessionId) || 0) > now) continue;
+
+    busy.add(sessionId);
+    work.push(sendJob(job).finally(() => {
+      nextAllowedAt.set(sessionId, Date.now() + intervalFor(sessionId));
+      busy.delete(sessionId);
+    }));
+  }
+  await Promise.all(work);
+}
+
+function runTick() {
+  tick().catch((e) => log.error('tick error', { err: e }));
+}
+
+// Al quedar 'ready' se vacía la cola retenida (tras un pequeño margen)
+bus.on('ready', ({ id }) => {
+  nextAllowedAt.set(id, Date.now() + READY_WARMUP_MS);
+  setTimeout(runTick, READY_WARMUP_MS);
+});
+
+// Cargar jobs previos (de todas las sesiones o de una); los que quedaron
+// 'sending' por un crash vuelven a la cola
+function loadJobs(sessionId = null) {
+  for (const name of fs.readdirSync(JOBS_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    const job = readJson(path.join(JOBS_DIR, name));
+    if (!job?.id || (sessionId && job.sessionId !== sessionId)) continue;
+    if (job.status === 'sending') {
+      job.status = 'queued';
+      save(job);
+    }
+    jobs.set(job.id, job);
+  }
+}
+
+// Cluster: al tomar una sesión, el disco manda (otro nodo pudo enviar / encolar mientras tanto)
+bus.on('session_acquired', ({ id }) => {
+  for (const [jobId, job] of jobs) if (job.sessionId === id) jobs.delete(jobId);
+  loadJobs(id);
+});
+
+loadJobs();
+setInterval(runTick, POLL_MS).unref();
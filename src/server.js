@@ -3,176 +3,1279 @@ import express from 'express';
 import cors from 'cors';
 import http from 'http';
 import { Server } from 'socket.io';
+import fs from 'fs';
 import path from 'path';
 import multer from 'multer';
+import mime from 'mime';
 
 import {
   createSession,
   listSessions,
-  getSession,
+  describeSession,
+  updateSession,
   deleteSession,
-  sendText,
-  sendMedia,
+  sessionExists,
   restoreAllSessions,
   revokeMessage,
+  requestPairingCode,
+  chromiumUsage,
+  getSession,
   bus, // importamos aquí para enlazar el bridge global una sola vez
 } from './connections.js';
+import { getRestartHistory, manualReconnect } from './supervisor.js';
+import { prepareMedia } from './transcode.js';
+import {
+  exportSession,
+  importSession,
+  snapshotSession,
+  listBackups,
+  restoreBackup,
+  snapshotBeforeDelete,
+} from './backups.js';
+import { logger } from './logger.js';
+import { metricsContentType, renderMetrics, setSessionCollector } from './metrics.js';
+import { shouldRun } from './registry.js';
+import { DATA_DIR } from './jsonstore.js';
+import { NODE_ID, clusterEnabled, listNodes } from './leases.js';
+import {
+  startCluster,
+  clusterSessions,
+  attachSocketAdapter,
+  forwardToOwner,
+  proxyToOwner,
+} from './cluster.js';
+import {
+  enqueueSend,
+  waitForJob,
+  listJobs,
+  getJob,
+  cancelJob,
+  getLimits,
+  setLimits,
+} from './sendqueue.js';
+import {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  campaignReportCsv,
+} from './campaigns.js';
+import {
+  PARTICIPANT_ACTIONS,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateParticipants,
+  updateGroup,
+  getInviteLink,
+  revokeInviteLink,
+} from './groups.js';
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testRules,
+  getChatTags,
+  setChatTags,
+} from './rules.js';
+import {
+  listInbox,
+  getAssignment,
+  assignChat,
+  releaseChat,
+  claimForReply,
+  markChatRead,
+} from './inbox.js';
+import { startSync, getSyncState, cancelSync } from './sync.js';
+import {
+  listConnectors,
+  getConnector,
+  createConnector,
+  updateConnector,
+  deleteConnector,
+  assertConnector,
+  testConnector,
+  checkInboundToken,
+  parseInbound,
+  sessionUsesConnector,
+} from './connectors.js';
+import { checkNumbers, listContacts, getProfile, setBlocked, listBlocked } from './contacts.js';
+import { listChats, getChatMessages, searchMessages, getMessageStatus } from './messages.js';
+import {
+  signedMediaUrl,
+  verifyMediaSignature,
+  storeMedia,
+  readMedia,
+  fetchRemoteMedia,
+  openMedia,
+  mediaKeySession,
+  mediaStats,
+  pruneMedia,
+} from './media.js';
+import {
+  listPending,
+  listDead,
+  getDelivery,
+  replayDead,
+  replayAllDead,
+  deleteDead,
+} from './outbox.js';
+import {
+  SCOPES,
+  requireScope,
+  socketAuth,
+  canAccessSession,
+  hasScope,
+  isUnrestricted,
+  authEnabled,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+} from './auth.js';
+import {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+} from './webhooks.js';
+import { audited, clip, queryAudit, auditCsv, auditRetention } from './audit.js';
+import { validateBody } from './validation.js';
+import { buildOpenApi } from './openapi.js';
 
 // ---------- Server base ----------
+const log = logger.child({ component: 'http' });
 const app = express();
-app.use(cors({ origin: true }));
+// detrás de un reverse proxy: TRUST_PROXY=1 (saltos) | loopback | true, para req.ip real en la auditoría
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(tp) ? Number(tp) : tp === 'true' ? true : tp);
+}
+// CORS_ORIGINS="https://crm.tu-dominio.com,https://otro" (vacío = refleja el origin)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
+const corsOrigin = CORS_ORIGINS.length ? CORS_ORIGINS : true;
+app.use(cors({ origin: corsOrigin }));
+// cluster: lo que apunta a una sesión de otro nodo se reenvía antes de parsear el body
+app.use('/api/sessions/:id', proxyToOwner);
 app.use(express.json({ limit: '10mb' }));
 
-// Static (panel + uploads)
+// Static (panel)
 const PUBLIC_DIR = path.join(process.cwd(), 'public');
-// Alias explícito a /uploads por claridad (sirve public/uploads)
-app.use('/uploads', express.static(path.join(PUBLIC_DIR, 'uploads')));
-// Resto de estáticos (sirve /public completo)
+// public/uploads (media de versiones anteriores) sólo si MEDIA_LEGACY_STATIC=1;
+// la media nueva se descarga por /media con URL firmada
+if (process.env.MEDIA_LEGACY_STATIC === '1') {
+  app.use('/uploads', express.static(path.join(PUBLIC_DIR, 'uploads')));
+} else {
+  app.use('/uploads', (_req, res) => res.status(404).end());
+}
 app.use(express.static(PUBLIC_DIR));
 
+// Descarga de media con URL firmada (/media/<key>?exp=&sig=)
+app.get(/^\/media\/(.+)$/, async (req, res) => {
+  const key = req.params[0]; // Express ya lo decodificó: es la key tal cual se firmó
+  try {
+    if (!verifyMediaSignature(key, req.query.exp, req.query.sig)) {
+      return res.status(403).json({ ok: false, error: 'invalid_signature' });
+    }
+    const file = await openMedia(key);
+    if (!file) return res.status(404).json({ ok: false, error: 'not_found' });
+    if (file.mime) res.setHeader('Content-Type', file.mime);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    file.stream.on('error', () => res.destroy());
+    file.stream.pipe(res);
+  } catch (e) {
+    log.error('error descargando media', { key, err: e });
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
 // Multer en memoria (para endpoint de envío de media)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
 });
+// import de credenciales (.wab): el perfil puede pesar bastante más que un adjunto
+const uploadArchive = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(process.env.BACKUP_IMPORT_MAX_BYTES || 300 * 1024 * 1024) },
+});
 
 // ---------- REST API ----------
 app.get('/api/health', (_req, res) =>
   res.json({ ok: true, name: 'wa-connections', ts: Date.now() })
 );
 
-app.get('/api/sessions', (_req, res) => {
-  res.json({ ok: true, data: listSessions() });
+// Esquemas de bodies y eventos (v1) para generar SDKs; sin datos sensibles, sin auth
+app.get('/api/openapi.json', (_req, res) => res.json(buildOpenApi()));
+
+// Readiness: DATA_DIR escribible + sesiones degradadas (deberían correr y no están 'ready',
+// o el health probe del supervisor las marcó como no sanas).
+// Con READY_STRICT=1 cualquier sesión degradada devuelve 503.
+const READY_STRICT = process.env.READY_STRICT === '1';
+app.get('/api/ready', (_req, res) => {
+  let storage = true;
+  try {
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+  } catch {
+    storage = false;
+  }
+  // en cluster cada nodo responde por las sesiones que corre
+  const sessions = listSessions().filter((s) => !clusterEnabled() || getSession(s.id));
+  const degraded = sessions
+    .filter((s) => (shouldRun(s.id) && s.status !== 'ready') || s.healthy === false)
+    .map((s) => ({ id: s.id, status: s.status, healthy: s.healthy ?? null }));
+  const ready = storage && (!READY_STRICT || !degraded.length);
+  res.status(ready ? 200 : 503).json({
+    ok: ready,
+    node: NODE_ID,
+    storage,
+    sessions: { total: sessions.length, ready: sessions.filter((s) => s.status === 'ready').length },
+    degraded,
+    ts: Date.now(),
+  });
 });
 
-app.post('/api/sessions', async (req, res) => {
+// Prometheus (Authorization: Bearer <key con scope metrics:read>)
+setSessionCollector(() =>
+  Promise.all(
+    listSessions()
+      .filter((s) => !clusterEnabled() || getSession(s.id))
+      .map(async (s) => ({ id: s.id, status: s.status, ...(await chromiumUsage(s.id)) }))
+  )
+);
+app.get('/metrics', requireScope('metrics:read'), async (_req, res) => {
   try {
-    const { id } = req.body || {};
-    if (!id) return res.status(400).json({ ok: false, error: 'missing_id' });
-    const s = await createSession(id);
-    res.json({ ok: true, status: s.status });
+    res.setHeader('Content-Type', metricsContentType);
+    res.send(await renderMetrics());
   } catch (e) {
-    console.error('create session error:', e);
-    res.status(500).json({ ok: false, error: e.message });
+    log.error('error generando métricas', { err: e });
+    res.status(500).end();
   }
 });
 
-app.get('/api/sessions/:id', async (req, res) => {
-  const s = await getSession(req.params.id);
-  if (!s) return res.status(404).json({ ok: false, error: 'not_found' });
-  res.json({ ok: true, status: s.status, me: s.me || null });
+app.get('/api/sessions', requireScope('sessions:read'), async (req, res) => {
+  const data = (await clusterSessions()).filter((s) => canAccessSession(req.apiKey, s.id));
+  res.json({ ok: true, data });
+});
+
+// ----- Auditoría: qué guarda cada ruta auditada (audited va antes de requireScope) -----
+/** campos presentes del body (nunca secretos) */
+const bodyFields = (req, keys) => {
+  const out = {};
+  for (const k of keys) if (req.body?.[k] !== undefined) out[k] = req.body[k];
+  return Object.keys(out).length ? out : null;
+};
+// elegir conector decide a qué CRM va el tráfico y qué token entrante envía por la sesión: sólo admin
+const connectorAllowed = (req) =>
+  req.body.connector === undefined || (hasScope(req.apiKey, 'admin') && isUnrestricted(req.apiKey));
+// resultado de un envío: job encolado o id del mensaje
+const sendResult = (body) => ({ jobId: body?.job?.id ?? null, id_msg: body?.id ?? null });
+
+app.post('/api/sessions', audited('session.create', (req) => ({
+  sessionId: req.body?.id ?? null,
+  details: bodyFields(req, ['name', 'team', 'pipeline', 'labels', 'connector', 'phoneNumber']),
+})), requireScope('sessions:manage'), validateBody('SessionCreate'), async (req, res) => {
+  try {
+    const { id, name, team, pipeline, labels, phoneNumber, connector } = req.body;
+    if (!canAccessSession(req.apiKey, id)) {
+      return res.status(403).json({ ok: false, error: 'forbidden_session' });
+    }
+    if (!connectorAllowed(req)) return res.status(403).json({ ok: false, error: 'forbidden_scope' });
+    assertConnector(connector);
+    // phoneNumber: vincular con código en vez de QR (si ya corre sin vincular, pide uno nuevo)
+    if (phoneNumber && getSession(id) && !['ready', 'authenticating'].includes(getSession(id).status)) {
+      const d = await requestPairingCode(id, phoneNumber);
+      return res.json({ ok: true, status: d.status, pairing: d.pairing });
+    }
+    await createSession(id, { name, team, pipeline, labels, phoneNumber, connector });
+    const d = describeSession(id);
+    res.json({ ok: true, status: d.status, ...(phoneNumber && { pairing: d.pairing }) });
+  } catch (e) {
+    if (e.message === 'session_owned_elsewhere' && (await forwardToOwner(req, res, req.body.id, req.body))) return;
+    log.error('error creando sesión', { sessionId: req.body?.id, err: e });
+    const code =
+      e.message === 'session_disabled' ? 409 : /^invalid_/.test(e.message) || e.message === 'connector_not_found' ? 400 : 500;
+    res.status(code).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/sessions/:id', requireScope('sessions:read'), (req, res) => {
+  if (!sessionExists(req.params.id)) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, ...describeSession(req.params.id) });
+});
+
+// Metadatos (name, team, pipeline, labels), disabled y desiredState ('running' | 'stopped')
+app.patch('/api/sessions/:id', audited('session.update', (req) => ({
+  details: bodyFields(req, ['name', 'team', 'pipeline', 'labels', 'disabled', 'desiredState', 'rejectCalls', 'callRejectMessage', 'connector']),
+})), requireScope('sessions:manage'), validateBody('SessionUpdate'), async (req, res) => {
+  try {
+    const { name, team, pipeline, labels, disabled, desiredState, rejectCalls, callRejectMessage, connector } = req.body;
+    if (!connectorAllowed(req)) return res.status(403).json({ ok: false, error: 'forbidden_scope' });
+    assertConnector(connector);
+    const data = await updateSession(req.params.id, {
+      name, team, pipeline, labels, disabled, desiredState, rejectCalls, callRejectMessage, connector,
+    });
+    res.json({ ok: true, data });
+  } catch (e) {
+    res.status(e.message === 'session_not_found' ? 404 : 400).json({ ok: false, error: e.message });
+  }
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
+app.delete('/api/sessions/:id', audited('session.delete'), requireScope('sessions:manage'), async (req, res) => {
+  await snapshotBeforeDelete(req.params.id);
   await deleteSession(req.params.id);
   res.json({ ok: true });
 });
 
+// Reconectar sin borrar credenciales (LocalAuth)
+app.post('/api/sessions/:id/reconnect', audited('session.reconnect'), requireScope('sessions:manage'), async (req, res) => {
+  try {
+    const s = await manualReconnect(req.params.id);
+    res.json({ ok: true, status: s.status });
+  } catch (e) {
+    log.error('error reconectando', { sessionId: req.params.id, err: e });
+    res.status(e.message === 'session_not_found' ? 404 : 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/sessions/:id/restarts', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: getRestartHistory(req.params.id) });
+});
+
+// ----- Credenciales: export / import cifrado y snapshots (sólo admin) -----
+const backupErrorCode = (msg = '') => {
+  if (msg === 'session_not_found' || msg === 'backup_not_found') return 404;
+  if (msg === 'no_credentials' || msg === 'backup_secret_not_configured') return 409;
+  if (msg === 'invalid_passphrase') return 403;
+  if (/^(missing_|invalid_|weak_)/.test(msg)) return 400;
+  return 500;
+};
+const backupRoute = (fn) => async (req, res) => {
+  try {
+    res.json({ ok: true, data: await fn(req) });
+  } catch (e) {
+    const code = backupErrorCode(e.message);
+    if (code === 500) log.error('error en credenciales', { sessionId: req.params.id, err: e });
+    res.status(code).json({ ok: false, error: e.message });
+  }
+};
+
+// body: { passphrase } (si falta se usa BACKUP_SECRET) -> archivo .wab
+app.post('/api/sessions/:id/export', audited('session.export'), requireScope('admin'), validateBody('SessionExport'), async (req, res) => {
+  try {
+    const { fileName, buffer } = await exportSession(req.params.id, req.body?.passphrase || undefined);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (e) {
+    const code = backupErrorCode(e.message);
+    if (code === 500) log.error('error exportando sesión', { sessionId: req.params.id, err: e });
+    res.status(code).json({ ok: false, error: e.message });
+  }
+});
+
+// multipart: file (.wab), passphrase, start ('0' = importar sin arrancar)
+app.post(
+  '/api/sessions/:id/import',
+  audited('session.import', (req) => ({ details: { fileName: req.file?.originalname ?? null } })),
+  requireScope('admin'),
+  uploadArchive.single('file'),
+  validateBody('SessionImport'),
+  backupRoute((req) =>
+    importSession(req.params.id, req.file?.buffer, req.body?.passphrase || undefined, {
+      start: req.body?.start === undefined || truthy(req.body.start),
+    })
+  )
+);
+
+app.get('/api/sessions/:id/backups', requireScope('admin'), backupRoute((req) => listBackups(req.params.id)));
+
+app.post(
+  '/api/sessions/:id/backups',
+  requireScope('admin'),
+  backupRoute(async (req) => {
+    if (!sessionExists(req.params.id)) throw new Error('session_not_found');
+    return snapshotSession(req.params.id, 'manual');
+  })
+);
+
+app.post(
+  '/api/sessions/:id/backups/:backupId/restore',
+  audited('session.restore', (req) => ({ details: { backupId: req.params.backupId } })),
+  requireScope('admin'),
+  validateBody('BackupRestore'),
+  backupRoute((req) =>
+    restoreBackup(req.params.id, req.params.backupId, { start: req.body?.start === undefined || truthy(req.body.start) })
+  )
+);
+
+// Cuánto espera la respuesta HTTP a que salga un envío inmediato (luego 202 + job)
+const SEND_WAIT_MS = Number(process.env.SEND_WAIT_MS || 30000);
+
+/** quién pidió el envío (la cola lo deja en la auditoría del resultado) */
+const actorMeta = (req) => ({ actor: req.apiKey?.id ?? null, actorName: req.apiKey?.name ?? null });
+
+/** encola y espera; devuelve el job terminado o null si queda en cola/programado */
+async function enqueueAndWait(sessionId, input) {
+  const job = enqueueSend(sessionId, input);
+  const done = job.sendAt ? null : await waitForJob(job.id, SEND_WAIT_MS);
+  return { job, done };
+}
+
+/**
+ * Con `agent` en el body: rechaza (409) si el chat está asignado a otro agente
+ * y, si está libre, lo asigna a quien responde. Devuelve false si ya respondió.
+ */
+function claimReply(req, res, to, agent) {
+  try {
+    claimForReply(req.params.id, to, agent);
+    return true;
+  } catch (e) {
+    res.status(409).json({ ok: false, error: e.message });
+    return false;
+  }
+}
+
 // ----- Enviar TEXTO -----
-app.post('/api/sessions/:id/messages', async (req, res) => {
+app.post('/api/sessions/:id/messages', audited('message.send', (req, body) => ({
+  target: req.body?.to ?? null,
+  details: { kind: 'text', text: clip(req.body?.text), sendAt: req.body?.sendAt ?? null, agent: req.body?.agent ?? null, ...sendResult(body) },
+})), requireScope('messages:send'), validateBody('TextMessage'), async (req, res) => {
   try {
-    const { to, text } = req.body || {};
-    if (!to || !text) {
-      return res.status(400).json({ ok: false, error: 'missing_fields' });
+    const { to, text, sendAt, agent } = req.body;
+    if (!sessionExists(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'session_not_found' });
+    }
+    if (!claimReply(req, res, to, agent)) return;
+    const { job, done } = await enqueueAndWait(req.params.id, { kind: 'text', to, text, sendAt, meta: actorMeta(req) });
+    if (!done) return res.status(202).json({ ok: true, queued: true, job });
+    if (done.status !== 'sent') {
+      return res.status(400).json({ ok: false, error: done.lastError || done.status, job: done });
     }
-    const msg = await sendText(req.params.id, to, text);
 
-    const messageId = msg?.id?._serialized || null;
-    const chatId    = msg?.from || `${String(to).replace(/\D/g, '')}@c.us`;
-    const timestamp = msg?.timestamp ? msg.timestamp * 1000 : Date.now();
+    const messageId = done.result.id_msg;
+    const chatId    = done.result.chatId || `${String(to).replace(/\D/g, '')}@c.us`;
+    const timestamp = done.result.timestamp;
 
     res.json({ ok: true, id: messageId, chatId, timestamp });
   } catch (e) {
-    console.error('text error:', e);
+    log.error('error enviando texto', { sessionId: req.params.id, err: e });
     res.status(400).json({ ok: false, error: e.message });
   }
 });
 
 // ----- Enviar MEDIA (imagen / video / doc / audio / PTT) -----
-app.post('/api/sessions/:id/media', upload.single('file'), async (req, res) => {
+const truthy = (v) => v === true || v === 'true' || v === '1' || v === 1;
+
+/**
+ * Resuelve el adjunto: multipart `file`, `url` remota o `mediaKey` (upload guardado).
+ * Devuelve { buffer, mime, fileName } | null si no vino ninguno.
+ */
+async function resolveMediaSource(req) {
+  const { url, mediaKey, fileName, mimetype } = req.body || {};
+  if (req.file) {
+    return { buffer: req.file.buffer, mime: req.file.mimetype, fileName: req.file.originalname || 'file' };
+  }
+  if (mediaKey) {
+    if (mediaKeySession(String(mediaKey)) !== req.params.id) throw new Error('forbidden_media_key');
+    const m = await readMedia(String(mediaKey));
+    if (!m) throw new Error('media_not_found');
+    return { buffer: m.buffer, mime: mimetype || m.mime, fileName: fileName || m.name };
+  }
+  if (url) {
+    const m = await fetchRemoteMedia(url);
+    return { buffer: m.buffer, mime: mimetype || m.mime, fileName: fileName || m.name };
+  }
+  return null;
+}
+
+// Sube un adjunto para enviarlo después por `mediaKey`
+app.post('/api/sessions/:id/uploads', requireScope('messages:send'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ ok: false, error: 'missing_file' });
+    let type = req.file.mimetype;
+    if (!type || type === 'application/octet-stream') type = mime.getType(req.file.originalname || '') || type;
+    const saved = await storeMedia(req.params.id, req.file.buffer, type || 'application/octet-stream');
+    res.status(201).json({ ok: true, data: { ...saved, fileName: req.file.originalname || saved.name } });
+  } catch (e) {
+    log.error('error subiendo archivo', { sessionId: req.params.id, err: e });
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// multipart (file) o JSON { to, url | mediaKey, fileName?, mimetype?, caption?, asVoice?, sendAt? }
+app.post('/api/sessions/:id/media', audited('message.send', (req, body) => ({
+  target: req.body?.to ?? null,
+  details: {
+    kind: 'media',
+    fileName: body?.fileName ?? req.file?.originalname ?? req.body?.fileName ?? null,
+    mime: body?.mime ?? req.file?.mimetype ?? null,
+    url: req.body?.url ?? null,
+    mediaKey: req.body?.mediaKey ?? null,
+    caption: clip(req.body?.caption),
+    ...sendResult(body),
+  },
+})), requireScope('messages:send'), upload.single('file'), validateBody('MediaMessage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { to, asVoice, caption } = req.body || {};
-    if (!to || !req.file) {
-      return res.status(400).json({ ok: false, error: 'missing_to_or_file' });
+    const { to, asVoice, caption, sendAt, agent } = req.body;
+    if (!sessionExists(id)) {
+      return res.status(404).json({ ok: false, error: 'session_not_found' });
+    }
+    if (!claimReply(req, res, to, agent)) return;
+    const source = await resolveMediaSource(req);
+    if (!source) {
+      return res.status(400).json({ ok: false, error: 'missing_media' }); // file, url o mediaKey
     }
+    // nota de voz desde MP3/M4A/WAV/WebM -> OGG/Opus; imagen/video grandes -> recomprimidos
+    const media = await prepareMedia({ ...source, asVoice: truthy(asVoice) });
 
-    const out = await sendMedia(
-      id,
+    const { job, done } = await enqueueAndWait(id, {
+      kind: 'media',
       to,
-      req.file.buffer,
-      req.file.mimetype,
-      req.file.originalname || 'file',
-      { asVoice: !!asVoice, caption: caption || '' }
-    );
+      buffer: media.buffer,
+      mime: media.mime,
+      fileName: media.fileName,
+      opts: { asVoice: truthy(asVoice), caption: caption || '' },
+      sendAt,
+      meta: actorMeta(req),
+    });
+    if (!done) return res.status(202).json({ ok: true, queued: true, job, transcoded: media.transcoded });
+    if (done.status !== 'sent') {
+      return res.status(400).json({ ok: false, error: done.lastError || done.status, job: done });
+    }
 
-    const messageId = out?.id?._serialized || null;
-    const chatId    = out?.from || `${String(to).replace(/\D/g, '')}@c.us`;
-    const timestamp = out?.timestamp ? out.timestamp * 1000 : Date.now();
+    const messageId = done.result.id_msg;
+    const chatId    = done.result.chatId || `${String(to).replace(/\D/g, '')}@c.us`;
+    const timestamp = done.result.timestamp;
 
     res.json({
       ok: true,
       id: messageId,
       chatId,
-      mime: req.file.mimetype,
-      fileName: req.file.originalname || 'file',
+      mime: media.mime,
+      fileName: media.fileName,
+      transcoded: media.transcoded,
       timestamp,
     });
   } catch (e) {
-    console.error('media error', e);
+    log.error('error enviando media', { sessionId: req.params.id, err: e.message });
+    const code = e.message === 'forbidden_media_key' || e.message === 'media_url_forbidden' ? 403
+      : e.message === 'media_not_found' ? 404 : 400;
+    res.status(code).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Envío generalizado: text (reply / menciones), reaction, location, contact, poll, edit -----
+app.post('/api/sessions/:id/send', audited('message.send', (req, body) => ({
+  target: req.body?.to ?? null,
+  details: {
+    kind: req.body?.type || 'text',
+    text: clip(req.body?.text ?? req.body?.question ?? req.body?.emoji),
+    messageId: req.body?.messageId ?? null,
+    ...sendResult(body),
+  },
+})), requireScope('messages:send'), validateBody('RichMessage'), async (req, res) => {
+  try {
+    const { sendAt, agent, ...rich } = req.body;
+    if (!sessionExists(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'session_not_found' });
+    }
+    if (!claimReply(req, res, rich.to, agent)) return;
+    const { job, done } = await enqueueAndWait(req.params.id, { kind: 'rich', rich, sendAt, meta: actorMeta(req) });
+    if (!done) return res.status(202).json({ ok: true, queued: true, job });
+    if (done.status !== 'sent') {
+      return res.status(400).json({ ok: false, error: done.lastError || done.status, job: done });
+    }
+    res.json({
+      ok: true,
+      type: job.rich.type,
+      id: done.result.id_msg,
+      chatId: done.result.chatId,
+      timestamp: done.result.timestamp,
+    });
+  } catch (e) {
+    log.error('error enviando mensaje', { sessionId: req.params.id, err: e.message });
     res.status(400).json({ ok: false, error: e.message });
   }
 });
 
-// ----- “Eliminar para todos” (revoke) -----
-app.post('/api/sessions/:id/messages/revoke', async (req, res) => {
+// ----- Cola de envío (listar / cancelar / límites) -----
+app.get('/api/sessions/:id/queue', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: listJobs(req.params.id, { status: req.query.status }) });
+});
+
+app.get('/api/sessions/:id/queue/config', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: getLimits(req.params.id) });
+});
+
+app.put('/api/sessions/:id/queue/config', requireScope('sessions:manage'), validateBody('QueueConfig'), (req, res) => {
+  try {
+    res.json({ ok: true, data: setLimits(req.params.id, req.body) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/sessions/:id/queue/:jobId', requireScope('sessions:read'), (req, res) => {
+  const job = getJob(req.params.id, req.params.jobId);
+  if (!job) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, data: job });
+});
+
+app.delete('/api/sessions/:id/queue/:jobId', requireScope('messages:send'), (req, res) => {
   try {
-    const { chatId, messageId } = req.body || {};
-    if (!chatId || !messageId) {
-      return res.status(400).json({ ok: false, error: 'chatId and messageId required' });
+    res.json({ ok: true, data: cancelJob(req.params.id, req.params.jobId) });
+  } catch (e) {
+    res.status(e.message === 'job_not_found' ? 404 : 409).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Campañas (broadcast) -----
+const campaignUpload = upload.fields([
+  { name: 'recipients', maxCount: 1 }, // CSV con columna to/phone/telefono + variables
+  { name: 'media', maxCount: 1 },
+]);
+
+app.get('/api/sessions/:id/campaigns', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: listCampaigns(req.params.id) });
+});
+
+app.post('/api/sessions/:id/campaigns', audited('campaign.create', (req, body) => ({
+  details: { campaignId: body?.data?.id ?? null, name: req.body?.name ?? null, template: clip(req.body?.template), total: body?.data?.progress?.total ?? null },
+})), requireScope('messages:send'), campaignUpload, validateBody('CampaignCreate'), (req, res) => {
+  try {
+    if (!sessionExists(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'session_not_found' });
     }
+    const csvFile = req.files?.recipients?.[0];
+    const mediaFile = req.files?.media?.[0];
+    const { name, template, recipients, delayMs } = req.body;
+    const c = createCampaign(req.params.id, {
+      name,
+      template,
+      delayMs,
+      recipients,
+      recipientsCsv: csvFile ? csvFile.buffer.toString('utf8') : null,
+      media: mediaFile
+        ? { buffer: mediaFile.buffer, mime: mediaFile.mimetype, fileName: mediaFile.originalname || 'file' }
+        : null,
+    });
+    res.status(201).json({ ok: true, data: c });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/sessions/:id/campaigns/:campaignId', requireScope('sessions:read'), (req, res) => {
+  const c = getCampaign(req.params.id, req.params.campaignId);
+  if (!c) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, data: c });
+});
+
+app.get('/api/sessions/:id/campaigns/:campaignId/report.csv', requireScope('sessions:read'), (req, res) => {
+  try {
+    const csv = campaignReportCsv(req.params.id, req.params.campaignId);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="campaign-${req.params.campaignId}.csv"`);
+    res.send(csv);
+  } catch (e) {
+    res.status(404).json({ ok: false, error: e.message });
+  }
+});
+
+for (const [action, fn] of [['pause', pauseCampaign], ['resume', resumeCampaign], ['cancel', cancelCampaign]]) {
+  app.post(`/api/sessions/:id/campaigns/:campaignId/${action}`, audited(`campaign.${action}`, (req) => ({
+    details: { campaignId: req.params.campaignId },
+  })), requireScope('messages:send'), (req, res) => {
+    try {
+      res.json({ ok: true, data: fn(req.params.id, req.params.campaignId) });
+    } catch (e) {
+      res.status(e.message === 'campaign_not_found' ? 404 : 409).json({ ok: false, error: e.message });
+    }
+  });
+}
+
+// ----- “Eliminar para todos” (revoke) -----
+app.post('/api/sessions/:id/messages/revoke', audited('message.revoke', (req) => ({
+  target: req.body?.chatId ?? null,
+  details: { messageId: req.body?.messageId ?? null },
+})), requireScope('messages:send'), validateBody('RevokeMessage'), async (req, res) => {
+  try {
+    const { chatId, messageId } = req.body;
     const out = await revokeMessage(req.params.id, chatId, messageId);
     res.json({ ok: true, ...out });
   } catch (e) {
-    console.error('revoke error', e);
+    log.error('error revocando mensaje', { sessionId: req.params.id, messageId: req.params.messageId, err: e });
     res.status(500).json({ ok: false, error: e.message || String(e) });
   }
 });
 
+// ----- Rutas que operan sobre el cliente de WhatsApp (grupos, contactos) -----
+/** status HTTP según el código de error */
+const waErrorCode = (msg = '') => {
+  if (/^(session|group)_not_found$/.test(msg)) return 404;
+  if (['session_not_ready', 'already_linked', 'sync_already_running', 'sync_not_running'].includes(msg)) return 409;
+  if (/^(missing_|invalid_|too_many_)/.test(msg)) return 400;
+  return 500;
+};
+const waRoute = (fn) => async (req, res) => {
+  try {
+    res.json({ ok: true, data: await fn(req) });
+  } catch (e) {
+    const code = waErrorCode(e.message);
+    if (code === 500) log.error('error en ruta', { method: req.method, path: req.path, sessionId: req.params.id, err: e });
+    res.status(code).json({ ok: false, error: e.message });
+  }
+};
+
+// ----- Vinculación con código (alternativa al QR) -----
+// body: { phoneNumber } (opcional si ya se pidió antes); el código llega en la respuesta y por 'pairing_code'
+app.post(
+  '/api/sessions/:id/pairing-code',
+  requireScope('sessions:manage'),
+  validateBody('PairingCodeRequest'),
+  waRoute(async (req) => {
+    if (!sessionExists(req.params.id)) throw new Error('session_not_found');
+    return requestPairingCode(req.params.id, req.body.phoneNumber);
+  })
+);
+
+// ----- Backfill de historial al CRM -----
+// body: { limit?, since? (ms | ISO), days? }; progreso por socket (sync_progress / sync_finished)
+app.post('/api/sessions/:id/sync', requireScope('sessions:manage'), validateBody('SyncStart'),
+  waRoute((req) => startSync(req.params.id, req.body)));
+
+app.get('/api/sessions/:id/sync', requireScope('sessions:read'),
+  waRoute((req) => getSyncState(req.params.id)));
+
+app.delete('/api/sessions/:id/sync', requireScope('sessions:manage'),
+  waRoute((req) => cancelSync(req.params.id)));
+
+// ----- Grupos -----
+
+app.get('/api/sessions/:id/groups', requireScope('sessions:read'),
+  waRoute((req) => listGroups(req.params.id)));
+
+app.post('/api/sessions/:id/groups', requireScope('sessions:manage'), validateBody('GroupCreate'),
+  waRoute((req) => createGroup(req.params.id, req.body)));
+
+app.get('/api/sessions/:id/groups/:groupId', requireScope('sessions:read'),
+  waRoute((req) => getGroup(req.params.id, req.params.groupId)));
+
+// { subject?, description? }
+app.patch('/api/sessions/:id/groups/:groupId', requireScope('sessions:manage'), validateBody('GroupUpdate'),
+  waRoute((req) => updateGroup(req.params.id, req.params.groupId, req.body)));
+
+// add | remove | promote | demote  -> { participants: ['549...', ...] }
+for (const action of Object.keys(PARTICIPANT_ACTIONS)) {
+  app.post(`/api/sessions/:id/groups/:groupId/participants/${action}`, requireScope('sessions:manage'),
+    validateBody('GroupParticipants'),
+    waRoute((req) => updateParticipants(req.params.id, req.params.groupId, action, req.body.participants)));
+}
+
+app.get('/api/sessions/:id/groups/:groupId/invite', requireScope('sessions:manage'),
+  waRoute((req) => getInviteLink(req.params.id, req.params.groupId)));
+
+app.delete('/api/sessions/:id/groups/:groupId/invite', requireScope('sessions:manage'),
+  waRoute((req) => revokeInviteLink(req.params.id, req.params.groupId)));
+
+// ----- Contactos -----
+// { numbers: [...], country?: 'AR' | '54', refresh? } -> [{ input, e164, valid, exists, wa_id, cached }]
+app.post('/api/sessions/:id/contacts/check', requireScope('messages:send'), validateBody('ContactsCheck'),
+  waRoute((req) => {
+    const { numbers, country, refresh } = req.body;
+    return checkNumbers(req.params.id, numbers, { country, refresh: !!refresh });
+  }));
+
+app.get('/api/sessions/:id/contacts', requireScope('sessions:read'),
+  waRoute((req) => listContacts(req.params.id, { q: req.query.q, limit: req.query.limit })));
+
+app.get('/api/sessions/:id/contacts/blocked', requireScope('sessions:read'),
+  waRoute((req) => listBlocked(req.params.id)));
+
+app.get('/api/sessions/:id/contacts/:contactId', requireScope('sessions:read'),
+  waRoute((req) => getProfile(req.params.id, req.params.contactId, { refresh: req.query.refresh === '1' })));
+
+for (const [action, blocked] of [['block', true], ['unblock', false]]) {
+  app.post(`/api/sessions/:id/contacts/:contactId/${action}`, requireScope('sessions:manage'),
+    waRoute((req) => setBlocked(req.params.id, req.params.contactId, blocked)));
+}
+
+// ----- Reglas / auto-respuestas -----
+// forbidden_action_*: destino (sesión, media, URL) fuera del alcance de la key o de la red pública
+const ruleErrorStatus = (e) =>
+  e.message === 'rule_not_found' ? 404 : e.message.startsWith('forbidden_') ? 403 : 400;
+
+app.get('/api/sessions/:id/rules', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: listRules(req.params.id) });
+});
+
+app.post('/api/sessions/:id/rules', requireScope('sessions:manage'), validateBody('RuleCreate'), async (req, res) => {
+  try {
+    res.status(201).json({ ok: true, data: await createRule(req.params.id, req.body, req.apiKey) });
+  } catch (e) {
+    res.status(ruleErrorStatus(e)).json({ ok: false, error: e.message });
+  }
+});
+
+// simulación: { body, from, type, at, isGroup } -> reglas que aplicarían
+app.post('/api/sessions/:id/rules/test', requireScope('sessions:read'), validateBody('RuleTest'), (req, res) => {
+  try {
+    res.json({ ok: true, data: testRules(req.params.id, req.body) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/sessions/:id/rules/:ruleId', requireScope('sessions:read'), (req, res) => {
+  const r = getRule(req.params.id, req.params.ruleId);
+  if (!r) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, data: r });
+});
+
+app.patch('/api/sessions/:id/rules/:ruleId', requireScope('sessions:manage'), validateBody('RuleUpdate'), async (req, res) => {
+  try {
+    res.json({ ok: true, data: await updateRule(req.params.id, req.params.ruleId, req.body, req.apiKey) });
+  } catch (e) {
+    res.status(ruleErrorStatus(e)).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/sessions/:id/rules/:ruleId', requireScope('sessions:manage'), (req, res) => {
+  if (!deleteRule(req.params.id, req.params.ruleId)) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  res.json({ ok: true });
+});
+
+// ----- Historial local (chats / mensajes / búsqueda) -----
+/** renueva la URL firmada de la media guardada (la del store puede haber caducado) */
+const withFreshMedia = (m) =>
+  m.media?.key ? { ...m, media: { ...m.media, url: signedMediaUrl(m.media.key) } } : m;
+
+app.get('/api/sessions/:id/chats', requireScope('sessions:read'), (req, res) => {
+  const data = listChats(req.params.id).map((c) => ({ ...c, tags: getChatTags(req.params.id, c.chatId) }));
+  res.json({ ok: true, data });
+});
+
+// ----- Bandeja de agentes (no leídos / asignación) -----
+app.get('/api/sessions/:id/inbox', requireScope('sessions:read'), (req, res) => {
+  const { assignee, unread } = req.query;
+  res.json({ ok: true, data: listInbox(req.params.id, { assignee, unread: unread === '1' || unread === 'true' }) });
+});
+
+app.post('/api/sessions/:id/chats/:chatId/read', requireScope('messages:send'),
+  waRoute((req) => markChatRead(req.params.id, req.params.chatId)));
+
+app.get('/api/sessions/:id/chats/:chatId/assignment', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: getAssignment(req.params.id, req.params.chatId) });
+});
+
+// { agent, force? }
+for (const [action, fn, schema] of [['assign', assignChat, 'ChatAssign'], ['release', releaseChat, 'ChatRelease']]) {
+  app.post(`/api/sessions/:id/chats/:chatId/${action}`, requireScope('messages:send'), validateBody(schema), (req, res) => {
+    try {
+      const { agent, force } = req.body;
+      res.json({ ok: true, data: fn(req.params.id, req.params.chatId, agent, { force: !!force }) });
+    } catch (e) {
+      res.status(/^chat_assigned/.test(e.message) ? 409 : 400).json({ ok: false, error: e.message });
+    }
+  });
+}
+
+app.get('/api/sessions/:id/chats/:chatId/tags', requireScope('sessions:read'), (req, res) => {
+  res.json({ ok: true, data: getChatTags(req.params.id, req.params.chatId) });
+});
+
+app.put('/api/sessions/:id/chats/:chatId/tags', requireScope('messages:send'), validateBody('ChatTags'), (req, res) => {
+  try {
+    res.json({ ok: true, data: setChatTags(req.params.id, req.params.chatId, req.body.tags) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/sessions/:id/chats/:chatId/messages', requireScope('sessions:read'), (req, res) => {
+  const { before, after, limit } = req.query;
+  const page = getChatMessages(req.params.id, req.params.chatId, { before, after, limit });
+  res.json({ ok: true, data: page.data.map(withFreshMedia), nextCursor: page.nextCursor });
+});
+
+app.get('/api/sessions/:id/messages/search', requireScope('sessions:read'), (req, res) => {
+  const { q, chatId, limit } = req.query;
+  if (!q) return res.status(400).json({ ok: false, error: 'missing_query' });
+  const data = searchMessages(req.params.id, String(q), { chatId, limit }).map(withFreshMedia);
+  res.json({ ok: true, data });
+});
+
+app.get('/api/sessions/:id/messages/:messageId/status', requireScope('sessions:read'), (req, res) => {
+  const st = getMessageStatus(req.params.id, req.params.messageId);
+  if (!st) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, data: st });
+});
+
+// ----- Media (URL firmada / retención) -----
+app.get('/api/media/url', requireScope('sessions:read'), (req, res) => {
+  try {
+    const { key, ttl } = req.query;
+    if (!key) return res.status(400).json({ ok: false, error: 'missing_key' });
+    if (!canAccessSession(req.apiKey, mediaKeySession(String(key)))) {
+      return res.status(403).json({ ok: false, error: 'forbidden_session' });
+    }
+    res.json({ ok: true, url: signedMediaUrl(String(key), ttl ? Number(ttl) : undefined) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/media/stats', requireScope('admin'), async (_req, res) => {
+  try {
+    res.json({ ok: true, data: await mediaStats() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/api/media/prune', requireScope('admin'), async (_req, res) => {
+  try {
+    res.json({ ok: true, data: await pruneMedia() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- API keys -----
+app.get('/api/keys', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, data: listApiKeys(), scopes: SCOPES });
+});
+
+const keyAudit = (req, body) => ({
+  target: req.params.keyId ?? body?.data?.id ?? null,
+  details: bodyFields(req, ['name', 'scopes', 'sessions']),
+});
+
+app.post('/api/keys', audited('apikey.create', keyAudit), requireScope('admin'), validateBody('ApiKeyCreate'), (req, res) => {
+  try {
+    res.status(201).json({ ok: true, data: createApiKey(req.body) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.patch('/api/keys/:keyId', audited('apikey.update', keyAudit), requireScope('admin'), validateBody('ApiKeyUpdate'), (req, res) => {
+  try {
+    res.json({ ok: true, data: updateApiKey(req.params.keyId, req.body) });
+  } catch (e) {
+    res.status(e.message === 'key_not_found' ? 404 : 400).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/keys/:keyId', audited('apikey.delete', keyAudit), requireScope('admin'), (req, res) => {
+  if (!deleteApiKey(req.params.keyId)) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  res.json({ ok: true });
+});
+
+// ----- Suscripciones de webhooks -----
+app.get('/api/webhooks', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, data: listWebhooks() });
+});
+
+app.get('/api/webhooks/events', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, data: WEBHOOK_EVENTS });
+});
+
+const webhookAudit = (req, body) => ({
+  target: req.params.webhookId ?? body?.data?.id ?? null,
+  details: bodyFields(req, ['url', 'events', 'sessions', 'enabled', 'description']), // el secret no
+});
+
+app.post('/api/webhooks', audited('webhook.create', webhookAudit), requireScope('admin'), validateBody('WebhookCreate'), (req, res) => {
+  try {
+    res.status(201).json({ ok: true, data: createWebhook(req.body) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/webhooks/:webhookId', requireScope('admin'), (req, res) => {
+  const w = getWebhook(req.params.webhookId);
+  if (!w) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, data: w });
+});
+
+app.patch('/api/webhooks/:webhookId', audited('webhook.update', webhookAudit), requireScope('admin'), validateBody('WebhookUpdate'), (req, res) => {
+  try {
+    res.json({ ok: true, data: updateWebhook(req.params.webhookId, req.body) });
+  } catch (e) {
+    res.status(e.message === 'webhook_not_found' ? 404 : 400).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', audited('webhook.delete', webhookAudit), requireScope('admin'), (req, res) => {
+  if (!deleteWebhook(req.params.webhookId)) {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
+  res.json({ ok: true });
+});
+
+// ----- Conectores de CRM -----
+const connectorError = (e) => (e.message === 'connector_not_found' ? 404 : e.message === 'connector_read_only' ? 409 : 400);
+
+app.get('/api/connectors', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, data: listConnectors() });
+});
+
+const connectorAudit = (req, body) => ({
+  target: req.params.connectorId ?? body?.data?.id ?? null,
+  details: bodyFields(req, ['type', 'name', 'enabled', 'url', 'path', 'events']), // sin auth / tokens
+});
+
+app.post('/api/connectors', audited('connector.create', connectorAudit), requireScope('admin'), validateBody('ConnectorCreate'), (req, res) => {
+  try {
+    res.status(201).json({ ok: true, data: createConnector(req.body) });
+  } catch (e) {
+    res.status(e.message === 'connector_exists' ? 409 : 400).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/connectors/:connectorId', requireScope('admin'), (req, res) => {
+  const c = getConnector(req.params.connectorId);
+  if (!c) return res.status(404).json({ ok: false, error: 'not_found' });
+  res.json({ ok: true, data: c });
+});
+
+app.patch('/api/connectors/:connectorId', audited('connector.update', connectorAudit), requireScope('admin'), validateBody('ConnectorUpdate'), (req, res) => {
+  try {
+    res.json({ ok: true, data: updateConnector(req.params.connectorId, req.body) });
+  } catch (e) {
+    res.status(connectorError(e)).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/connectors/:connectorId', audited('connector.delete', connectorAudit), requireScope('admin'), (req, res) => {
+  try {
+    if (!deleteConnector(req.params.connectorId)) return res.status(404).json({ ok: false, error: 'not_found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(connectorError(e)).json({ ok: false, error: e.message });
+  }
+});
+
+// { event?, payload?, deliver?, inbound? } -> request armado (+ respuesta del CRM con deliver=true)
+app.post('/api/connectors/:connectorId/test', requireScope('admin'), validateBody('ConnectorTest'), async (req, res) => {
+  try {
+    const { event, payload, deliver, inbound, sessionId } = req.body;
+    const data = await testConnector(req.params.connectorId, { event, payload, deliver: !!deliver, inbound, sessionId });
+    res.json({ ok: true, data });
+  } catch (e) {
+    res.status(connectorError(e)).json({ ok: false, error: e.message });
+  }
+});
+
+// Callback del CRM (respuestas): sin API key, con el inboundToken del conector.
+// El body se traduce con mapping.inbound; la sesión tiene que usar este conector.
+app.post('/api/crm/:connectorId/inbound', audited('message.send', (req, body) => ({
+  actor: `connector:${req.params.connectorId}`,
+  actorName: null,
+  sessionId: req.body?.session_id ?? req.query.session ?? null,
+  details: { kind: 'crm_inbound', jobId: body?.data?.jobId ?? null },
+})), async (req, res) => {
+  let conn;
+  try {
+    conn = checkInboundToken(req.params.connectorId, req.headers);
+  } catch (e) {
+    const code = e.message === 'connector_not_found' ? 404 : 401;
+    return res.status(code).json({ ok: false, error: e.message });
+  }
+  try {
+    const msg = parseInbound(conn, req.body || {});
+    const sessionId = msg.session || req.query.session;
+    if (!sessionId) return res.status(400).json({ ok: false, error: 'missing_session' });
+    if (!sessionExists(sessionId)) return res.status(404).json({ ok: false, error: 'session_not_found' });
+    if (!sessionUsesConnector(sessionId, conn.id)) {
+      return res.status(403).json({ ok: false, error: 'forbidden_session' });
+    }
+    if (await forwardToOwner(req, res, sessionId, req.body)) return;
+
+    let job;
+    if (msg.mediaUrl) {
+      const m = await fetchRemoteMedia(msg.mediaUrl);
+      const media = await prepareMedia({ buffer: m.buffer, mime: m.mime, fileName: msg.fileName || m.name });
+      job = enqueueSend(sessionId, {
+        kind: 'media',
+        to: msg.to,
+        buffer: media.buffer,
+        mime: media.mime,
+        fileName: media.fileName,
+        opts: { caption: msg.caption || msg.text || undefined },
+        meta: { connector: conn.id, actor: `connector:${conn.id}` },
+      });
+    } else {
+      job = enqueueSend(sessionId, {
+        kind: 'text',
+        to: msg.to,
+        text: msg.text,
+        meta: { connector: conn.id, actor: `connector:${conn.id}` },
+      });
+    }
+    res.status(202).json({ ok: true, data: { jobId: job.id, status: job.status } });
+  } catch (e) {
+    const code = /^(missing_|invalid_|media_)/.test(e.message) ? 400 : 500;
+    if (code === 500) log.error('error en callback de CRM', { connector: conn.id, err: e });
+    res.status(code).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Auditoría -----
+// ?from&to (ms | ISO)&action (o prefijo 'session.')&actor&sessionId&target&outcome&ip&limit&format=csv
+app.get('/api/audit', requireScope('admin'), (req, res) => {
+  try {
+    const entries = queryAudit(req.query);
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(auditCsv(entries));
+    }
+    res.json({ ok: true, data: entries, retention: auditRetention() });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Cluster: nodos vivos y sesiones de cada uno -----
+app.get('/api/cluster', requireScope('admin'), async (_req, res) => {
+  try {
+    const nodes = await listNodes();
+    const sessions = (await clusterSessions()).map((s) => ({ ...s, node: s.node ?? (getSession(s.id) ? NODE_ID : null) }));
+    res.json({
+      ok: true,
+      data: {
+        enabled: clusterEnabled(),
+        node: NODE_ID,
+        nodes: nodes.map((n) => ({ ...n, sessionIds: sessions.filter((s) => s.node === n.nodeId).map((s) => s.id) })),
+        unowned: sessions.filter((s) => !s.node && s.desiredState === 'running' && !s.disabled).map((s) => s.id),
+      },
+    });
+  } catch (e) {
+    res.status(503).json({ ok: false, error: 'cluster_unavailable' });
+  }
+});
+
+// ----- Outbox de webhooks (pendientes / dead-letter) -----
+app.get('/api/outbox', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, data: listPending() });
+});
+
+app.get('/api/outbox/dead', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, data: listDead() });
+});
+
+app.post('/api/outbox/dead/replay', requireScope('admin'), (_req, res) => {
+  res.json({ ok: true, replayed: replayAllDead() });
+});
+
+// deliveryId con formato ajeno (p.ej. '../apikeys') -> 400 antes de tocar disco
+const outboxErrorStatus = (e) => (e.message === 'invalid_delivery_id' ? 400 : 404);
+
+app.get('/api/outbox/:deliveryId', requireScope('admin'), (req, res) => {
+  try {
+    const d = getDelivery(req.params.deliveryId);
+    if (!d) return res.status(404).json({ ok: false, error: 'not_found' });
+    res.json({ ok: true, data: d });
+  } catch (e) {
+    res.status(outboxErrorStatus(e)).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/api/outbox/dead/:deliveryId/replay', requireScope('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, data: replayDead(req.params.deliveryId) });
+  } catch (e) {
+    res.status(outboxErrorStatus(e)).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/outbox/dead/:deliveryId', requireScope('admin'), (req, res) => {
+  try {
+    if (!deleteDead(req.params.deliveryId)) {
+      return res.status(404).json({ ok: false, error: 'not_found' });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(outboxErrorStatus(e)).json({ ok: false, error: e.message });
+  }
+});
+
 // ---------- HTTP + Socket.io ----------
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*' } });
+const io = new Server(server, { cors: { origin: corsOrigin } });
+attachSocketAdapter(io);
+io.use(socketAuth);
+
+// Sala para sockets cuya key ve todas las sesiones
+const ALL_ROOM = '__all__';
 
-// Bridge global bus -> io (registrado UNA sola vez)
+// Bridge global bus -> io (registrado UNA sola vez). Payloads: EVENT_SCHEMAS en schemas.js;
+// 'message' viaja en el bus con el Message de whatsapp-web.js y al socket va `data` (= webhook)
+const SOCKET_VIEWS = { message: ({ data }) => data };
 const forward = (ev) => (payload) => {
   const { id } = payload || {};
-  if (id) io.to(id).emit(ev, payload);
-  io.emit(ev, payload);
+  io.to(id ? [id, ALL_ROOM] : ALL_ROOM).emit(ev, SOCKET_VIEWS[ev] ? SOCKET_VIEWS[ev](payload) : payload);
 };
-for (const ev of ['qr', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'message']) {
+for (const ev of [
+  'qr', 'pairing_code', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'message', 'message_ack',
+  'message_sent', 'message_revoked', 'message_edited', 'call', 'sync_progress', 'sync_finished',
+  'reconnecting', 'session_stopped', 'session_deleted', 'session_imported', 'campaign_progress', 'campaign_finished',
+  'group_join', 'group_leave', 'group_update', 'rule_matched',
+  'chat_assigned', 'chat_released', 'chat_read',
+]) {
   bus.on(ev, forward(ev));
 }
 
-// Por conexión: solo gestionar salas y estado inicial
+// Por conexión: solo gestionar salas y estado inicial (filtrado por la key)
 io.on('connection', (socket) => {
-  socket.emit('sessions', listSessions());
-  socket.on('join', (sessionId) => socket.join(sessionId));
+  const key = socket.data.apiKey;
+  if (isUnrestricted(key)) socket.join(ALL_ROOM);
+  clusterSessions()
+    .then((list) => socket.emit('sessions', list.filter((s) => canAccessSession(key, s.id))))
+    .catch(() => {});
+  socket.on('join', (sessionId) => {
+    if (!canAccessSession(key, sessionId)) {
+      socket.emit('join_error', { id: sessionId, error: 'forbidden_session' });
+      return;
+    }
+    socket.join(sessionId);
+  });
 });
 
-// Restaurar sesiones guardadas al arrancar
-restoreAllSessions()
-  .then((ids) => console.log('Sesiones restauradas:', ids))
-  .catch((e) => console.error('Restore error:', e));
+if (!authEnabled()) {
+  log.warn('sin API keys configuradas (ADMIN_API_KEY): la API está abierta');
+}
+
+// Restaurar sesiones guardadas al arrancar (en cluster: las que este nodo consiga tomar)
+(clusterEnabled() ? startCluster() : restoreAllSessions())
+  .then((ids) => log.info('sesiones restauradas', { node: NODE_ID, sessions: ids }))
+  .catch((e) => log.error('error restaurando sesiones', { err: e }));
 
 // (Opcional) Precalentar una sesión
 const autoId = process.env.AUTO_SESSION_ID;
 if (autoId) {
   createSession(autoId)
-    .then(() => console.log(`Auto session inicializada: ${autoId}`))
-    .catch((e) => console.error('Auto session error:', e.message));
+    .then(() => log.info('auto session inicializada', { sessionId: autoId }))
+    .catch((e) => log.error('error en auto session', { sessionId: autoId, err: e.message }));
 }
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log('WA Connections listening on :' + PORT);
+  log.info('WA Connections escuchando', { port: Number(PORT) });
 });
@@ -0,0 +1,173 @@
+// src/supervisor.js
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { bus, getSession, reconnect } from './connections.js';
+import { shouldRun } from './registry.js';
+import { fireWebhook } from './webhooks.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Supervisor de sesiones
+   - relanza sesiones caídas (disconnected / fallo al iniciar) con backoff exponencial
+   - sondea getState() de las sesiones 'ready' para detectar Chromium colgado
+   - guarda historial de reinicios en data/supervisor.json
+=========================== */
+const log = logger.child({ component: 'supervisor' });
+const BACKOFF_BASE_MS  = Number(process.env.RECONNECT_BASE_MS || 5000);
+const BACKOFF_MAX_MS   = Number(process.env.RECONNECT_MAX_MS || 5 * 60_000);
+const PROBE_EVERY_MS   = Number(process.env.HEALTH_PROBE_MS || 60_000);
+const PROBE_TIMEOUT_MS = Number(process.env.HEALTH_PROBE_TIMEOUT_MS || 10_000);
+const PROBE_MAX_FAILS  = Number(process.env.HEALTH_PROBE_MAX_FAILS || 2);
+const HISTORY_MAX = 50;
+
+// motivos de 'disconnected' que NO se relanzan (el teléfono desvinculó la sesión)
+const NO_RESTART_REASONS = ['LOGOUT'];
+
+const HISTORY_FILE = dataPath('supervisor.json');
+const history = readJson(HISTORY_FILE, {}) || {}; // sessionId -> [{ at, reason, attempt, ok, error }]
+
+const state = new Map(); // sessionId -> { attempt, timer, probeFails, restarting }
+
+const stateOf = (id) => {
+  if (!state.has(id)) state.set(id, { attempt: 0, timer: null, probeFails: 0, restarting: false });
+  return state.get(id);
+};
+
+function record(id, entry) {
+  const list = history[id] || [];
+  list.push({ at: Date.now(), ...entry });
+  history[id] = list.slice(-HISTORY_MAX);
+  writeJson(HISTORY_FILE, history);
+}
+
+const backoffMs = (attempt) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+async function restart(id, reason) {
+  const st = stateOf(id);
+  st.timer = null;
+  if (st.restarting) return;
+  if (!shouldRun(id)) return; // se borró / detuvo mientras esperaba
+  st.restarting = true;
+  st.attempt += 1;
+  let failed = false;
+  try {
+    await reconnect(id);
+    record(id, { reason, attempt: st.attempt, ok: true });
+  } catch (e) {
+    // en cluster, si otro nodo tomó la sesión ya no es nuestra: no reintentar
+    failed = e.message !== 'session_owned_elsewhere';
+    record(id, { reason, attempt: st.attempt, ok: false, error: e.message });
+    log.error('reinicio falló', { sessionId: id, attempt: st.attempt, reason, err: e.message });
+  } finally {
+    st.restarting = false;
+  }
+  if (failed && state.get(id) === st) scheduleRestart(id, 'retry');
+}
+
+/** Programa un reinicio con backoff (no duplica si ya hay uno pendiente) */
+function scheduleRestart(id, reason) {
+  const st = stateOf(id);
+  if (st.timer || st.restarting) return;
+  const inMs = backoffMs(st.attempt);
+  st.timer = setTimeout(() => restart(id, reason), inMs);
+  st.timer.unref?.();
+  const payload = { id, reason, attempt: st.attempt + 1, inMs };
+  bus.emit('reconnecting', payload);
+  fireWebhook('reconnecting', payload);
+}
+
+function cancel(id) {
+  const st = state.get(id);
+  if (st?.timer) clearTimeout(st.timer);
+  state.delete(id);
+}
+
+/* ===========================
+   Health probes
+=========================== */
+async function probe(id) {
+  const s = getSession(id);
+  if (!s || s.status !== 'ready') return;
+  const st = stateOf(id);
+  let healthy = false;
+  try {
+    const res = await Promise.race([
+      s.client.getState(),
+      new Promise((_, rej) => setTimeout(() => rej(new Error('probe_timeout')), PROBE_TIMEOUT_MS)),
+    ]);
+    healthy = res === 'CONNECTED';
+    if (!healthy) log.warn('getState() no es CONNECTED', { sessionId: id, state: res });
+  } catch (e) {
+    log.warn('health probe falló', { sessionId: id, err: e.message });
+  }
+  s.lastProbeAt = Date.now();
+  s.healthy = healthy;
+
+  if (healthy) {
+    st.probeFails = 0;
+    return;
+  }
+  st.probeFails += 1;
+  if (st.probeFails >= PROBE_MAX_FAILS) {
+    st.probeFails = 0;
+    s.status = 'unresponsive';
+    scheduleRestart(id, 'health_probe');
+  }
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/** Historial de reinicios + estado actual del supervisor */
+export function getRestartHistory(id) {
+  const st = state.get(id);
+  return {
+    attempt: st?.attempt || 0,
+    pending: !!st?.timer,
+    restarting: !!st?.restarting,
+    history: history[id] || [],
+  };
+}
+
+/** Reconexión manual (conserva credenciales LocalAuth) */
+export async function manualReconnect(id) {
+  cancel(id);
+  stateOf(id).restarting = true;
+  try {
+    const session = await reconnect(id);
+    record(id, { reason: 'manual', attempt: 0, ok: true });
+    return session;
+  } catch (e) {
+    record(id, { reason: 'manual', attempt: 0, ok: false, error: e.message });
+    throw e;
+  } finally {
+    stateOf(id).restarting = false;
+  }
+}
+
+// ===== Enlaces con el bus =====
+bus.on('ready', ({ id }) => {
+  const st = stateOf(id);
+  st.attempt = 0;
+  st.probeFails = 0;
+});
+
+bus.on('disconnected', ({ id, reason }) => {
+  record(id, { reason: `disconnected:${reason}`, attempt: stateOf(id).attempt, ok: false });
+  if (NO_RESTART_REASONS.includes(reason) || !shouldRun(id)) return;
+  scheduleRestart(id, `disconnected:${reason}`);
+});
+
+bus.on('init_failure', ({ id, error }) => {
+  if (stateOf(id).restarting || !shouldRun(id)) return; // restart() ya reprograma
+  record(id, { reason: 'init_failure', attempt: stateOf(id).attempt, ok: false, error });
+  scheduleRestart(id, 'init_failure');
+});
+
+bus.on('session_deleted', ({ id }) => cancel(id));
+bus.on('session_stopped', ({ id }) => cancel(id));
+bus.on('session_released', ({ id }) => cancel(id));
+
+setInterval(() => {
+  for (const [id] of state) probe(id).catch(() => {});
+}, PROBE_EVERY_MS).unref();
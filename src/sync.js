@@ -0,0 +1,204 @@
+// src/sync.js
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { bus, getSession, sessionExists, backfillMessage } from './connections.js';
+import { pendingCount } from './outbox.js';
+import { fireWebhook } from './webhooks.js';
+import { logger } from './logger.js';
+
+/* ===========================
+   Backfill de historial hacia el CRM
+   - al llegar a 'ready' (SYNC_ON_READY=0 lo desactiva) o vía POST /api/sessions/:id/sync
+   - recorre getChats() + fetchMessages() hasta `limit` mensajes por chat y/o desde `since`
+   - primera vez: últimos SYNC_DAYS días; después, incremental desde el último sync
+     (cubre caídas largas: los chats sin actividad posterior se saltean sin pedir mensajes)
+   - lotes de SYNC_BATCH_SIZE con pausa SYNC_BATCH_DELAY_MS; si el outbox tiene más de
+     SYNC_MAX_PENDING entregas pendientes se espera a que baje
+   - idempotente por entrega al CRM (Idempotency-Key crm-history-…; ver backfillMessage en connections.js)
+   - progreso por socket: sync_progress / sync_finished
+   Estado: data/sync/<sessionId>.json
+=========================== */
+const log = logger.child({ component: 'sync' });
+const SYNC_ON_READY = process.env.SYNC_ON_READY !== '0';
+const SYNC_DAYS = Number(process.env.SYNC_DAYS || 30);
+const SYNC_LIMIT = Number(process.env.SYNC_MAX_MESSAGES || 200);     // por chat
+const SYNC_MAX_LIMIT = 5000;
+const BATCH_SIZE = Math.max(1, Number(process.env.SYNC_BATCH_SIZE || 25));
+const BATCH_DELAY_MS = Number(process.env.SYNC_BATCH_DELAY_MS || 2000);
+const MAX_PENDING = Number(process.env.SYNC_MAX_PENDING || 500);
+const OVERLAP_MS = 10 * 60_000; // el incremental arranca un poco antes del último sync
+const BACKPRESSURE_MS = 5000;
+
+const states = new Map(); // sessionId -> estado
+const running = new Set();
+
+const fileOf = (sessionId) => dataPath('sync', `${encodeURIComponent(sessionId)}.json`);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function stateOf(sessionId) {
+  if (!states.has(sessionId)) states.set(sessionId, readJson(fileOf(sessionId), null));
+  return states.get(sessionId);
+}
+
+function save(st) {
+  states.set(st.sessionId, st);
+  writeJson(fileOf(st.sessionId), st);
+}
+
+const publicView = (st) => st && { ...st, running: running.has(st.sessionId) };
+
+function emitProgress(st, extra = {}) {
+  bus.emit('sync_progress', { id: st.sessionId, status: st.status, progress: st.progress, ...extra });
+}
+
+/** { limit, since, days } del body -> opciones normalizadas */
+function normalizeOptions(input = {}, prev = null) {
+  const out = { limit: SYNC_LIMIT, since: null };
+  if (input.limit !== undefined && input.limit !== null) {
+    const n = Number(input.limit);
+    if (!Number.isInteger(n) || n < 1) throw new Error('invalid_limit');
+    out.limit = Math.min(SYNC_MAX_LIMIT, n);
+  }
+  if (input.since !== undefined && input.since !== null) {
+    const t = typeof input.since === 'number' ? input.since : Date.parse(input.since);
+    if (!Number.isFinite(t)) throw new Error('invalid_since');
+    out.since = t;
+  } else if (input.days !== undefined && input.days !== null) {
+    const d = Number(input.days);
+    if (!Number.isFinite(d) || d <= 0) throw new Error('invalid_days');
+    out.since = Date.now() - d * 86400_000;
+  } else if (prev?.lastSyncedAt) {
+    out.since = prev.lastSyncedAt - OVERLAP_MS;
+  } else if (SYNC_DAYS > 0) {
+    out.since = Date.now() - SYNC_DAYS * 86400_000;
+  }
+  return out;
+}
+
+/** la sesión sigue lista (si se cae / se detiene, el sync queda 'interrupted') */
+const isReady = (sessionId) => getSession(sessionId)?.status === 'ready';
+
+async function throttle(st) {
+  while (pendingCount() > MAX_PENDING && !st.cancelRequested && isReady(st.sessionId)) await sleep(BACKPRESSURE_MS);
+  if (BATCH_DELAY_MS) await sleep(BATCH_DELAY_MS);
+}
+
+async function syncChat(st, chat) {
+  const chatId = chat.id?._serialized;
+  const { since, limit } = st.options;
+  const messages = (await chat.fetchMessages({ limit })).filter((m) => !since || (m.timestamp || 0) * 1000 >= since);
+  let batch = 0;
+  for (const m of messages) {
+    if (st.cancelRequested || !isReady(st.sessionId)) return;
+    st.progress.scanned += 1;
+    const r = await backfillMessage(st.sessionId, m).catch((e) => {
+      log.warn('error en backfill de mensaje', { sessionId: st.sessionId, chatId, messageId: m.id?._serialized, err: e.message });
+      return { pushed: false, error: true };
+    });
+    if (r.error) st.progress.failed += 1;
+    else if (r.pushed) st.progress.pushed += 1;
+    else st.progress.skipped += 1;
+    if (r.media === 'stored') st.progress.media += 1;
+    else if (r.media === 'failed') st.progress.mediaFailed += 1;
+
+    if (r.pushed && ++batch >= BATCH_SIZE) {
+      batch = 0;
+      save(st);
+      emitProgress(st, { chatId });
+      await throttle(st);
+    }
+  }
+}
+
+async function run(st) {
+  running.add(st.sessionId);
+  try {
+    const client = getSession(st.sessionId).client;
+    const since = st.options.since;
+    // sin actividad desde `since`: no hace falta pedir mensajes
+    const chats = (await client.getChats()).filter((c) => !since || (c.timestamp || 0) * 1000 >= since);
+    st.progress.chats = chats.length;
+    save(st);
+    emitProgress(st);
+
+    for (const chat of chats) {
+      if (st.cancelRequested || !isReady(st.sessionId)) break;
+      try {
+        await syncChat(st, chat);
+      } catch (e) {
+        st.progress.failed += 1;
+        log.warn('error sincronizando chat', { sessionId: st.sessionId, chatId: chat.id?._serialized, err: e.message });
+      }
+      st.progress.chatsDone += 1;
+      save(st);
+      emitProgress(st, { chatId: chat.id?._serialized });
+    }
+
+    if (st.cancelRequested) st.status = 'cancelled';
+    else if (!isReady(st.sessionId)) st.status = 'interrupted';
+    else {
+      st.status = 'completed';
+      st.lastSyncedAt = st.startedAt;
+    }
+  } catch (e) {
+    st.status = 'failed';
+    st.error = e.message;
+    log.error('sync falló', { sessionId: st.sessionId, err: e.message });
+  } finally {
+    running.delete(st.sessionId);
+    delete st.cancelRequested;
+    st.finishedAt = Date.now();
+    save(st);
+    const payload = { id: st.sessionId, status: st.status, progress: st.progress, error: st.error || null };
+    bus.emit('sync_finished', payload);
+    fireWebhook('sync_finished', payload);
+    log.info('sync terminado', { sessionId: st.sessionId, status: st.status, ...st.progress });
+  }
+}
+
+/* ===========================
+   API pública
+=========================== */
+
+/** Arranca un backfill; opts: { limit, since (ms | ISO), days } */
+export function startSync(sessionId, opts = {}, reason = 'manual') {
+  if (!sessionExists(sessionId)) throw new Error('session_not_found');
+  if (!isReady(sessionId)) throw new Error('session_not_ready');
+  if (running.has(sessionId)) throw new Error('sync_already_running');
+  const prev = stateOf(sessionId);
+  const st = {
+    sessionId,
+    status: 'running',
+    reason,
+    options: normalizeOptions(opts, prev),
+    startedAt: Date.now(),
+    finishedAt: null,
+    lastSyncedAt: prev?.lastSyncedAt ?? null,
+    error: null,
+    progress: { chats: 0, chatsDone: 0, scanned: 0, pushed: 0, skipped: 0, failed: 0, media: 0, mediaFailed: 0 },
+  };
+  save(st);
+  run(st);
+  return publicView(st);
+}
+
+/** Estado del último sync de la sesión (null si nunca corrió) */
+export function getSyncState(sessionId) {
+  if (!sessionExists(sessionId)) throw new Error('session_not_found');
+  return publicView(stateOf(sessionId));
+}
+
+export function cancelSync(sessionId) {
+  const st = stateOf(sessionId);
+  if (!st || !running.has(sessionId)) throw new Error('sync_not_running');
+  st.cancelRequested = true;
+  return publicView(st);
+}
+
+bus.on('ready', ({ id }) => {
+  if (!SYNC_ON_READY || running.has(id)) return;
+  try {
+    startSync(id, {}, 'ready');
+  } catch (e) {
+    log.warn('no se pudo iniciar el sync', { sessionId: id, err: e.message });
+  }
+});
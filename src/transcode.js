@@ -0,0 +1,101 @@
+// src/transcode.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+
+/* ===========================
+   Transcodificación con ffmpeg local (FFMPEG_PATH, default 'ffmpeg')
+   - audio -> OGG/Opus para notas de voz (PTT)
+   - imágenes / videos que superan los límites de WhatsApp -> recomprimidos
+=========================== */
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS || 120_000);
+
+// límites de WhatsApp (aprox.): imagen 5 MB, video 16 MB
+export const IMAGE_MAX_BYTES = Number(process.env.WA_IMAGE_MAX_BYTES || 5 * 1024 * 1024);
+export const VIDEO_MAX_BYTES = Number(process.env.WA_VIDEO_MAX_BYTES || 16 * 1024 * 1024);
+
+const IMAGE_MAX_SIDE = 1600;
+const VOICE_MIMES = /^audio\/(mpeg|mp3|mp4|x-m4a|m4a|aac|wav|x-wav|wave|webm|ogg)/i;
+
+/** ejecuta ffmpeg sobre archivos temporales; devuelve el buffer de salida */
+async function runFfmpeg(input, outExt, args) {
+  const base = path.join(os.tmpdir(), `wa-${crypto.randomBytes(8).toString('hex')}`);
+  const inFile = `${base}.in`;
+  const outFile = `${base}.${outExt}`;
+  fs.writeFileSync(inFile, input);
+  try {
+    await new Promise((resolve, reject) => {
+      const p = spawn(FFMPEG, ['-hide_banner', '-loglevel', 'error', '-y', '-i', inFile, ...args, outFile]);
+      let stderr = '';
+      const t = setTimeout(() => p.kill('SIGKILL'), FFMPEG_TIMEOUT_MS);
+      p.stderr.on('data', (d) => { stderr = (stderr + d).slice(-2000); });
+      p.on('error', (e) => {
+        clearTimeout(t);
+        reject(new Error(e.code === 'ENOENT' ? 'ffmpeg_not_available' : `ffmpeg_error:${e.message}`));
+      });
+      p.on('close', (code, signal) => {
+        clearTimeout(t);
+        if (code === 0) resolve();
+        else reject(new Error(signal ? 'ffmpeg_timeout' : `ffmpeg_failed:${stderr.trim().split('\n').pop() || code}`));
+      });
+    });
+    return fs.readFileSync(outFile);
+  } finally {
+    fs.rmSync(inFile, { force: true });
+    fs.rmSync(outFile, { force: true });
+  }
+}
+
+/** MP3 / M4A / WAV / WebM... -> OGG/Opus mono 48k (formato de nota de voz) */
+export function toOggOpus(buffer) {
+  return runFfmpeg(buffer, 'ogg', ['-vn', '-map_metadata', '-1', '-ac', '1', '-ar', '48000', '-c:a', 'libopus', '-b:a', '32k', '-application', 'voip']);
+}
+
+/** reescala a IMAGE_MAX_SIDE px y recomprime a JPEG */
+export function compressImage(buffer) {
+  return runFfmpeg(buffer, 'jpg', [
+    '-vf', `scale='min(${IMAGE_MAX_SIDE},iw)':'min(${IMAGE_MAX_SIDE},ih)':force_original_aspect_ratio=decrease`,
+    '-q:v', '5',
+  ]);
+}
+
+/** H.264/AAC MP4 a 480p (CRF 28); si aún excede el límite lo decide prepareMedia */
+export function compressVideo(buffer) {
+  return runFfmpeg(buffer, 'mp4', [
+    '-vf', "scale='min(854,iw)':-2",
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '96k',
+    '-movflags', '+faststart',
+  ]);
+}
+
+export const isVoiceConvertible = (m = '') => VOICE_MIMES.test(m);
+
+/**
+ * Ajusta un adjunto antes de enviarlo:
+ *  - asVoice + audio no-OGG -> OGG/Opus
+ *  - imagen > IMAGE_MAX_BYTES -> JPEG reducido
+ *  - video > VIDEO_MAX_BYTES -> MP4 recomprimido
+ * Devuelve { buffer, mime, fileName, transcoded } (el original si no hace falta tocarlo).
+ */
+export async function prepareMedia({ buffer, mime, fileName, asVoice }) {
+  const m = mime || '';
+  const rename = (ext) => `${String(fileName || 'file').replace(/\.[^.]+$/, '')}.${ext}`;
+
+  if (asVoice && m.startsWith('audio/') && !/^audio\/ogg/i.test(m)) {
+    if (!isVoiceConvertible(m)) throw new Error('unsupported_voice_format');
+    return { buffer: await toOggOpus(buffer), mime: 'audio/ogg; codecs=opus', fileName: rename('ogg'), transcoded: 'voice' };
+  }
+  if (m.startsWith('image/') && !/gif|webp/i.test(m) && buffer.length > IMAGE_MAX_BYTES) {
+    return { buffer: await compressImage(buffer), mime: 'image/jpeg', fileName: rename('jpg'), transcoded: 'image' };
+  }
+  if (m.startsWith('video/') && buffer.length > VIDEO_MAX_BYTES) {
+    const out = await compressVideo(buffer);
+    if (out.length > VIDEO_MAX_BYTES) throw new Error('video_too_large');
+    return { buffer: out, mime: 'video/mp4', fileName: rename('mp4'), transcoded: 'video' };
+  }
+  return { buffer, mime: m, fileName, transcoded: null };
+}
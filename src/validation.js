@@ -0,0 +1,151 @@
+// src/validation.js
+import { getSchemas, getSchema } from './schemas.js';
+
+/* ===========================
+   Validación de requests contra los esquemas de schemas.js
+   Subset de JSON Schema: type, enum, const, required, properties, additionalProperties,
+   propertyNames, minProperties, minLength, maxLength, pattern, format (uri), minimum,
+   maximum, exclusiveMinimum, items, minItems, maxItems, $ref y oneOf (+ discriminator)
+   Problema: { path, code, rule }; code = missing_<campo> (falta o vacío) | invalid_<campo>
+   con <campo> en snake_case y sin índices (actions[0].type -> invalid_actions_type);
+   claves no admitidas -> invalid_<objeto>; body sin campos cuando se exige alguno -> missing_fields;
+   'x-error-code' en el esquema de un campo reemplaza invalid_<campo> (códigos ya publicados)
+=========================== */
+const REF_PREFIX = '#/components/schemas/';
+
+const resolve = (schema) => (schema?.$ref ? getSchemas()[schema.$ref.slice(REF_PREFIX.length)] : schema);
+
+const snake = (path) =>
+  path
+    .replace(/\[\d+\]/g, '')
+    .replace(/\./g, '_')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+
+/** `field`: campo del que sale el código (claves sobrantes: el objeto que las contiene) */
+function issue(path, rule, value, field = path) {
+  if (!field) return { path, rule, code: rule === 'minProperties' ? 'missing_fields' : 'invalid_body' };
+  const missing = rule === 'required' || value === '' || (Array.isArray(value) && !value.length);
+  return { path, rule, code: `${missing ? 'missing' : 'invalid'}_${snake(field)}` };
+}
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+function typeMatches(type, v) {
+  switch (type) {
+    case 'null': return v === null;
+    case 'array': return Array.isArray(v);
+    case 'object': return v !== null && typeof v === 'object' && !Array.isArray(v);
+    case 'integer': return Number.isInteger(v);
+    case 'number': return typeof v === 'number' && Number.isFinite(v);
+    default: return typeof v === type;
+  }
+}
+
+function isHttpUrl(v) {
+  try {
+    return /^https?:$/.test(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function check(schema, value, path, out) {
+  schema = resolve(schema);
+  if (!schema) return;
+  if (schema['x-error-code']) {
+    const tmp = [];
+    check({ ...schema, 'x-error-code': undefined }, value, path, tmp);
+    for (const i of tmp) out.push(i.code.startsWith('invalid_') ? { ...i, code: schema['x-error-code'] } : i);
+    return;
+  }
+
+  if (schema.discriminator) {
+    const prop = schema.discriminator.propertyName;
+    const tag = value?.[prop] ?? schema.properties?.[prop]?.default;
+    const target = schema.discriminator.mapping[tag];
+    if (!target) return void out.push(issue(join(path, prop), 'enum'));
+    return check({ $ref: target }, value, path, out);
+  }
+  if (schema.oneOf) {
+    const ok = schema.oneOf.some((s) => {
+      const tmp = [];
+      check(s, value, path, tmp);
+      return !tmp.length;
+    });
+    if (!ok) out.push(issue(path, 'oneOf'));
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(t, value))) return void out.push(issue(path, 'type', value));
+  }
+  if ('const' in schema && value !== schema.const) return void out.push(issue(path, 'const', value));
+  if (schema.enum && !schema.enum.includes(value)) return void out.push(issue(path, 'enum', value));
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return void out.push(issue(path, 'minLength', value));
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return void out.push(issue(path, 'maxLength', value));
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return void out.push(issue(path, 'pattern', value));
+    if (schema.format === 'uri' && !isHttpUrl(value)) return void out.push(issue(path, 'format', value));
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return void out.push(issue(path, 'minimum', value));
+    if (schema.maximum !== undefined && value > schema.maximum) return void out.push(issue(path, 'maximum', value));
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return void out.push(issue(path, 'exclusiveMinimum', value));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return void out.push(issue(path, 'minItems', value));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return void out.push(issue(path, 'maxItems'));
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, `${path}[${i}]`, out));
+  }
+
+  if (typeMatches('object', value)) {
+    const props = schema.properties || {};
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) out.push(issue(join(path, k), 'required'));
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      out.push(issue(path, 'minProperties'));
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (schema.propertyNames?.enum && !schema.propertyNames.enum.includes(k)) {
+        out.push(issue(join(path, k), 'propertyNames', v, path));
+      } else if (props[k]) {
+        check(props[k], v, join(path, k), out);
+      } else if (schema.additionalProperties === false) {
+        out.push(issue(join(path, k), 'additionalProperties', v, path));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, v, join(path, k), out);
+      }
+    }
+  }
+}
+
+/** Problemas de `value` contra el esquema (nombre o esquema); [] si es válido */
+export function validate(schema, value) {
+  const out = [];
+  check(typeof schema === 'string' ? getSchema(schema) : schema, value, '', out);
+  return out;
+}
+
+/**
+ * Middleware: valida req.body contra el esquema `name`; si falla responde
+ * 400 { ok: false, error: <código del primero>, errors: [{ path, code, rule }] }.
+ * Montar después de requireScope y de multer (en multipart el body llega recién ahí).
+ */
+export function validateBody(name) {
+  return (req, res, next) => {
+    const errors = validate(name, req.body ?? {});
+    if (!errors.length) return next();
+    res.status(400).json({ ok: false, error: errors[0].code, errors });
+  };
+}
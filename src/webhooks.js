@@ -1,18 +1,149 @@
 // src/webhooks.js
-import axios from 'axios';
+import crypto from 'crypto';
+import { enqueueDelivery } from './outbox.js';
+import { dataPath, readJson, writeJson } from './jsonstore.js';
+import { logger } from './logger.js';
 
-const WEBHOOK_URL   = process.env.WEBHOOK_URL || '';   // ej: https://tu-dominio.com/api/wa-webhook.php
-const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN || ''; // shared secret para validar en PHP
+const WEBHOOK_URL    = process.env.WEBHOOK_URL || '';   // ej: https://tu-dominio.com/api/wa-webhook.php
+// secreto HMAC para validar en PHP (WEBHOOK_TOKEN se acepta por compatibilidad)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || process.env.WEBHOOK_TOKEN || '';
 
+/** versión de los payloads (body.version); esquemas en schemas.js */
+export const SCHEMA_VERSION = 1;
+
+/** eventos que se pueden suscribir ('*' = todos) */
+export const WEBHOOK_EVENTS = [
+  'qr',
+  'pairing_code',
+  'authenticated',
+  'ready',
+  'auth_failure',
+  'disconnected',
+  'reconnecting',
+  'message',
+  'message_sent',
+  'message_failed',
+  'message_ack',
+  'message_revoked',
+  'message_edited',
+  'call',
+  'session_stopped',
+  'session_deleted',
+  'session_imported',
+  'campaign_progress',
+  'campaign_finished',
+  'sync_finished',
+  'group_join',
+  'group_leave',
+  'group_update',
+  'rule_matched',
+  'chat_assigned',
+  'chat_released',
+];
+
+/* ===========================
+   Suscripciones (data/webhooks.json)
+   { id, url, events: ['*'|ev...], sessions: ['*'|id...], secret, enabled, description }
+=========================== */
+const log = logger.child({ component: 'webhooks' });
+const SUBS_FILE = dataPath('webhooks.json');
+const subs = new Map((readJson(SUBS_FILE, []) || []).map((w) => [w.id, w]));
+
+const persist = () => writeJson(SUBS_FILE, Array.from(subs.values()));
+
+/** oculta el secret en listados */
+const publicView = (w, { withSecret = false } = {}) =>
+  withSecret ? { ...w } : { ...w, secret: w.secret ? '••••' + w.secret.slice(-4) : '' };
+
+/** valida/normaliza campos editables; lanza Error con código */
+function normalize(input, base = {}) {
+  const out = { ...base };
+
+  if (input.url !== undefined) {
+    let u;
+    try { u = new URL(String(input.url)); } catch { throw new Error('invalid_url'); }
+    if (!/^https?:$/.test(u.protocol)) throw new Error('invalid_url');
+    out.url = u.toString();
+  }
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || !input.events.length) throw new Error('invalid_events');
+    const bad = input.events.filter((e) => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (bad.length) throw new Error(`unknown_events:${bad.join(',')}`);
+    out.events = Array.from(new Set(input.events.map(String)));
+  }
+  if (input.sessions !== undefined) {
+    if (!Array.isArray(input.sessions) || !input.sessions.length) throw new Error('invalid_sessions');
+    out.sessions = Array.from(new Set(input.sessions.map(String)));
+  }
+  if (input.secret !== undefined) out.secret = String(input.secret || '');
+  if (input.enabled !== undefined) out.enabled = !!input.enabled;
+  if (input.description !== undefined) out.description = String(input.description || '');
+  return out;
+}
+
+export function listWebhooks() {
+  return Array.from(subs.values()).map((w) => publicView(w));
+}
+
+export function getWebhook(webhookId) {
+  const w = subs.get(webhookId);
+  return w ? publicView(w, { withSecret: true }) : null;
+}
+
+/** Crea una suscripción; si no se da secret se genera uno */
+export function createWebhook(input = {}) {
+  if (!input.url) throw new Error('missing_url');
+  const w = normalize(
+    { events: ['*'], sessions: ['*'], enabled: true, description: '', ...input },
+    { id: crypto.randomUUID(), createdAt: Date.now() }
+  );
+  if (!w.secret) w.secret = crypto.randomBytes(24).toString('hex');
+  w.updatedAt = w.createdAt;
+  subs.set(w.id, w);
+  persist();
+  return publicView(w, { withSecret: true });
+}
+
+export function updateWebhook(webhookId, input = {}) {
+  const cur = subs.get(webhookId);
+  if (!cur) throw new Error('webhook_not_found');
+  const w = normalize(input, cur);
+  w.updatedAt = Date.now();
+  subs.set(webhookId, w);
+  persist();
+  return publicView(w);
+}
+
+export function deleteWebhook(webhookId) {
+  const existed = subs.delete(webhookId);
+  if (existed) persist();
+  return existed;
+}
+
+const matches = (list, value) => list.includes('*') || (value != null && list.includes(String(value)));
+
+/**
+ * Encola el evento en el outbox persistente (reintentos + firma HMAC) para
+ * WEBHOOK_URL (legacy) y cada suscripción cuyo filtro de evento/sesión aplique.
+ * Headers: X-Webhook-Timestamp, X-Webhook-Signature (sha256=...), Idempotency-Key
+ * Body: { event, version, payload, ts } (payload: EVENT_SCHEMAS en schemas.js)
+ */
 export async function fireWebhook(event, payload) {
-  if (!WEBHOOK_URL) return; // si no hay URL, no dispares nada
-  try {
-    await axios.post(
-      WEBHOOK_URL,
-      { event, payload, ts: Date.now() },
-      { headers: { 'X-Webhook-Token': WEBHOOK_TOKEN, 'Content-Type': 'application/json' }, timeout: 7000 }
-    );
-  } catch (e) {
-    console.error('[webhook] error:', e.message);
+  const sessionId = payload?.id ?? null;
+  const body = { event, version: SCHEMA_VERSION, payload, ts: Date.now() };
+
+  const targets = [];
+  if (WEBHOOK_URL) targets.push({ url: WEBHOOK_URL, secret: WEBHOOK_SECRET, webhookId: null });
+  for (const w of subs.values()) {
+    if (!w.enabled || !matches(w.events, event) || !matches(w.sessions, sessionId)) continue;
+    targets.push({ url: w.url, secret: w.secret, webhookId: w.id });
+  }
+
+  for (const t of targets) {
+    try {
+      enqueueDelivery({ event, body, ...t });
+    } catch (e) {
+      log.error('no se pudo encolar webhook', { sessionId, event, url: t.url, err: e.message });
+    }
   }
 }